@@ -1,5 +1,6 @@
 import React, { useEffect } from "react";
 import { SafeAreaProvider } from 'react-native-safe-area-context';
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import AppNavigator from "./src/AppNavigator";
 import { AuthProvider } from "./src/contexts/AuthContext";
 import { PreferencesProvider } from "./src/contexts/PreferencesContext";
@@ -20,13 +21,15 @@ export default function App() {
   }, []);
 
   return (
-    <SafeAreaProvider>
-      <AuthProvider>
-        <PreferencesProvider>
-          <AppNavigator />
-          <ConnectivityNotification />
-        </PreferencesProvider>
-      </AuthProvider>
-    </SafeAreaProvider>
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <SafeAreaProvider>
+        <AuthProvider>
+          <PreferencesProvider>
+            <AppNavigator />
+            <ConnectivityNotification />
+          </PreferencesProvider>
+        </AuthProvider>
+      </SafeAreaProvider>
+    </GestureHandlerRootView>
   );
 }
\ No newline at end of file
@@ -18,6 +18,11 @@ import RoutineDetail from "./screens/RoutineDetail";
 import CreateRoutine from './screens/CreateRoutine';
 import WorkoutTracker from './screens/WorkoutTracker';
 import WorkoutSummary from './screens/WorkoutSummary';
+import GymEquipment from './screens/GymEquipment';
+import History from './screens/History';
+import EditSession from './screens/EditSession';
+import Progress from './screens/Progress';
+import ImportData from './screens/ImportData';
 import { useAuth } from './contexts/AuthContext';
 import { colors, spacing } from "./styles/globalStyles";
 
@@ -74,6 +79,17 @@ function MainTabs() {
         }}
       />
 
+      <Tab.Screen 
+        name="HistoryTab" 
+        component={History}
+        options={{
+          tabBarLabel: 'Historial',
+          tabBarIcon: ({ color, size }) => (
+            <Ionicons name="calendar" size={size} color={color} />
+          ),
+        }}
+      />
+
       <Tab.Screen 
         name="LibraryTab" 
         component={Library}
@@ -143,6 +159,34 @@ function AuthenticatedStack() {
           presentation: 'card',
         }}
       />
+      <Stack.Screen 
+        name="GymEquipment" 
+        component={GymEquipment}
+        options={{
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="EditSession" 
+        component={EditSession}
+        options={{
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="Progress" 
+        component={Progress}
+        options={{
+          presentation: 'card',
+        }}
+      />
+      <Stack.Screen 
+        name="ImportData" 
+        component={ImportData}
+        options={{
+          presentation: 'card',
+        }}
+      />
     </Stack.Navigator>
   );
 }
@@ -0,0 +1,262 @@
+// Temporizador de intervalos (HIIT, EMOM, AMRAP, Tabata) para el WorkoutTracker
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Vibration } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { colors, spacing, typography } from '../styles/globalStyles';
+import { INTERVAL_PRESETS, PHASE_TYPES } from '../utils/intervalPresets';
+import { formatDuration } from '../utils/setFormatter';
+
+// Estado inicial: desde el principio o, al reanudar un entrenamiento, el progreso guardado
+// Se reanuda en pausa; si la fase ya habría terminado vuelve a empezar entera
+const getInitialState = (phases, progress) => {
+  if (!progress) {
+    return { phaseIndex: 0, phaseEndsAt: Date.now() + phases[0].duration * 1000, pausedRemaining: null };
+  }
+
+  const phaseIndex = Math.min(progress.phaseIndex, phases.length - 1);
+  const remaining = progress.pausedRemaining ?? progress.phaseEndsAt - Date.now();
+  return {
+    phaseIndex,
+    phaseEndsAt: Date.now(),
+    pausedRemaining: remaining > 0 ? remaining : phases[phaseIndex].duration * 1000,
+  };
+};
+
+const IntervalTimer = ({ preset, phases, exercises, initialProgress = null, onProgress, onFinish }) => {
+  const [initial] = useState(() => getInitialState(phases, initialProgress));
+  const [phaseIndex, setPhaseIndex] = useState(initial.phaseIndex);
+  // El tiempo se calcula siempre contra el final de la fase, no contando ticks
+  const [phaseEndsAt, setPhaseEndsAt] = useState(initial.phaseEndsAt);
+  const [pausedRemaining, setPausedRemaining] = useState(initial.pausedRemaining);
+  const [now, setNow] = useState(Date.now());
+  const [amrapRounds, setAmrapRounds] = useState(initialProgress?.amrapRounds || 0);
+  const completedIndexes = useRef(initialProgress?.completedIndexes || []);
+  const finished = useRef(false);
+
+  const isPaused = pausedRemaining !== null;
+  const phase = phases[phaseIndex];
+
+  useEffect(() => {
+    if (isPaused) return;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [isPaused]);
+
+  useEffect(() => {
+    if (!isPaused && now >= phaseEndsAt) {
+      advance(false);
+    }
+  }, [now]);
+
+  // Avisar del progreso para guardarlo en el checkpoint del entrenamiento
+  useEffect(() => {
+    onProgress?.({
+      phaseIndex,
+      phaseEndsAt,
+      pausedRemaining,
+      amrapRounds,
+      completedIndexes: completedIndexes.current,
+    });
+  }, [phaseIndex, phaseEndsAt, pausedRemaining, amrapRounds]);
+
+  const finish = () => {
+    if (finished.current) return;
+    finished.current = true;
+    onFinish({ completedIndexes: completedIndexes.current, amrapRounds });
+  };
+
+  const advance = (skipped) => {
+    if (finished.current) return;
+    if (phase.type === PHASE_TYPES.WORK && !skipped) {
+      completedIndexes.current = [...completedIndexes.current, phaseIndex];
+    }
+
+    const nextIndex = phaseIndex + 1;
+    if (nextIndex >= phases.length) {
+      Vibration.vibrate(800);
+      finish();
+      return;
+    }
+
+    Vibration.vibrate(300);
+    // Encadenar con el final de la fase anterior para no acumular desfase
+    const start = skipped ? Date.now() : phaseEndsAt;
+    setPhaseIndex(nextIndex);
+    setPhaseEndsAt(start + phases[nextIndex].duration * 1000);
+  };
+
+  const togglePause = () => {
+    if (isPaused) {
+      setPhaseEndsAt(Date.now() + pausedRemaining);
+      setPausedRemaining(null);
+      setNow(Date.now());
+    } else {
+      setPausedRemaining(Math.max(0, phaseEndsAt - Date.now()));
+    }
+  };
+
+  const remainingMs = isPaused ? pausedRemaining : Math.max(0, phaseEndsAt - now);
+  const remaining = Math.ceil(remainingMs / 1000);
+  const isWork = phase.type === PHASE_TYPES.WORK;
+  const currentExercise = phase.exerciseIndex !== null ? exercises[phase.exerciseIndex] : null;
+  const nextWork = phases.slice(phaseIndex + 1).find(p => p.type === PHASE_TYPES.WORK);
+  const nextExercise = nextWork && nextWork.exerciseIndex !== null ? exercises[nextWork.exerciseIndex] : null;
+  const phaseColor = isWork ? colors.primary : colors.info;
+
+  const getRoundText = () => {
+    if (preset === 'amrap') return `Rondas completadas: ${amrapRounds}`;
+    if (preset === 'emom') return `Minuto ${phase.round} de ${phase.totalRounds}`;
+    return `Ronda ${phase.round} de ${phase.totalRounds}`;
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.presetLabel}>{INTERVAL_PRESETS[preset]?.label}</Text>
+      <Text style={styles.roundText}>{getRoundText()}</Text>
+
+      <View style={[styles.timerCircle, { borderColor: phaseColor }]}>
+        <Text style={[styles.phaseLabel, { color: phaseColor }]}>
+          {isPaused ? 'En pausa' : isWork ? 'Trabajo' : 'Descanso'}
+        </Text>
+        <Text style={styles.timerText}>{formatDuration(remaining)}</Text>
+      </View>
+
+      {currentExercise ? (
+        <View style={styles.exerciseInfo}>
+          <Text style={styles.exerciseName}>{currentExercise.name}</Text>
+          <Text style={styles.exerciseMuscle}>{currentExercise.muscle}</Text>
+        </View>
+      ) : (
+        // AMRAP: se repite el circuito completo
+        <View style={styles.exerciseInfo}>
+          {exercises.map((exercise, index) => (
+            <Text key={index} style={styles.circuitExercise}>{index + 1}. {exercise.name}</Text>
+          ))}
+        </View>
+      )}
+
+      {nextExercise && (
+        <Text style={styles.nextText}>
+          Siguiente: <Text style={styles.nextExercise}>{nextExercise.name}</Text>
+        </Text>
+      )}
+
+      {preset === 'amrap' && (
+        <TouchableOpacity style={styles.roundButton} onPress={() => setAmrapRounds(amrapRounds + 1)}>
+          <Ionicons name="add-circle" size={22} color={colors.background} />
+          <Text style={styles.roundButtonText}>Ronda completada</Text>
+        </TouchableOpacity>
+      )}
+
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.controlButton} onPress={togglePause}>
+          <Ionicons name={isPaused ? 'play' : 'pause'} size={26} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={() => advance(true)}>
+          <Ionicons name="play-skip-forward" size={26} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.controlButton, styles.stopButton]} onPress={finish}>
+          <Ionicons name="stop" size={26} color={colors.error} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.xl,
+  },
+  presetLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+    letterSpacing: 1,
+  },
+  roundText: {
+    ...typography.h4,
+    marginTop: spacing.xs,
+    marginBottom: spacing.lg,
+  },
+  timerCircle: {
+    width: 220,
+    height: 220,
+    borderRadius: 110,
+    borderWidth: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.lg,
+  },
+  phaseLabel: {
+    ...typography.body,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+  },
+  timerText: {
+    fontSize: 56,
+    fontWeight: 'bold',
+    color: colors.textPrimary,
+  },
+  exerciseInfo: {
+    alignItems: 'center',
+    marginBottom: spacing.md,
+  },
+  exerciseName: {
+    ...typography.h3,
+    textAlign: 'center',
+  },
+  exerciseMuscle: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  circuitExercise: {
+    ...typography.body,
+    color: colors.textPrimary,
+    marginBottom: 2,
+  },
+  nextText: {
+    ...typography.caption,
+    color: colors.textMuted,
+    marginBottom: spacing.lg,
+  },
+  nextExercise: {
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  roundButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.md,
+    borderRadius: 12,
+    marginBottom: spacing.lg,
+  },
+  roundButtonText: {
+    ...typography.body,
+    color: colors.background,
+    fontWeight: '600',
+    marginLeft: spacing.sm,
+  },
+  controls: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  controlButton: {
+    width: 60,
+    height: 60,
+    borderRadius: 30,
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginHorizontal: spacing.sm,
+  },
+  stopButton: {
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+});
+
+export default IntervalTimer;
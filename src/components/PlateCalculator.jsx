@@ -0,0 +1,291 @@
+// Calculadora de discos / mancuernas que se abre desde el modal de sets del WorkoutTracker
+// Trabaja en la unidad del material del gimnasio y devuelve el peso en la del ejercicio
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { colors, spacing, typography } from '../styles/globalStyles';
+import {
+  LOADING_TYPES,
+  getLoadingType,
+  calculatePlates,
+  getNearestDumbbell,
+  toGymUnit,
+  fromGymUnit,
+} from '../utils/plateCalculator';
+import { WEIGHT_UNITS, fromDisplayWeight, toDisplayWeight } from '../utils/units';
+
+const PlateCalculator = ({ initialWeight, exercise, gym, unit = WEIGHT_UNITS.KG, onApply, onClose }) => {
+  const gymUnit = gym.unit || WEIGHT_UNITS.KG;
+  const initialValue = parseFloat(initialWeight);
+  const [mode, setMode] = useState(getLoadingType(exercise) || LOADING_TYPES.BARBELL);
+  const [target, setTarget] = useState(
+    initialValue > 0 ? String(toGymUnit(fromDisplayWeight(initialValue, unit), gym)) : ''
+  );
+  const [barWeight, setBarWeight] = useState(String(gym.barWeight));
+
+  const targetWeight = parseFloat(String(target).replace(',', '.')) || 0;
+  const bar = parseFloat(String(barWeight).replace(',', '.')) || 0;
+  const result = mode === LOADING_TYPES.BARBELL && targetWeight > 0
+    ? calculatePlates(targetWeight, bar, gym.plates)
+    : null;
+  const dumbbell = mode === LOADING_TYPES.DUMBBELL && targetWeight > 0
+    ? getNearestDumbbell(targetWeight, gym.dumbbells)
+    : null;
+  const weightToApply = result ? result.weight : dumbbell;
+  // Peso en la unidad del ejercicio (puede no coincidir con la del material)
+  const appliedWeight = weightToApply ? toDisplayWeight(fromGymUnit(weightToApply, gym), unit) : null;
+
+  // Opciones alcanzables por debajo y por encima cuando el peso no es exacto
+  const alternatives = result && !result.exact
+    ? [result.lower, result.upper].filter(load => load && load.weight !== result.weight)
+    : [];
+
+  return (
+    <View>
+      <Text style={styles.title}>Calculadora de discos</Text>
+      <Text style={styles.subtitle}>Material: {gym.name}</Text>
+
+      <View style={styles.modeToggle}>
+        {[
+          { value: LOADING_TYPES.BARBELL, label: 'Barra' },
+          { value: LOADING_TYPES.DUMBBELL, label: 'Mancuernas' },
+        ].map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.modeOption, mode === option.value && styles.modeOptionActive]}
+            onPress={() => setMode(option.value)}
+          >
+            <Text style={[styles.modeText, mode === option.value && styles.modeTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.inputRow}>
+        <View style={styles.inputContainer}>
+          <Text style={styles.inputLabel}>
+            {mode === LOADING_TYPES.BARBELL ? `Peso total (${gymUnit})` : `Peso por mano (${gymUnit})`}
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={String(target)}
+            onChangeText={setTarget}
+            keyboardType="numeric"
+            placeholder="0"
+            placeholderTextColor={colors.textMuted}
+            selectTextOnFocus
+          />
+        </View>
+        {mode === LOADING_TYPES.BARBELL && (
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Barra ({gymUnit})</Text>
+            <TextInput
+              style={styles.input}
+              value={barWeight}
+              onChangeText={setBarWeight}
+              keyboardType="numeric"
+              selectTextOnFocus
+            />
+          </View>
+        )}
+      </View>
+
+      {result && (
+        <View style={styles.resultContainer}>
+          {!result.exact && (
+            <Text style={styles.notExactText}>
+              No se pueden cargar {targetWeight}{gymUnit} exactos. Más cercano: {result.weight}{gymUnit}
+            </Text>
+          )}
+          <Text style={styles.resultLabel}>Por lado</Text>
+          {result.perSide.length === 0 ? (
+            <Text style={styles.resultValue}>Solo la barra</Text>
+          ) : (
+            <View style={styles.plateList}>
+              {result.perSide.map(plate => (
+                <View key={plate.weight} style={styles.plateChip}>
+                  <Text style={styles.plateText}>{plate.count} × {plate.weight}{gymUnit}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+          {alternatives.map(load => (
+            <TouchableOpacity key={load.weight} onPress={() => setTarget(String(load.weight))}>
+              <Text style={styles.alternativeText}>
+                {load.weight > result.weight ? 'Subir' : 'Bajar'} a {load.weight}{gymUnit}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {dumbbell !== null && (
+        <View style={styles.resultContainer}>
+          {dumbbell !== targetWeight && (
+            <Text style={styles.notExactText}>
+              No hay mancuernas de {targetWeight}{gymUnit}. Más cercana: {dumbbell}{gymUnit}
+            </Text>
+          )}
+          <Text style={styles.resultLabel}>Mancuerna por mano</Text>
+          <Text style={styles.resultValue}>{dumbbell}{gymUnit}</Text>
+        </View>
+      )}
+
+      <View style={styles.buttons}>
+        <TouchableOpacity style={styles.backButton} onPress={onClose}>
+          <Text style={styles.backButtonText}>Volver</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.applyButton, !weightToApply && styles.disabledButton]}
+          onPress={() => onApply(String(appliedWeight))}
+          disabled={!weightToApply}
+        >
+          <Text style={styles.applyButtonText}>
+            {weightToApply ? `Usar ${appliedWeight}${unit}` : 'Usar peso'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  title: {
+    ...typography.h3,
+    textAlign: 'center',
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.md,
+  },
+  modeToggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: 2,
+    marginBottom: spacing.md,
+  },
+  modeOption: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  modeOptionActive: {
+    backgroundColor: colors.primary,
+  },
+  modeText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  modeTextActive: {
+    color: colors.background,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.md,
+  },
+  inputContainer: {
+    flex: 1,
+    marginHorizontal: spacing.xs,
+  },
+  inputLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.lg,
+    fontSize: 18,
+    fontWeight: '600',
+    textAlign: 'center',
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  resultContainer: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+  notExactText: {
+    ...typography.caption,
+    color: colors.warning,
+    fontWeight: '600',
+    marginBottom: spacing.sm,
+  },
+  resultLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  resultValue: {
+    ...typography.h4,
+  },
+  plateList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  plateChip: {
+    backgroundColor: colors.primary + '20',
+    borderRadius: 6,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  plateText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  alternativeText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+    marginTop: spacing.sm,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  backButton: {
+    flex: 0.45,
+    paddingVertical: spacing.md,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  backButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  applyButton: {
+    flex: 0.45,
+    paddingVertical: spacing.md,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+  },
+  applyButtonText: {
+    ...typography.body,
+    color: colors.background,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default PlateCalculator;
@@ -0,0 +1,157 @@
+// Gráfica de línea sencilla hecha con Views (sin librerías nativas) para que funcione igual en móvil y web
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { colors, spacing, typography } from '../styles/globalStyles';
+
+const CHART_HEIGHT = 140;
+const POINT_SIZE = 8;
+const LINE_WIDTH = 2;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('es-ES', { day: 'numeric', month: 'short' });
+
+// series: [{ completedAt, value }] de más antigua a más reciente
+const ProgressChart = ({ series, formatValue = String, color = colors.primary }) => {
+  const [width, setWidth] = useState(0);
+
+  if (series.length === 0) {
+    return (
+      <View style={styles.empty}>
+        <Text style={styles.emptyText}>Sin datos en este periodo</Text>
+      </View>
+    );
+  }
+
+  const values = series.map(point => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  // Con un único valor la línea queda centrada en vertical
+  const spread = max - min || 1;
+  const drawWidth = Math.max(width - POINT_SIZE, 0);
+  const drawHeight = CHART_HEIGHT - POINT_SIZE;
+
+  const points = series.map((point, index) => ({
+    key: `${point.completedAt}_${index}`,
+    x: POINT_SIZE / 2 + (series.length === 1 ? drawWidth / 2 : (index / (series.length - 1)) * drawWidth),
+    y: POINT_SIZE / 2 + (max === min ? drawHeight / 2 : drawHeight - ((point.value - min) / spread) * drawHeight),
+  }));
+
+  // Cada tramo es una View girada entre dos puntos consecutivos
+  const segments = points.slice(1).map((end, index) => {
+    const start = points[index];
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    return {
+      key: end.key,
+      left: (start.x + end.x) / 2 - length / 2,
+      top: (start.y + end.y) / 2 - LINE_WIDTH / 2,
+      width: length,
+      angle: Math.atan2(dy, dx),
+    };
+  });
+
+  return (
+    <View>
+      <View style={styles.chartRow}>
+        <View style={styles.yAxis}>
+          <Text style={styles.axisLabel}>{formatValue(max)}</Text>
+          {max !== min && <Text style={styles.axisLabel}>{formatValue(min)}</Text>}
+        </View>
+
+        <View style={styles.plot} onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+          <View style={[styles.gridLine, { top: POINT_SIZE / 2 }]} />
+          <View style={[styles.gridLine, { top: CHART_HEIGHT / 2 }]} />
+          <View style={[styles.gridLine, { top: CHART_HEIGHT - POINT_SIZE / 2 }]} />
+
+          {width > 0 && segments.map(segment => (
+            <View
+              key={segment.key}
+              style={[
+                styles.segment,
+                {
+                  left: segment.left,
+                  top: segment.top,
+                  width: segment.width,
+                  backgroundColor: color,
+                  transform: [{ rotate: `${segment.angle}rad` }],
+                },
+              ]}
+            />
+          ))}
+
+          {width > 0 && points.map(point => (
+            <View
+              key={point.key}
+              style={[
+                styles.point,
+                { left: point.x - POINT_SIZE / 2, top: point.y - POINT_SIZE / 2, borderColor: color },
+              ]}
+            />
+          ))}
+        </View>
+      </View>
+
+      <View style={styles.xAxis}>
+        <Text style={styles.axisLabel}>{formatDate(series[0].completedAt)}</Text>
+        {series.length > 1 && (
+          <Text style={styles.axisLabel}>{formatDate(series[series.length - 1].completedAt)}</Text>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chartRow: {
+    flexDirection: 'row',
+  },
+  yAxis: {
+    height: CHART_HEIGHT,
+    justifyContent: 'space-between',
+    marginRight: spacing.sm,
+  },
+  plot: {
+    flex: 1,
+    height: CHART_HEIGHT,
+  },
+  gridLine: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: 1,
+    backgroundColor: colors.border,
+  },
+  segment: {
+    position: 'absolute',
+    height: LINE_WIDTH,
+  },
+  point: {
+    position: 'absolute',
+    width: POINT_SIZE,
+    height: POINT_SIZE,
+    borderRadius: POINT_SIZE / 2,
+    borderWidth: 2,
+    backgroundColor: colors.surface,
+  },
+  xAxis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.xs,
+  },
+  axisLabel: {
+    ...typography.caption,
+    color: colors.textMuted,
+  },
+  empty: {
+    height: CHART_HEIGHT,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  emptyText: {
+    ...typography.caption,
+    color: colors.textMuted,
+  },
+});
+
+export default ProgressChart;
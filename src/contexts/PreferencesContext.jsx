@@ -2,6 +2,9 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useAuth } from './AuthContext';
 import { UserPreferencesService } from '../services/userPreferencesService';
 import { logger } from '../utils/logger';
+import { getActiveGym } from '../utils/plateCalculator';
+import { DEFAULT_WEIGHT_UNIT } from '../utils/units';
+import { WorkoutSessionService } from '../services/workoutSessionService';
 import NetInfo from '@react-native-community/netinfo';
 
 // Crear contexto
@@ -229,6 +232,14 @@ export const PreferencesProvider = ({ children }) => {
     );
   };
 
+  /**
+   * Unidad de peso de un ejercicio: la suya propia si el material está en la otra unidad
+   */
+  const getExerciseUnit = (exercise) => {
+    const key = WorkoutSessionService.getExerciseKey(exercise);
+    return preferences?.exerciseUnitOverrides?.[key] || preferences?.weightUnit || DEFAULT_WEIGHT_UNIT;
+  };
+
   // Limpiar error
   const clearError = () => setError(null);
 
@@ -247,6 +258,7 @@ export const PreferencesProvider = ({ children }) => {
     hasValidPreferences,
     clearError,
     syncUserData,
+    getExerciseUnit,
     
     // Helpers rápidos para componentes
     isQuizCompleted: preferences?.completedAt ? true : false,
@@ -254,6 +266,11 @@ export const PreferencesProvider = ({ children }) => {
     userGoals: preferences?.goals || [],
     userEquipment: preferences?.equipment || [],
     userExperience: preferences?.experience || 'beginner',
+    oneRepMaxFormula: preferences?.oneRepMaxFormula || 'epley',
+    activeGym: getActiveGym(preferences),
+    weightUnit: preferences?.weightUnit || DEFAULT_WEIGHT_UNIT,
+    exerciseUnitOverrides: preferences?.exerciseUnitOverrides || {},
+    bodyweight: preferences?.bodyweight || null,
   };
 
   return (
@@ -19,6 +19,8 @@ import { globalStyles, colors, spacing, typography } from '../styles/globalStyle
 import { useAuth } from '../contexts/AuthContext';
 import { RoutineService } from '../services/routineService';
 import { getAllExercises, searchExercises } from '../services/exerciseApi';
+import { DEFAULT_PROGRESSION_RULES } from '../utils/progressionEngine';
+import { applyGroupLinks, getGroupLabels, getGroupTypeLabel } from '../utils/exerciseGroups';
 
 const CreateRoutine = ({ navigation, route }) => {
   const insets = useSafeAreaInsets();
@@ -120,6 +122,20 @@ const CreateRoutine = ({ navigation, route }) => {
     }
   };
 
+  // Marcar el último set del ejercicio como AMRAP (tantas repeticiones como sea posible)
+  const toggleAmrap = (exerciseId) => {
+    setSelectedExercises(selectedExercises.map(ex =>
+      ex.id === exerciseId ? { ...ex, amrapLastSet: !ex.amrapLastSet } : ex
+    ));
+  };
+
+  // Enlazar un ejercicio con el siguiente para hacerlos en superserie / circuito
+  const toggleLinkWithNext = (exerciseId) => {
+    setSelectedExercises(selectedExercises.map(ex =>
+      ex.id === exerciseId ? { ...ex, linkedToNext: !ex.linkedToNext } : ex
+    ));
+  };
+
   const validateRoutine = () => {
     if (!routineName.trim()) {
       Alert.alert('Error', 'Ingresa un nombre para la rutina');
@@ -201,14 +217,16 @@ const CreateRoutine = ({ navigation, route }) => {
 
     return {
       warmup: '5-10 minutos de calentamiento dinámico',
-      exercises: selectedExercises.map((exercise, index) => ({
+      exercises: applyGroupLinks(selectedExercises).map((exercise, index) => ({
         ...exercise,
         sets,
         reps,
         restTime,
+        amrapSets: exercise.amrapLastSet ? [sets] : [],
         order: index + 1
       })),
-      cooldown: '5-10 minutos de estiramiento'
+      cooldown: '5-10 minutos de estiramiento',
+      progression: editingRoutine?.workoutPlan?.progression || { ...DEFAULT_PROGRESSION_RULES }
     };
   };
 
@@ -318,6 +336,9 @@ const CreateRoutine = ({ navigation, route }) => {
     </Modal>
   );
 
+  const groupedExercises = applyGroupLinks(selectedExercises);
+  const groupLabels = getGroupLabels(groupedExercises);
+
   const filteredExercises = availableExercises.filter(exercise =>
     exercise.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
     exercise.muscle.toLowerCase().includes(searchQuery.toLowerCase())
@@ -598,65 +619,99 @@ const CreateRoutine = ({ navigation, route }) => {
           ) : (
             <View style={styles.modernExercisesList}>
               {selectedExercises.map((exercise, index) => (
-                <Animated.View 
-                  key={exercise.id} 
-                  style={[
-                    styles.modernExerciseItem,
-                    { opacity: fadeAnim }
-                  ]}
-                >
-                  <View style={styles.exerciseItemHeader}>
-                    <View style={styles.modernExerciseNumber}>
-                      <Text style={styles.modernExerciseNumberText}>{index + 1}</Text>
-                    </View>
-                    <View style={styles.modernExerciseInfo}>
-                      <Text style={styles.modernExerciseName}>{exercise.name}</Text>
-                      <Text style={styles.modernExerciseMuscle}>{exercise.muscle}</Text>
-                      {exercise.equipment && (
-                        <View style={styles.equipmentTag}>
-                          <Ionicons name="barbell" size={12} color={colors.primary} />
-                          <Text style={styles.equipmentText}>{exercise.equipment}</Text>
-                        </View>
-                      )}
+                <React.Fragment key={exercise.id}>
+                  <Animated.View 
+                    style={[
+                      styles.modernExerciseItem,
+                      { opacity: fadeAnim }
+                    ]}
+                  >
+                    <View style={styles.exerciseItemHeader}>
+                      <View style={styles.modernExerciseNumber}>
+                        <Text style={styles.modernExerciseNumberText}>{index + 1}</Text>
+                      </View>
+                      <View style={styles.modernExerciseInfo}>
+                        <Text style={styles.modernExerciseName}>{exercise.name}</Text>
+                        <Text style={styles.modernExerciseMuscle}>{exercise.muscle}</Text>
+                        {exercise.equipment && (
+                          <View style={styles.equipmentTag}>
+                            <Ionicons name="barbell" size={12} color={colors.primary} />
+                            <Text style={styles.equipmentText}>{exercise.equipment}</Text>
+                          </View>
+                        )}
+                        {groupLabels[index] && (
+                          <View style={[styles.equipmentTag, styles.groupTag]}>
+                            <Ionicons name="link" size={12} color={colors.warning} />
+                            <Text style={[styles.equipmentText, { color: colors.warning }]}>
+                              {getGroupTypeLabel(groupedExercises[index].groupType)} · {groupLabels[index]}
+                            </Text>
+                          </View>
+                        )}
+                      </View>
                     </View>
-                  </View>
                   
-                  <View style={styles.modernExerciseActions}>
-                    <TouchableOpacity 
-                      style={[styles.modernActionButton, index === 0 && styles.disabledActionButton]}
-                      onPress={() => moveExercise(index, 'up')}
-                      disabled={index === 0}
-                    >
-                      <Ionicons 
-                        name="chevron-up" 
-                        size={18} 
-                        color={index === 0 ? colors.textMuted : colors.primary} 
-                      />
-                    </TouchableOpacity>
+                    <View style={styles.modernExerciseActions}>
+                      <TouchableOpacity 
+                        style={[styles.amrapToggle, exercise.amrapLastSet && styles.amrapToggleActive]}
+                        onPress={() => toggleAmrap(exercise.id)}
+                      >
+                        <Text style={[styles.amrapToggleText, exercise.amrapLastSet && styles.amrapToggleTextActive]}>
+                          Último set AMRAP
+                        </Text>
+                      </TouchableOpacity>
+
+                      <TouchableOpacity 
+                        style={[styles.modernActionButton, index === 0 && styles.disabledActionButton]}
+                        onPress={() => moveExercise(index, 'up')}
+                        disabled={index === 0}
+                      >
+                        <Ionicons 
+                          name="chevron-up" 
+                          size={18} 
+                          color={index === 0 ? colors.textMuted : colors.primary} 
+                        />
+                      </TouchableOpacity>
                     
+                      <TouchableOpacity 
+                        style={[
+                          styles.modernActionButton, 
+                          index === selectedExercises.length - 1 && styles.disabledActionButton
+                        ]}
+                        onPress={() => moveExercise(index, 'down')}
+                        disabled={index === selectedExercises.length - 1}
+                      >
+                        <Ionicons 
+                          name="chevron-down" 
+                          size={18} 
+                          color={index === selectedExercises.length - 1 ? colors.textMuted : colors.primary} 
+                        />
+                      </TouchableOpacity>
+                    
+                      <TouchableOpacity 
+                        style={[styles.modernActionButton, styles.removeActionButton]}
+                        onPress={() => removeExercise(exercise.id)}
+                      >
+                        <Ionicons name="trash" size={18} color={colors.error} />
+                      </TouchableOpacity>
+                    </View>
+                  </Animated.View>
+
+                  {index < selectedExercises.length - 1 && (
                     <TouchableOpacity 
-                      style={[
-                        styles.modernActionButton, 
-                        index === selectedExercises.length - 1 && styles.disabledActionButton
-                      ]}
-                      onPress={() => moveExercise(index, 'down')}
-                      disabled={index === selectedExercises.length - 1}
+                      style={styles.linkToggle}
+                      onPress={() => toggleLinkWithNext(exercise.id)}
                     >
                       <Ionicons 
-                        name="chevron-down" 
-                        size={18} 
-                        color={index === selectedExercises.length - 1 ? colors.textMuted : colors.primary} 
+                        name={exercise.linkedToNext ? 'link' : 'unlink'} 
+                        size={16} 
+                        color={exercise.linkedToNext ? colors.warning : colors.textMuted} 
                       />
+                      <Text style={[styles.linkToggleText, exercise.linkedToNext && styles.linkToggleTextActive]}>
+                        {exercise.linkedToNext ? 'Agrupados (sin descanso entre ellos)' : 'Agrupar con el siguiente'}
+                      </Text>
                     </TouchableOpacity>
-                    
-                    <TouchableOpacity 
-                      style={[styles.modernActionButton, styles.removeActionButton]}
-                      onPress={() => removeExercise(exercise.id)}
-                    >
-                      <Ionicons name="trash" size={18} color={colors.error} />
-                    </TouchableOpacity>
-                  </View>
-                </Animated.View>
+                  )}
+                </React.Fragment>
               ))}
             </View>
           )}
@@ -1280,6 +1335,48 @@ const styles = StyleSheet.create({
     justifyContent: 'flex-end',
     alignItems: 'center',
   },
+  groupTag: {
+    backgroundColor: colors.warning + '20',
+    marginTop: spacing.xs,
+  },
+  linkToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: -spacing.sm,
+    marginBottom: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  linkToggleText: {
+    ...typography.small,
+    color: colors.textMuted,
+    marginLeft: spacing.xs,
+  },
+  linkToggleTextActive: {
+    color: colors.warning,
+    fontWeight: '600',
+  },
+  amrapToggle: {
+    height: 36,
+    paddingHorizontal: spacing.md,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: colors.border,
+    justifyContent: 'center',
+    marginRight: 'auto',
+  },
+  amrapToggleActive: {
+    backgroundColor: colors.primary + '20',
+    borderColor: colors.primary,
+  },
+  amrapToggleText: {
+    ...typography.small,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  amrapToggleTextActive: {
+    color: colors.primary,
+  },
   modernActionButton: {
     width: 36,
     height: 36,
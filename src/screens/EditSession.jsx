@@ -0,0 +1,453 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
+import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import { FormValidationExample } from '../utils/validation';
+import { FIELD_INPUTS, getMeasurementFields, getMeasurementType } from '../utils/exerciseMeasurement';
+import { formatDuration } from '../utils/setFormatter';
+import { formatSetLabel, renumberSets, getTargetSets } from '../utils/setTypes';
+import { recalculatePersonalRecords } from '../utils/personalRecords';
+import { toDisplayWeight, fromDisplayWeight } from '../utils/units';
+import { recalculateSessionCalories } from '../utils/calorieEstimator';
+
+const RATING_OPTIONS = [
+  { value: 'excellent', label: 'Muy bien' },
+  { value: 'good', label: 'Bien' },
+  { value: 'okay', label: 'Regular' },
+];
+
+const WEIGHT_FIELDS = ['weight', 'addedWeight'];
+
+// Valores de un set guardado como texto para los campos (pesos en la unidad del ejercicio)
+const toInputs = (set, unit) => ({
+  weight: set.weight ? String(toDisplayWeight(set.weight, unit)) : '',
+  addedWeight: set.addedWeight ? String(toDisplayWeight(set.addedWeight, unit)) : '',
+  reps: set.reps ? String(set.reps) : '',
+  duration: set.duration ? formatDuration(set.duration) : '',
+  distance: set.distance ? String(set.distance) : '',
+});
+
+// Editar sets, valoración y notas de un entrenamiento del historial
+const EditSession = ({ route, navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { sessionId } = route.params;
+  const { user } = useAuth();
+  const { oneRepMaxFormula, getExerciseUnit, bodyweight } = usePreferences();
+  const [session, setSession] = useState(null);
+  const [exercises, setExercises] = useState([]);
+  const [rating, setRating] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSession();
+  }, [sessionId]);
+
+  const loadSession = async () => {
+    const stored = await WorkoutSessionService.getSessionById(user.uid, sessionId);
+    if (!stored) {
+      navigation.goBack();
+      return;
+    }
+    setSession(stored);
+    setRating(stored.rating);
+    setNotes(stored.notes || '');
+    setExercises(stored.exercises.map(exercise => ({
+      ...exercise,
+      sets: exercise.sets.map(set => ({ ...set, inputs: toInputs(set, getExerciseUnit(exercise)) }))
+    })));
+  };
+
+  // En las sesiones de intervalos cada set es un intervalo de tiempo
+  const getSetFields = (exercise) =>
+    session.interval ? ['duration'] : getMeasurementFields(getMeasurementType(exercise));
+
+  const updateInput = (exerciseIndex, setIndex, field, value) => {
+    setExercises(current => current.map((exercise, index) => index !== exerciseIndex ? exercise : {
+      ...exercise,
+      sets: exercise.sets.map((set, i) => i !== setIndex ? set : {
+        ...set,
+        edited: true,
+        inputs: { ...set.inputs, [field]: value },
+      })
+    }));
+  };
+
+  // Completado según los sets que quedan, como en el tracker (sets de trabajo >= objetivo)
+  // Sin objetivo (intervalos o sesiones importadas) sigue completado mientras le quede algún set
+  const isExerciseCompleted = (exercise, sets) => {
+    const done = getTargetSets(sets).length;
+    if (session.interval || !exercise.targetSets) return !!exercise.completed && done > 0;
+    return done >= exercise.targetSets;
+  };
+
+  const removeSet = (exerciseIndex, setIndex) => {
+    setExercises(current => current.map((exercise, index) => {
+      if (index !== exerciseIndex) return exercise;
+      const sets = renumberSets(exercise.sets.filter((_, i) => i !== setIndex));
+      return { ...exercise, sets, completed: isExerciseCompleted(exercise, sets) };
+    }));
+  };
+
+  // Validar los sets modificados y devolver los ejercicios listos para guardar (null si hay errores)
+  // Los que no se tocan se guardan tal cual: un set importado sin reps no impide editar el resto
+  const buildExercises = () => {
+    const updated = [];
+
+    for (const exercise of exercises) {
+      const unit = getExerciseUnit(exercise);
+      const fields = getSetFields(exercise);
+      const sets = [];
+
+      for (const { inputs, edited: isEdited, ...set } of exercise.sets) {
+        if (!isEdited) {
+          sets.push(set);
+          continue;
+        }
+
+        const validation = FormValidationExample.measuredSet(fields, inputs, set.rpe ?? null, set.rir ?? null, unit);
+        if (!validation.isValid) {
+          Alert.alert(
+            'Datos incorrectos',
+            `${exercise.name} · ${formatSetLabel(set)}\n${Object.values(validation.errors).join('\n')}`
+          );
+          return null;
+        }
+
+        const edited = { ...set };
+        fields.forEach(field => {
+          edited[field] = WEIGHT_FIELDS.includes(field)
+            ? fromDisplayWeight(validation.values[field], unit)
+            : validation.values[field];
+        });
+        sets.push(edited);
+      }
+
+      updated.push({ ...exercise, sets });
+    }
+
+    return updated;
+  };
+
+  const saveSession = async () => {
+    const updatedExercises = buildExercises();
+    if (!updatedExercises) return;
+
+    try {
+      setSaving(true);
+      const changes = {
+        exercises: updatedExercises,
+        rating,
+        notes: notes.trim(),
+        // Con el peso corporal de la sesión, no con el actual
+        calories: recalculateSessionCalories(session, updatedExercises, bodyweight),
+        ...WorkoutSessionService.calculateTotals(updatedExercises)
+      };
+
+      // Los récords de esta sesión y de las posteriores dependen de los sets editados
+      const sessions = (await WorkoutSessionService.getSessions(user.uid))
+        .map(s => (s.id === session.id ? { ...s, ...changes } : s));
+      const records = recalculatePersonalRecords(sessions, session.completedAt, oneRepMaxFormula);
+
+      const updates = { [session.id]: { ...changes, personalRecords: records[session.id] } };
+      sessions.forEach(s => {
+        if (s.id === session.id || !records[s.id]) return;
+        if (JSON.stringify(records[s.id]) !== JSON.stringify(s.personalRecords || [])) {
+          updates[s.id] = { personalRecords: records[s.id] };
+        }
+      });
+
+      await WorkoutSessionService.updateSessions(user.uid, updates);
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error updating workout session:', error);
+      Alert.alert('Error', 'No se pudieron guardar los cambios');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!session) {
+    return (
+      <View style={[globalStyles.container, styles.centered]}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={globalStyles.container}>
+      <StatusBar style="light" />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="close" size={22} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Editar entrenamiento</Text>
+        <View style={{ width: 40 }} />
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={{ paddingBottom: spacing.xl }}
+      >
+        <Text style={styles.routineName}>{session.routineName}</Text>
+
+        {/* Rating */}
+        <Text style={styles.sectionTitle}>Valoración</Text>
+        <View style={styles.ratingRow}>
+          {RATING_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.ratingChip, rating === option.value && styles.ratingChipSelected]}
+              onPress={() => setRating(option.value)}
+            >
+              <Text style={[styles.ratingText, rating === option.value && styles.ratingTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Sets */}
+        {exercises.map((exercise, exerciseIndex) => {
+          const fields = getSetFields(exercise);
+          const unit = getExerciseUnit(exercise);
+
+          return (
+            <View key={`${exercise.name}_${exerciseIndex}`} style={styles.exerciseCard}>
+              <Text style={styles.exerciseName}>{exercise.name}</Text>
+
+              {exercise.sets.length === 0 ? (
+                <Text style={styles.noSetsText}>Sin sets registrados</Text>
+              ) : (
+                <View style={styles.setHeaderRow}>
+                  <View style={styles.setLabelColumn} />
+                  {fields.map(field => (
+                    <Text key={field} style={styles.fieldLabel}>
+                      {FIELD_INPUTS[field].label}{WEIGHT_FIELDS.includes(field) ? ` (${unit})` : ''}
+                    </Text>
+                  ))}
+                  <View style={styles.removeColumn} />
+                </View>
+              )}
+
+              {exercise.sets.map((set, setIndex) => (
+                <View key={setIndex} style={styles.setRow}>
+                  <Text style={[styles.setLabel, styles.setLabelColumn]}>{formatSetLabel(set)}</Text>
+                  {fields.map(field => (
+                    <TextInput
+                      key={field}
+                      style={styles.setInput}
+                      value={set.inputs[field]}
+                      onChangeText={value => updateInput(exerciseIndex, setIndex, field, value)}
+                      placeholder={FIELD_INPUTS[field].placeholder}
+                      placeholderTextColor={colors.textMuted}
+                      keyboardType={field === 'duration' || field === 'addedWeight' ? 'numbers-and-punctuation' : 'numeric'}
+                      selectTextOnFocus
+                    />
+                  ))}
+                  <TouchableOpacity
+                    style={styles.removeColumn}
+                    onPress={() => removeSet(exerciseIndex, setIndex)}
+                  >
+                    <Ionicons name="trash-outline" size={18} color={colors.error} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          );
+        })}
+
+        {/* Notes */}
+        <Text style={styles.sectionTitle}>Notas</Text>
+        <TextInput
+          style={styles.notesInput}
+          value={notes}
+          onChangeText={setNotes}
+          placeholder="Cómo te sentiste, molestias, cambios..."
+          placeholderTextColor={colors.textMuted}
+          multiline
+        />
+      </ScrollView>
+
+      <View style={[styles.actionButtons, { paddingBottom: insets.bottom + spacing.md }]}>
+        <TouchableOpacity
+          style={[styles.saveButton, saving && styles.disabledButton]}
+          onPress={saveSession}
+          disabled={saving}
+        >
+          <Text style={styles.saveButtonText}>{saving ? 'Guardando...' : 'Guardar cambios'}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    ...typography.h3,
+    textAlign: 'center',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: spacing.lg,
+  },
+  routineName: {
+    ...typography.h4,
+    color: colors.primary,
+    textAlign: 'center',
+    marginBottom: spacing.lg,
+  },
+  sectionTitle: {
+    ...typography.h4,
+    marginBottom: spacing.md,
+  },
+  ratingRow: {
+    flexDirection: 'row',
+    marginBottom: spacing.lg,
+  },
+  ratingChip: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginHorizontal: spacing.xs,
+  },
+  ratingChipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  ratingText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  ratingTextSelected: {
+    color: colors.background,
+  },
+  exerciseCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+  exerciseName: {
+    ...typography.body,
+    fontWeight: '600',
+    marginBottom: spacing.sm,
+  },
+  noSetsText: {
+    ...typography.caption,
+    color: colors.textMuted,
+  },
+  setHeaderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.xs,
+  },
+  fieldLabel: {
+    ...typography.caption,
+    color: colors.textMuted,
+    flex: 1,
+    textAlign: 'center',
+  },
+  setRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  setLabelColumn: {
+    width: 80,
+  },
+  setLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  setInput: {
+    flex: 1,
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    paddingVertical: spacing.sm,
+    marginHorizontal: spacing.xs,
+    textAlign: 'center',
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  removeColumn: {
+    width: 32,
+    alignItems: 'center',
+  },
+  notesInput: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    minHeight: 100,
+    textAlignVertical: 'top',
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  actionButtons: {
+    paddingHorizontal: spacing.lg,
+    paddingTop: spacing.md,
+    backgroundColor: colors.background,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  saveButton: {
+    paddingVertical: spacing.md,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+  },
+  saveButtonText: {
+    color: colors.background,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+});
+
+export default EditSession;
@@ -15,6 +15,24 @@ import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons, MaterialIcons, Feather } from '@expo/vector-icons';
 import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
 import { getExerciseById } from '../services/exerciseApi';
+import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import {
+  buildOneRepMaxTimeline,
+  summarizeOneRepMaxTimeline,
+  ONE_REP_MAX_FORMULAS,
+} from '../utils/oneRepMax';
+import { formatWeight } from '../utils/units';
+import {
+  buildExerciseProgress,
+  getProgressSeries,
+  formatProgressValue,
+  PROGRESS_METRICS,
+  PROGRESS_RANGES,
+  DEFAULT_PROGRESS_RANGE,
+} from '../utils/exerciseProgress';
+import ProgressChart from '../components/ProgressChart';
 
 const { width } = Dimensions.get('window');
 
@@ -25,6 +43,13 @@ const ExerciseDetail = ({ route, navigation }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isFavorite, setIsFavorite] = useState(false);
+  const [oneRepMaxTimeline, setOneRepMaxTimeline] = useState([]);
+  const [exerciseProgress, setExerciseProgress] = useState([]);
+  const [progressMetric, setProgressMetric] = useState('topSet');
+  const [progressRange, setProgressRange] = useState(DEFAULT_PROGRESS_RANGE);
+  const [exerciseNote, setExerciseNote] = useState('');
+  const { user } = useAuth();
+  const { oneRepMaxFormula, getExerciseUnit } = usePreferences();
 
   useEffect(() => {
     // Log para debugging: ver la estructura del ejercicio inicial
@@ -45,6 +70,26 @@ const ExerciseDetail = ({ route, navigation }) => {
     }
   }, [initialExercise?.id]);
 
+  // Historial del usuario en este ejercicio (1RM estimado y gráficas de progreso)
+  useEffect(() => {
+    if (user && initialExercise) {
+      loadExerciseHistory();
+    }
+  }, [user?.uid, initialExercise?.id, oneRepMaxFormula]);
+
+  // Nota guardada desde el tracker (altura del asiento, agarre...)
+  useEffect(() => {
+    if (user && initialExercise) {
+      WorkoutSessionService.getExerciseNote(user.uid, initialExercise).then(setExerciseNote);
+    }
+  }, [user?.uid, initialExercise?.id]);
+
+  const loadExerciseHistory = async () => {
+    const history = await WorkoutSessionService.getExerciseHistory(user.uid, initialExercise);
+    setOneRepMaxTimeline(buildOneRepMaxTimeline(history, oneRepMaxFormula));
+    setExerciseProgress(buildExerciseProgress(history, oneRepMaxFormula));
+  };
+
   const loadExerciseDetails = async () => {
     try {
       setLoading(true);
@@ -177,6 +222,10 @@ const ExerciseDetail = ({ route, navigation }) => {
     );
   };
 
+  const oneRepMaxSummary = summarizeOneRepMaxTimeline(oneRepMaxTimeline);
+  const unit = getExerciseUnit(exercise);
+  const progressSeries = getProgressSeries(exerciseProgress, progressMetric, progressRange);
+
   return (
     <View style={globalStyles.container}>
       <StatusBar style="light" />
@@ -304,6 +353,102 @@ const ExerciseDetail = ({ route, navigation }) => {
             )}
           </View>
 
+          {/* Exercise Notes */}
+          {exerciseNote !== '' && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Mis notas</Text>
+              <View style={styles.notesContainer}>
+                <Feather name="file-text" size={16} color={colors.textSecondary} />
+                <Text style={styles.notesText}>{exerciseNote}</Text>
+              </View>
+            </View>
+          )}
+
+          {/* Progress Charts */}
+          {exerciseProgress.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Mi progreso</Text>
+              <View style={styles.progressContainer}>
+                <View style={styles.progressOptions}>
+                  {Object.entries(PROGRESS_METRICS).map(([key, metric]) => (
+                    <TouchableOpacity
+                      key={key}
+                      style={[styles.progressOption, progressMetric === key && styles.progressOptionActive]}
+                      onPress={() => setProgressMetric(key)}
+                    >
+                      <Text style={[styles.progressOptionText, progressMetric === key && styles.progressOptionTextActive]}>
+                        {metric.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                <ProgressChart
+                  series={progressSeries}
+                  formatValue={(value) => formatProgressValue(progressMetric, value, unit)}
+                />
+
+                <View style={[styles.progressOptions, styles.progressRanges]}>
+                  {Object.entries(PROGRESS_RANGES).map(([key, range]) => (
+                    <TouchableOpacity
+                      key={key}
+                      style={[styles.progressOption, progressRange === key && styles.progressOptionActive]}
+                      onPress={() => setProgressRange(key)}
+                    >
+                      <Text style={[styles.progressOptionText, progressRange === key && styles.progressOptionTextActive]}>
+                        {range.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            </View>
+          )}
+
+          {/* Estimated 1RM */}
+          {oneRepMaxSummary && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Fuerza estimada (1RM)</Text>
+              <View style={styles.oneRepMaxContainer}>
+                <View style={styles.oneRepMaxStats}>
+                  <View style={styles.oneRepMaxStat}>
+                    <Text style={styles.oneRepMaxValue}>{formatWeight(oneRepMaxSummary.current.e1rm, unit)}</Text>
+                    <Text style={styles.oneRepMaxLabel}>Actual</Text>
+                  </View>
+                  <View style={styles.oneRepMaxStat}>
+                    <Text style={styles.oneRepMaxValue}>{formatWeight(oneRepMaxSummary.best.e1rm, unit)}</Text>
+                    <Text style={styles.oneRepMaxLabel}>Mejor</Text>
+                  </View>
+                  {oneRepMaxSummary.change !== null && (
+                    <View style={styles.oneRepMaxStat}>
+                      <Text style={[
+                        styles.oneRepMaxValue,
+                        { color: oneRepMaxSummary.change >= 0 ? colors.success : colors.error }
+                      ]}>
+                        {oneRepMaxSummary.change >= 0 ? '+' : ''}{formatWeight(oneRepMaxSummary.change, unit)}
+                      </Text>
+                      <Text style={styles.oneRepMaxLabel}>Vs. anterior</Text>
+                    </View>
+                  )}
+                </View>
+
+                {oneRepMaxTimeline.slice(-5).reverse().map(point => (
+                  <View key={point.sessionId} style={styles.oneRepMaxRow}>
+                    <Text style={styles.oneRepMaxDate}>
+                      {new Date(point.completedAt).toLocaleDateString('es-ES', { day: 'numeric', month: 'short' })}
+                    </Text>
+                    <Text style={styles.oneRepMaxSet}>{formatWeight(point.weight, unit)} × {point.reps}</Text>
+                    <Text style={styles.oneRepMaxRowValue}>{formatWeight(point.e1rm, unit)}</Text>
+                  </View>
+                ))}
+
+                <Text style={styles.oneRepMaxFormula}>
+                  Fórmula: {ONE_REP_MAX_FORMULAS[oneRepMaxFormula]?.label || oneRepMaxFormula}
+                </Text>
+              </View>
+            </View>
+          )}
+
           {/* Primary Muscles */}
           {exercise.primaryMuscles && Array.isArray(exercise.primaryMuscles) && exercise.primaryMuscles.length > 0 && (
             <View style={styles.section}>
@@ -509,6 +654,102 @@ const styles = StyleSheet.create({
     ...typography.h4,
     marginBottom: spacing.md,
   },
+  notesContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+  },
+  notesText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginLeft: spacing.sm,
+    flex: 1,
+  },
+  progressContainer: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+  },
+  progressOptions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.md,
+  },
+  progressRanges: {
+    marginTop: spacing.md,
+    marginBottom: 0,
+  },
+  progressOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    marginHorizontal: 2,
+    borderRadius: 8,
+    backgroundColor: colors.background,
+  },
+  progressOptionActive: {
+    backgroundColor: colors.primary,
+  },
+  progressOptionText: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
+  progressOptionTextActive: {
+    color: colors.background,
+    fontWeight: '600',
+  },
+  oneRepMaxContainer: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+  },
+  oneRepMaxStats: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginBottom: spacing.md,
+  },
+  oneRepMaxStat: {
+    alignItems: 'center',
+  },
+  oneRepMaxValue: {
+    ...typography.h4,
+    color: colors.primary,
+  },
+  oneRepMaxLabel: {
+    ...typography.small,
+    color: colors.textMuted,
+  },
+  oneRepMaxRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.xs,
+    borderTopWidth: 1,
+    borderTopColor: colors.divider,
+  },
+  oneRepMaxDate: {
+    ...typography.caption,
+    flex: 1,
+  },
+  oneRepMaxSet: {
+    ...typography.caption,
+    flex: 1,
+    textAlign: 'center',
+  },
+  oneRepMaxRowValue: {
+    ...typography.caption,
+    color: colors.textPrimary,
+    fontWeight: '600',
+    flex: 1,
+    textAlign: 'right',
+  },
+  oneRepMaxFormula: {
+    ...typography.small,
+    color: colors.textMuted,
+    textAlign: 'right',
+    marginTop: spacing.sm,
+  },
   musclesContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
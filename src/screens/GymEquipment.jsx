@@ -0,0 +1,514 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { DEFAULT_GYM, getDefaultEquipment } from '../utils/plateCalculator';
+import { WEIGHT_UNITS, WEIGHT_UNIT_OPTIONS } from '../utils/units';
+
+// Lista '2, 4, 6' -> [2, 4, 6] (ordenada y sin repetidos)
+const parseWeightList = (text) => [...new Set(
+  text
+    .split(/[,;\s]+/)
+    .map(value => parseFloat(value))
+    .filter(value => value > 0)
+)].sort((a, b) => a - b);
+
+const GymEquipment = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { preferences, activeGym, weightUnit, updatePreferences } = usePreferences();
+  const [gyms, setGyms] = useState(preferences?.gyms?.length ? preferences.gyms : [DEFAULT_GYM]);
+  const [activeGymId, setActiveGymId] = useState(activeGym.id);
+  const [selectedGymId, setSelectedGymId] = useState(activeGym.id);
+  const [newPlate, setNewPlate] = useState('');
+  const [dumbbellsText, setDumbbellsText] = useState(activeGym.dumbbells.join(', '));
+  const [saving, setSaving] = useState(false);
+
+  const selectedGym = gyms.find(gym => gym.id === selectedGymId) || gyms[0];
+  const gymUnit = selectedGym.unit || WEIGHT_UNITS.KG;
+
+  const updateSelectedGym = (updates) => {
+    setGyms(gyms.map(gym => (gym.id === selectedGym.id ? { ...gym, ...updates } : gym)));
+  };
+
+  // Las mancuernas se editan como texto: pasarlas al gimnasio antes de cambiar de uno a otro
+  const withDumbbells = (gymList) => gymList.map(gym => (gym.id === selectedGym.id
+    ? { ...gym, dumbbells: parseWeightList(dumbbellsText) }
+    : gym));
+
+  const showGym = (gym) => {
+    setSelectedGymId(gym.id);
+    setDumbbellsText(gym.dumbbells.join(', '));
+    setNewPlate('');
+  };
+
+  const selectGym = (gym) => {
+    if (gym.id === selectedGym.id) return;
+    setGyms(withDumbbells(gyms));
+    showGym(gym);
+  };
+
+  const addGym = () => {
+    const gym = {
+      ...DEFAULT_GYM,
+      ...getDefaultEquipment(weightUnit),
+      id: `gym_${Date.now()}`,
+      name: `Gimnasio ${gyms.length + 1}`,
+    };
+    setGyms([...withDumbbells(gyms), gym]);
+    showGym(gym);
+  };
+
+  const deleteGym = () => {
+    Alert.alert(
+      'Eliminar gimnasio',
+      `¿Seguro que quieres eliminar "${selectedGym.name}"?`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: () => {
+            const remaining = gyms.filter(gym => gym.id !== selectedGym.id);
+            setGyms(remaining);
+            if (activeGymId === selectedGym.id) setActiveGymId(remaining[0].id);
+            showGym(remaining[0]);
+          }
+        }
+      ]
+    );
+  };
+
+  // Los discos llevan marcada su unidad: al cambiarla se carga el material estándar de esa unidad
+  const changeGymUnit = (unit) => {
+    if (unit === gymUnit) return;
+    Alert.alert(
+      'Cambiar unidad',
+      `Se cargará la barra, los discos y las mancuernas estándar en ${unit}. Podrás ajustarlos después.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Cambiar',
+          onPress: () => {
+            const equipment = getDefaultEquipment(unit);
+            updateSelectedGym(equipment);
+            setDumbbellsText(equipment.dumbbells.join(', '));
+          }
+        }
+      ]
+    );
+  };
+
+  const changePlateCount = (weight, delta) => {
+    updateSelectedGym({
+      plates: selectedGym.plates
+        .map(plate => (plate.weight === weight ? { ...plate, count: Math.max(0, plate.count + delta) } : plate))
+        .filter(plate => plate.count > 0),
+    });
+  };
+
+  const addPlate = () => {
+    const weight = parseFloat(newPlate.replace(',', '.'));
+    if (!weight || weight <= 0) {
+      Alert.alert('Disco no válido', `Introduce el peso del disco en ${gymUnit}`);
+      return;
+    }
+    if (selectedGym.plates.some(plate => plate.weight === weight)) {
+      changePlateCount(weight, 2);
+    } else {
+      updateSelectedGym({
+        plates: [...selectedGym.plates, { weight, count: 2 }].sort((a, b) => b.weight - a.weight),
+      });
+    }
+    setNewPlate('');
+  };
+
+  const saveEquipment = async () => {
+    const updatedGyms = withDumbbells(gyms).map(gym => ({
+      ...gym,
+      name: gym.name.trim(),
+      barWeight: parseFloat(String(gym.barWeight).replace(',', '.')),
+    }));
+
+    const invalidGym = updatedGyms.find(gym => !gym.name || !(gym.barWeight >= 0));
+    if (invalidGym) {
+      showGym(invalidGym);
+      Alert.alert('Datos incorrectos', 'Revisa el nombre del gimnasio y el peso de la barra');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await updatePreferences({ gyms: updatedGyms, activeGymId });
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert('Error', 'No se pudo guardar el material. Completa primero el cuestionario inicial.');
+      console.error('Error al guardar el material del gimnasio:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <View style={globalStyles.container}>
+      <StatusBar style="light" />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Material del gimnasio</Text>
+        <TouchableOpacity style={styles.saveButton} onPress={saveEquipment} disabled={saving}>
+          {saving ? (
+            <ActivityIndicator size="small" color={colors.primary} />
+          ) : (
+            <Text style={styles.saveButtonText}>Guardar</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        showsVerticalScrollIndicator={false}
+        contentContainerStyle={{ paddingBottom: insets.bottom + spacing.xl }}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Gimnasios */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Gimnasios</Text>
+          <View style={styles.gymList}>
+            {gyms.map(gym => (
+              <TouchableOpacity
+                key={gym.id}
+                style={[styles.gymChip, gym.id === selectedGym.id && styles.gymChipSelected]}
+                onPress={() => selectGym(gym)}
+              >
+                {gym.id === activeGymId && (
+                  <Ionicons name="location" size={14} color={colors.primary} style={styles.gymChipIcon} />
+                )}
+                <Text style={[styles.gymChipText, gym.id === selectedGym.id && styles.gymChipTextSelected]}>
+                  {gym.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity style={styles.gymChip} onPress={addGym}>
+              <Ionicons name="add" size={16} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+          {selectedGym.id !== activeGymId && (
+            <TouchableOpacity style={styles.linkButton} onPress={() => setActiveGymId(selectedGym.id)}>
+              <Text style={styles.linkButtonText}>Entreno aquí ahora</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* Datos del gimnasio seleccionado */}
+        <View style={styles.section}>
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Nombre</Text>
+            <TextInput
+              style={styles.textInput}
+              value={selectedGym.name}
+              onChangeText={name => updateSelectedGym({ name })}
+              placeholderTextColor={colors.textMuted}
+            />
+          </View>
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Unidad del material</Text>
+            <View style={styles.unitToggle}>
+              {WEIGHT_UNIT_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.unitOption, gymUnit === option.value && styles.unitOptionActive]}
+                  onPress={() => changeGymUnit(option.value)}
+                >
+                  <Text style={[styles.unitOptionText, gymUnit === option.value && styles.unitOptionTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Peso de la barra ({gymUnit})</Text>
+            <TextInput
+              style={styles.textInput}
+              value={String(selectedGym.barWeight)}
+              onChangeText={barWeight => updateSelectedGym({ barWeight })}
+              keyboardType="numeric"
+            />
+          </View>
+        </View>
+
+        {/* Discos */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Discos</Text>
+          <Text style={styles.sectionHint}>Cantidad total de discos de cada peso (se reparten entre los dos lados)</Text>
+          {selectedGym.plates.map(plate => (
+            <View key={plate.weight} style={styles.plateRow}>
+              <Text style={styles.plateWeight}>{plate.weight} {gymUnit}</Text>
+              <View style={styles.counter}>
+                <TouchableOpacity style={styles.counterButton} onPress={() => changePlateCount(plate.weight, -2)}>
+                  <Ionicons name="remove" size={18} color={colors.textPrimary} />
+                </TouchableOpacity>
+                <Text style={styles.counterValue}>{plate.count}</Text>
+                <TouchableOpacity style={styles.counterButton} onPress={() => changePlateCount(plate.weight, 2)}>
+                  <Ionicons name="add" size={18} color={colors.textPrimary} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
+          <View style={styles.addPlateRow}>
+            <TextInput
+              style={[styles.textInput, styles.addPlateInput]}
+              value={newPlate}
+              onChangeText={setNewPlate}
+              placeholder={`Peso del disco (${gymUnit})`}
+              placeholderTextColor={colors.textMuted}
+              keyboardType="numeric"
+            />
+            <TouchableOpacity style={styles.addPlateButton} onPress={addPlate}>
+              <Text style={styles.addPlateButtonText}>Añadir</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Mancuernas */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Mancuernas</Text>
+          <Text style={styles.sectionHint}>Pesos disponibles por mano ({gymUnit}), separados por comas</Text>
+          <TextInput
+            style={[styles.textInput, styles.textArea]}
+            value={dumbbellsText}
+            onChangeText={setDumbbellsText}
+            multiline
+            keyboardType="numbers-and-punctuation"
+          />
+        </View>
+
+        {gyms.length > 1 && (
+          <TouchableOpacity style={styles.deleteButton} onPress={deleteGym}>
+            <Ionicons name="trash-outline" size={18} color={colors.error} />
+            <Text style={styles.deleteButtonText}>Eliminar gimnasio</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    ...typography.h3,
+    flex: 1,
+    textAlign: 'center',
+  },
+  saveButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: 20,
+    backgroundColor: colors.surface,
+  },
+  saveButtonText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: spacing.lg,
+  },
+  section: {
+    marginBottom: spacing.xl,
+  },
+  sectionTitle: {
+    ...typography.h4,
+    marginBottom: spacing.md,
+  },
+  sectionHint: {
+    ...typography.caption,
+    color: colors.textMuted,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+  gymList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  gymChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: 20,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  gymChipSelected: {
+    borderColor: colors.primary,
+  },
+  gymChipIcon: {
+    marginRight: spacing.xs,
+  },
+  gymChipText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  gymChipTextSelected: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  linkButton: {
+    marginTop: spacing.xs,
+  },
+  linkButtonText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  inputContainer: {
+    marginBottom: spacing.md,
+  },
+  inputLabel: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+    fontWeight: '500',
+  },
+  textInput: {
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    fontSize: 16,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  unitToggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    padding: 2,
+  },
+  unitOption: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  unitOptionActive: {
+    backgroundColor: colors.primary,
+  },
+  unitOptionText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  unitOptionTextActive: {
+    color: colors.background,
+  },
+  textArea: {
+    height: 80,
+    textAlignVertical: 'top',
+  },
+  plateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: colors.surface,
+    borderRadius: 8,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  plateWeight: {
+    ...typography.body,
+    fontWeight: '600',
+  },
+  counter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  counterButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.background,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  counterValue: {
+    ...typography.body,
+    fontWeight: '600',
+    minWidth: 32,
+    textAlign: 'center',
+  },
+  addPlateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  addPlateInput: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  addPlateButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+  },
+  addPlateButtonText: {
+    ...typography.body,
+    color: colors.background,
+    fontWeight: '600',
+  },
+  deleteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: spacing.md,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  deleteButtonText: {
+    ...typography.body,
+    color: colors.error,
+    fontWeight: '600',
+    marginLeft: spacing.sm,
+  },
+});
+
+export default GymEquipment;
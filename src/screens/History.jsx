@@ -0,0 +1,331 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
+import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import { formatVolume } from '../utils/units';
+
+// La semana empieza en lunes
+const WEEKDAYS = ['L', 'M', 'X', 'J', 'V', 'S', 'D'];
+
+const toDateKey = (year, month, day) =>
+  `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Días del mes con huecos al principio y al final para completar semanas
+const getCalendarCells = (year, month) => {
+  const offset = (new Date(year, month, 1).getDay() + 6) % 7;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const cells = Array(offset).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) cells.push(day);
+  while (cells.length % 7 !== 0) cells.push(null);
+  return cells;
+};
+
+const History = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { user } = useAuth();
+  const { weightUnit } = usePreferences();
+  const today = new Date();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [visibleMonth, setVisibleMonth] = useState({ year: today.getFullYear(), month: today.getMonth() });
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  // Recargar al volver del detalle (puede haberse editado o borrado una sesión)
+  useFocusEffect(
+    useCallback(() => {
+      loadSessions();
+    }, [user?.uid])
+  );
+
+  const loadSessions = async () => {
+    if (!user) return;
+    const history = await WorkoutSessionService.getSessions(user.uid);
+    setSessions(history);
+    setLoading(false);
+  };
+
+  const changeMonth = (delta) => {
+    const date = new Date(visibleMonth.year, visibleMonth.month + delta, 1);
+    setVisibleMonth({ year: date.getFullYear(), month: date.getMonth() });
+    setSelectedDate(null);
+  };
+
+  const sessionsByDate = sessions.reduce((byDate, session) => {
+    const date = WorkoutSessionService.getSessionDate(session);
+    (byDate[date] = byDate[date] || []).push(session);
+    return byDate;
+  }, {});
+
+  const monthPrefix = toDateKey(visibleMonth.year, visibleMonth.month, 1).slice(0, 7);
+  const monthSessions = sessions.filter(session =>
+    WorkoutSessionService.getSessionDate(session).startsWith(monthPrefix)
+  );
+  const listedSessions = selectedDate ? sessionsByDate[selectedDate] || [] : monthSessions;
+  const todayKey = toDateKey(today.getFullYear(), today.getMonth(), today.getDate());
+
+  const monthLabel = new Date(visibleMonth.year, visibleMonth.month, 1)
+    .toLocaleDateString('es-ES', { month: 'long', year: 'numeric' });
+
+  const renderCalendar = () => (
+    <View style={styles.calendar}>
+      <View style={styles.monthHeader}>
+        <TouchableOpacity style={styles.monthButton} onPress={() => changeMonth(-1)}>
+          <Ionicons name="chevron-back" size={20} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.monthLabel}>{monthLabel}</Text>
+        <TouchableOpacity style={styles.monthButton} onPress={() => changeMonth(1)}>
+          <Ionicons name="chevron-forward" size={20} color={colors.textPrimary} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.weekRow}>
+        {WEEKDAYS.map(day => (
+          <Text key={day} style={styles.weekday}>{day}</Text>
+        ))}
+      </View>
+
+      <View style={styles.daysGrid}>
+        {getCalendarCells(visibleMonth.year, visibleMonth.month).map((day, index) => {
+          if (!day) return <View key={`empty_${index}`} style={styles.dayCell} />;
+
+          const dateKey = toDateKey(visibleMonth.year, visibleMonth.month, day);
+          const trained = !!sessionsByDate[dateKey];
+          const selected = selectedDate === dateKey;
+
+          return (
+            <TouchableOpacity
+              key={dateKey}
+              style={styles.dayCell}
+              onPress={() => setSelectedDate(selected ? null : dateKey)}
+              disabled={!trained}
+            >
+              <View style={[
+                styles.day,
+                trained && styles.trainedDay,
+                selected && styles.selectedDay,
+                dateKey === todayKey && styles.today,
+              ]}>
+                <Text style={[
+                  styles.dayText,
+                  trained && styles.trainedDayText,
+                  selected && styles.selectedDayText,
+                ]}>
+                  {day}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderSession = (session) => (
+    <TouchableOpacity
+      key={session.id}
+      style={styles.sessionCard}
+      onPress={() => navigation.navigate('WorkoutSummary', { sessionId: session.id })}
+    >
+      <View style={styles.sessionInfo}>
+        <Text style={styles.sessionDate}>
+          {new Date(session.completedAt).toLocaleDateString('es-ES', {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short'
+          })}
+        </Text>
+        <Text style={styles.sessionName}>{session.routineName}</Text>
+        <Text style={styles.sessionStats}>
+          {session.duration} min · {session.totalSets} sets · {formatVolume(session.totalVolume, weightUnit)}
+        </Text>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color={colors.textMuted} />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={globalStyles.container}>
+      <StatusBar style="light" />
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={[styles.contentContainer, { paddingBottom: insets.bottom + spacing.xl }]}
+        showsVerticalScrollIndicator={false}
+      >
+        {/* Header */}
+        <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
+          <Text style={styles.headerTitle}>Historial</Text>
+        </View>
+
+        {renderCalendar()}
+
+        <Text style={styles.sectionTitle}>
+          {selectedDate
+            ? new Date(`${selectedDate}T12:00:00`).toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long' })
+            : `${monthSessions.length} ${monthSessions.length === 1 ? 'entrenamiento' : 'entrenamientos'} este mes`}
+        </Text>
+
+        {loading ? (
+          <ActivityIndicator size="large" color={colors.primary} />
+        ) : listedSessions.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="calendar-outline" size={48} color={colors.textMuted} />
+            <Text style={styles.emptyText}>No hay entrenamientos este mes</Text>
+            <Text style={styles.emptySubtext}>Los entrenamientos que completes aparecerán aquí</Text>
+          </View>
+        ) : (
+          listedSessions.map(renderSession)
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  scrollView: {
+    flex: 1,
+  },
+  contentContainer: {
+    paddingHorizontal: spacing.lg,
+  },
+  header: {
+    marginBottom: spacing.lg,
+  },
+  headerTitle: {
+    ...typography.h2,
+  },
+  calendar: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.lg,
+  },
+  monthHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.md,
+  },
+  monthButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: colors.background,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  monthLabel: {
+    ...typography.h4,
+    textTransform: 'capitalize',
+  },
+  weekRow: {
+    flexDirection: 'row',
+    marginBottom: spacing.xs,
+  },
+  weekday: {
+    ...typography.caption,
+    color: colors.textMuted,
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+  },
+  daysGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  dayCell: {
+    width: `${100 / 7}%`,
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  day: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  trainedDay: {
+    backgroundColor: colors.primary + '30',
+  },
+  selectedDay: {
+    backgroundColor: colors.primary,
+  },
+  today: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  dayText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  trainedDayText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  selectedDayText: {
+    color: colors.background,
+  },
+  sectionTitle: {
+    ...typography.h4,
+    marginBottom: spacing.md,
+  },
+  sessionCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  sessionInfo: {
+    flex: 1,
+  },
+  sessionDate: {
+    ...typography.caption,
+    color: colors.primary,
+    textTransform: 'capitalize',
+    marginBottom: spacing.xs,
+  },
+  sessionName: {
+    ...typography.body,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  sessionStats: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: spacing.xxl,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginTop: spacing.md,
+  },
+  emptySubtext: {
+    ...typography.caption,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginTop: spacing.xs,
+  },
+});
+
+export default History;
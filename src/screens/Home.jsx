@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState, useCallback } from 'react';
 import {
   View,
   Text,
@@ -7,15 +7,24 @@ import {
   Image,
   SafeAreaView,
   StyleSheet,
+  Alert,
 } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { globalStyles, colors, spacing } from '../styles/globalStyles';
 import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import { RoutineService } from '../services/routineService';
+import { ADHERENCE_WEEKS } from '../utils/streaks';
 
 const Home = ({ navigation }) => {
   const insets = useSafeAreaInsets();
   const { user } = useAuth();
+  const { preferences, bodyweight } = usePreferences();
+  const [stats, setStats] = useState(null);
+  const workoutFrequency = preferences?.workoutFrequency;
 
   // Get user name from auth context or use a default
   const userName = user?.displayName || 'Usuario';
@@ -26,6 +35,48 @@ const Home = ({ navigation }) => {
     day: 'numeric',
   });
 
+  // Al arrancar, ofrecer reanudar un entrenamiento que quedó a medias
+  useEffect(() => {
+    if (user) {
+      checkActiveWorkout();
+    }
+  }, [user?.uid]);
+
+  // Rachas y adherencia: se recalculan al volver a la pestaña (p. ej. tras entrenar)
+  useFocusEffect(
+    useCallback(() => {
+      if (user) loadStats();
+    }, [user?.uid, workoutFrequency, bodyweight])
+  );
+
+  const loadStats = async () => {
+    setStats(await RoutineService.getUserStats(user.uid, workoutFrequency, bodyweight));
+  };
+
+  const checkActiveWorkout = async () => {
+    const activeWorkout = await WorkoutSessionService.getActiveWorkout(user.uid);
+    if (!activeWorkout) return;
+
+    Alert.alert(
+      'Entrenamiento en curso',
+      `Tienes un entrenamiento de "${activeWorkout.routine.name}" sin terminar. ¿Quieres continuar donde lo dejaste?`,
+      [
+        {
+          text: 'Descartar',
+          style: 'destructive',
+          onPress: () => WorkoutSessionService.clearActiveWorkout(user.uid)
+        },
+        {
+          text: 'Reanudar',
+          onPress: () => navigation.navigate('WorkoutTracker', {
+            routine: activeWorkout.routine,
+            resumeWorkout: activeWorkout
+          })
+        }
+      ]
+    );
+  };
+
   const quickActions = [
     {
       id: 1,
@@ -43,6 +94,13 @@ const Home = ({ navigation }) => {
     },
     {
       id: 3,
+      title: 'Volumen Muscular',
+      icon: '📊',
+      color: colors.warning,
+      onPress: () => navigation.navigate('Progress'),
+    },
+    {
+      id: 4,
       title: 'Configuración',
       icon: '⚙️',
       color: colors.success,
@@ -98,6 +156,49 @@ const Home = ({ navigation }) => {
           </TouchableOpacity>
         </View>
 
+        {/* Consistency */}
+        {stats && (
+          <View style={styles.sectionContainer}>
+            <Text style={styles.sectionTitle}>Tu constancia</Text>
+            <View style={styles.weekCard}>
+              <Text style={styles.weekTitle}>
+                Esta semana: {stats.thisWeek} de {stats.weeklyTarget} entrenamientos
+              </Text>
+              <View style={styles.weekDots}>
+                {Array.from({ length: Math.max(stats.weeklyTarget, stats.thisWeek) }, (_, index) => (
+                  <View key={index} style={[styles.weekDot, index < stats.thisWeek && styles.weekDotDone]} />
+                ))}
+              </View>
+              <Text style={styles.weekDetail}>
+                Racha de entrenos: {stats.currentStreak} (puedes descansar hasta {stats.restDays}{' '}
+                {stats.restDays === 1 ? 'día' : 'días'} seguidos sin perderla)
+              </Text>
+              {stats.weeklyCalories > 0 && (
+                <Text style={[styles.weekDetail, styles.weekCalories]}>
+                  Gasto estimado esta semana: ≈ {stats.weeklyCalories.toLocaleString('es-ES')} kcal
+                </Text>
+              )}
+            </View>
+            <View style={styles.statsContainer}>
+              <View style={styles.statCard}>
+                <Text style={styles.statIcon}>🔥</Text>
+                <Text style={styles.statNumber}>{stats.currentWeekStreak}</Text>
+                <Text style={styles.statLabel}>Semanas cumpliendo</Text>
+              </View>
+              <View style={styles.statCard}>
+                <Text style={styles.statIcon}>🎯</Text>
+                <Text style={styles.statNumber}>{stats.adherence === null ? '—' : `${stats.adherence}%`}</Text>
+                <Text style={styles.statLabel}>Adherencia ({ADHERENCE_WEEKS} sem.)</Text>
+              </View>
+              <View style={styles.statCard}>
+                <Text style={styles.statIcon}>🏆</Text>
+                <Text style={styles.statNumber}>{stats.longestWeekStreak}</Text>
+                <Text style={styles.statLabel}>Mejor racha (sem.)</Text>
+              </View>
+            </View>
+          </View>
+        )}
+
         {/* Quick Actions */}
         <View style={styles.sectionContainer}>
           <Text style={styles.sectionTitle}>Acciones Rápidas</Text>
@@ -251,6 +352,43 @@ const styles = StyleSheet.create({
     flex: 1,
     marginHorizontal: spacing.xs,
   },
+  weekCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  weekTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.sm,
+  },
+  weekDots: {
+    flexDirection: 'row',
+    marginBottom: spacing.sm,
+  },
+  weekDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.xs,
+  },
+  weekDotDone: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  weekDetail: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  weekCalories: {
+    marginTop: spacing.xs,
+  },
   statIcon: {
     fontSize: 20,
     marginBottom: spacing.xs,
@@ -0,0 +1,404 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  TextInput,
+  FlatList,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
+import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { DataImportService } from '../services/dataImportService';
+import { parseImportFile, IMPORT_SOURCES } from '../utils/csvImport';
+import { WEIGHT_UNIT_OPTIONS } from '../utils/units';
+
+// Importar el historial de Strong, Hevy o FitNotes: elegir archivo -> revisar ejercicios -> importar
+const ImportData = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { user } = useAuth();
+  const { weightUnit, bodyweight } = usePreferences();
+  // Strong no indica la unidad en el CSV: se pregunta y por defecto es la del usuario
+  const [fileUnit, setFileUnit] = useState(weightUnit);
+  const [parsed, setParsed] = useState(null);
+  const [catalog, setCatalog] = useState([]);
+  const [matches, setMatches] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [matchingName, setMatchingName] = useState(null);
+  const [search, setSearch] = useState('');
+
+  const pickFile = async () => {
+    try {
+      setBusy(true);
+      const file = await DataImportService.pickCsvFile();
+      if (!file) return;
+
+      const result = parseImportFile(file.text, fileUnit);
+      if (result.workouts.length === 0) {
+        Alert.alert('Archivo vacío', 'No se encontraron entrenamientos en el archivo');
+        return;
+      }
+
+      const matched = await DataImportService.matchExercises(result.exerciseNames);
+      setParsed(result);
+      setCatalog(matched.catalog);
+      setMatches(matched.matches);
+    } catch (error) {
+      Alert.alert('No se pudo leer el archivo', error.message);
+      console.error('Error al leer el archivo de importación:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runImport = async () => {
+    try {
+      setBusy(true);
+      const { imported, duplicates } = await DataImportService.importWorkouts(user.uid, parsed, matches, { bodyweight });
+      Alert.alert(
+        'Importación completada',
+        `${imported} ${imported === 1 ? 'entrenamiento importado' : 'entrenamientos importados'}` +
+          (duplicates > 0 ? `\n${duplicates} ya estaban en tu historial y se han omitido` : ''),
+        [{ text: 'Ver historial', onPress: () => navigation.navigate('MainTabs', { screen: 'HistoryTab' }) }]
+      );
+    } catch (error) {
+      Alert.alert('Error', 'No se pudieron importar los entrenamientos');
+      console.error('Error al importar los entrenamientos:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openMatching = (name) => {
+    setSearch('');
+    setMatchingName(name);
+  };
+
+  const chooseMatch = (exercise) => {
+    setMatches({ ...matches, [matchingName]: exercise });
+    setMatchingName(null);
+  };
+
+  // Sin emparejar primero para revisarlos antes
+  const exerciseNames = parsed
+    ? [...parsed.exerciseNames].sort((a, b) => Number(!!matches[a]) - Number(!!matches[b]))
+    : [];
+  const unmatchedCount = exerciseNames.filter(name => !matches[name]).length;
+  const searchTerm = search.trim().toLowerCase();
+  const searchResults = catalog
+    .filter(exercise => !searchTerm || exercise.name.toLowerCase().includes(searchTerm))
+    .slice(0, 50);
+
+  const renderPickStep = () => (
+    <View>
+      <Text style={styles.description}>
+        Exporta tus entrenamientos a CSV desde Strong, Hevy o FitNotes y elige el archivo. Los
+        entrenamientos que ya estén en tu historial no se duplicarán.
+      </Text>
+
+      <Text style={styles.label}>Unidad de los pesos (exportaciones de Strong)</Text>
+      <View style={styles.unitOptions}>
+        {WEIGHT_UNIT_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.unitOption, fileUnit === option.value && styles.unitOptionActive]}
+            onPress={() => setFileUnit(option.value)}
+          >
+            <Text style={[styles.unitOptionText, fileUnit === option.value && styles.unitOptionTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <TouchableOpacity style={globalStyles.primaryButton} onPress={pickFile} disabled={busy}>
+        <Text style={globalStyles.primaryButtonText}>Elegir archivo CSV</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderMatchStep = () => (
+    <View>
+      <View style={styles.summaryCard}>
+        <Text style={styles.summarySource}>{IMPORT_SOURCES[parsed.source].label}</Text>
+        <Text style={styles.summaryText}>
+          {parsed.workouts.length} entrenamientos · {parsed.exerciseNames.length} ejercicios
+        </Text>
+      </View>
+
+      <Text style={styles.sectionTitle}>Ejercicios</Text>
+      <Text style={styles.description}>
+        {unmatchedCount > 0
+          ? `${unmatchedCount} sin emparejar: toca para elegir el ejercicio equivalente o se guardarán con su nombre original.`
+          : 'Todos los ejercicios están emparejados con el catálogo. Toca uno para cambiarlo.'}
+      </Text>
+
+      {exerciseNames.map(name => (
+        <TouchableOpacity key={name} style={styles.matchRow} onPress={() => openMatching(name)}>
+          <View style={styles.matchInfo}>
+            <Text style={styles.matchSource}>{name}</Text>
+            <Text style={[styles.matchTarget, !matches[name] && styles.matchTargetMissing]}>
+              {matches[name] ? `→ ${matches[name].name}` : 'Sin emparejar'}
+            </Text>
+          </View>
+          <Ionicons
+            name={matches[name] ? 'checkmark-circle' : 'help-circle'}
+            size={20}
+            color={matches[name] ? colors.success : colors.warning}
+          />
+        </TouchableOpacity>
+      ))}
+
+      <TouchableOpacity style={[globalStyles.primaryButton, styles.importButton]} onPress={runImport} disabled={busy}>
+        <Text style={globalStyles.primaryButtonText}>Importar {parsed.workouts.length} entrenamientos</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.secondaryButton} onPress={() => setParsed(null)} disabled={busy}>
+        <Text style={styles.secondaryButtonText}>Elegir otro archivo</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={globalStyles.container}>
+      <StatusBar style="light" />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={22} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Importar historial</Text>
+        <View style={{ width: 40 }} />
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: insets.bottom + spacing.xl }}
+        showsVerticalScrollIndicator={false}
+      >
+        {busy && <ActivityIndicator size="large" color={colors.primary} style={styles.loader} />}
+        {parsed ? renderMatchStep() : renderPickStep()}
+      </ScrollView>
+
+      {/* Emparejar un ejercicio a mano */}
+      <Modal
+        visible={matchingName !== null}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setMatchingName(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, { paddingBottom: insets.bottom + spacing.lg }]}>
+            <Text style={styles.modalTitle}>{matchingName}</Text>
+            <TextInput
+              style={styles.searchInput}
+              value={search}
+              onChangeText={setSearch}
+              placeholder="Buscar en el catálogo"
+              placeholderTextColor={colors.textMuted}
+            />
+            <TouchableOpacity style={styles.keepOption} onPress={() => chooseMatch(null)}>
+              <Text style={styles.keepOptionText}>Mantener el nombre original</Text>
+            </TouchableOpacity>
+            <FlatList
+              data={searchResults}
+              keyExtractor={(item) => String(item.id)}
+              keyboardShouldPersistTaps="handled"
+              renderItem={({ item }) => (
+                <TouchableOpacity style={styles.catalogRow} onPress={() => chooseMatch(item)}>
+                  <Text style={styles.catalogName}>{item.name}</Text>
+                  <Text style={styles.catalogDetail}>{item.muscle} · {item.equipment}</Text>
+                </TouchableOpacity>
+              )}
+              ListEmptyComponent={
+                <Text style={styles.catalogDetail}>
+                  {catalog.length === 0 ? 'Catálogo no disponible sin conexión' : 'Sin resultados'}
+                </Text>
+              }
+            />
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setMatchingName(null)}>
+              <Text style={styles.secondaryButtonText}>Cancelar</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    ...typography.h3,
+    textAlign: 'center',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: spacing.lg,
+  },
+  loader: {
+    marginBottom: spacing.md,
+  },
+  description: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+  label: {
+    ...typography.body,
+    fontWeight: '600',
+    marginBottom: spacing.sm,
+  },
+  unitOptions: {
+    flexDirection: 'row',
+    marginBottom: spacing.xl,
+  },
+  unitOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    marginRight: spacing.sm,
+    borderRadius: 8,
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  unitOptionActive: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary + '20',
+  },
+  unitOptionText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  unitOptionTextActive: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  summaryCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.lg,
+  },
+  summarySource: {
+    ...typography.h4,
+    color: colors.primary,
+    marginBottom: spacing.xs,
+  },
+  summaryText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  sectionTitle: {
+    ...typography.h4,
+    marginBottom: spacing.sm,
+  },
+  matchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  matchInfo: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  matchSource: {
+    ...typography.body,
+    fontWeight: '600',
+  },
+  matchTarget: {
+    ...typography.caption,
+    color: colors.success,
+    marginTop: 2,
+  },
+  matchTargetMissing: {
+    color: colors.textMuted,
+  },
+  importButton: {
+    marginTop: spacing.lg,
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+  },
+  secondaryButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: spacing.lg,
+    maxHeight: '80%',
+  },
+  modalTitle: {
+    ...typography.h4,
+    textAlign: 'center',
+    marginBottom: spacing.md,
+  },
+  searchInput: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginBottom: spacing.sm,
+  },
+  keepOption: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  keepOptionText: {
+    ...typography.body,
+    color: colors.primary,
+  },
+  catalogRow: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  catalogName: {
+    ...typography.body,
+  },
+  catalogDetail: {
+    ...typography.caption,
+    color: colors.textMuted,
+  },
+});
+
+export default ImportData;
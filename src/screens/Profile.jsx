@@ -10,17 +10,27 @@ import {
   Linking,
   Switch,
   ActivityIndicator,
+  Modal,
+  TextInput,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons, MaterialIcons, Feather } from '@expo/vector-icons';
 import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
 import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { ONE_REP_MAX_FORMULAS } from '../utils/oneRepMax';
+import { WEIGHT_UNIT_OPTIONS, formatWeight, toDisplayWeight, fromDisplayWeight } from '../utils/units';
+import { validateWeight } from '../utils/validation';
+import { DataExportService } from '../services/dataExportService';
 
 const Profile = ({ navigation }) => {
   const insets = useSafeAreaInsets();
   const { user, logout } = useAuth();
+  const { oneRepMaxFormula, activeGym, weightUnit, bodyweight, updatePreferences } = usePreferences();
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [showBodyweightModal, setShowBodyweightModal] = useState(false);
+  const [bodyweightInput, setBodyweightInput] = useState('');
 
   // Función para formatear la fecha de membresía
   const getMemberSince = () => {
@@ -140,6 +150,97 @@ const Profile = ({ navigation }) => {
     );
   };
 
+  const handleOneRepMaxFormula = () => {
+    Alert.alert(
+      'Fórmula de 1RM',
+      'Elige cómo estimar tu repetición máxima a partir de tus sets',
+      [
+        ...Object.entries(ONE_REP_MAX_FORMULAS).map(([key, formula]) => ({
+          text: formula.label,
+          onPress: async () => {
+            try {
+              await updatePreferences({ oneRepMaxFormula: key });
+            } catch (error) {
+              Alert.alert('Error', 'No se pudo guardar la preferencia. Completa primero el cuestionario inicial.');
+              console.error('Error al guardar la fórmula de 1RM:', error);
+            }
+          }
+        })),
+      ],
+      // Android solo muestra tres botones: se cierra tocando fuera
+      { cancelable: true }
+    );
+  };
+
+  const handleWeightUnit = () => {
+    Alert.alert(
+      'Unidad de peso',
+      'Los pesos se mostrarán y se introducirán en esta unidad',
+      [
+        ...WEIGHT_UNIT_OPTIONS.map(option => ({
+          text: option.label,
+          onPress: async () => {
+            try {
+              await updatePreferences({ weightUnit: option.value });
+            } catch (error) {
+              Alert.alert('Error', 'No se pudo guardar la preferencia. Completa primero el cuestionario inicial.');
+              console.error('Error al guardar la unidad de peso:', error);
+            }
+          }
+        })),
+        { text: 'Cancelar', style: 'cancel' },
+      ]
+    );
+  };
+
+  const openBodyweight = () => {
+    setBodyweightInput(bodyweight ? String(toDisplayWeight(bodyweight, weightUnit)) : '');
+    setShowBodyweightModal(true);
+  };
+
+  // El peso corporal se guarda en kg y se usa en el volumen de los ejercicios de peso corporal
+  const saveBodyweight = async () => {
+    const validation = validateWeight(bodyweightInput, weightUnit);
+    if (!validation.isValid) {
+      Alert.alert('Peso no válido', validation.error);
+      return;
+    }
+
+    try {
+      await updatePreferences({ bodyweight: fromDisplayWeight(validation.value, weightUnit) });
+      setShowBodyweightModal(false);
+    } catch (error) {
+      Alert.alert('Error', 'No se pudo guardar la preferencia. Completa primero el cuestionario inicial.');
+      console.error('Error al guardar el peso corporal:', error);
+    }
+  };
+
+  // Se guarda como archivo y se comparte con la hoja nativa de compartir
+  const exportData = async (format) => {
+    try {
+      const content = format === 'csv'
+        ? await DataExportService.exportSetsCsv(user.uid, weightUnit)
+        : await DataExportService.exportJson(user.uid);
+
+      await DataExportService.shareExportFile(content, format, format === 'csv' ? 'gainz-sets' : 'gainz-backup');
+    } catch (error) {
+      Alert.alert('Error', 'No se pudieron exportar los datos');
+      console.error('Error al exportar los datos:', error);
+    }
+  };
+
+  const handleExportData = () => {
+    Alert.alert(
+      'Exportar datos',
+      'CSV: un set por fila para hojas de cálculo.\nJSON: copia completa de rutinas, entrenamientos y preferencias.',
+      [
+        { text: 'CSV', onPress: () => exportData('csv') },
+        { text: 'JSON', onPress: () => exportData('json') },
+        { text: 'Cancelar', style: 'cancel' },
+      ]
+    );
+  };
+
   const handleEditProfile = () => {
     Alert.alert('Editar Perfil', 'Función próximamente disponible');
   };
@@ -234,6 +335,53 @@ const Profile = ({ navigation }) => {
             <Text style={styles.editButtonText}>Editar</Text>
           </TouchableOpacity>
         </View>
+        {/* Training Settings Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Entrenamiento</Text>
+
+          <SettingItem
+            icon="calculator"
+            title="Fórmula de 1RM"
+            subtitle={ONE_REP_MAX_FORMULAS[oneRepMaxFormula]?.label || 'Epley'}
+            onPress={handleOneRepMaxFormula}
+          />
+
+          <SettingItem
+            icon="scale"
+            title="Unidad de peso"
+            subtitle={WEIGHT_UNIT_OPTIONS.find(option => option.value === weightUnit)?.label}
+            onPress={handleWeightUnit}
+          />
+
+          <SettingItem
+            icon="body"
+            title="Peso corporal"
+            subtitle={bodyweight ? formatWeight(bodyweight, weightUnit) : 'Sin registrar'}
+            onPress={openBodyweight}
+          />
+
+          <SettingItem
+            icon="barbell"
+            title="Material del gimnasio"
+            subtitle={`${activeGym.name} · barra de ${activeGym.barWeight}${activeGym.unit || 'kg'}`}
+            onPress={() => navigation.navigate('GymEquipment')}
+          />
+
+          <SettingItem
+            icon="download"
+            title="Exportar datos"
+            subtitle="CSV o copia completa en JSON"
+            onPress={handleExportData}
+          />
+
+          <SettingItem
+            icon="cloud-upload"
+            title="Importar historial"
+            subtitle="Desde Strong, Hevy o FitNotes"
+            onPress={() => navigation.navigate('ImportData')}
+          />
+        </View>
+
         {/* Support-Settings Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Ajustes y Soporte</Text>
@@ -277,6 +425,39 @@ const Profile = ({ navigation }) => {
           <Text style={styles.logoutButtonText}>Cerrar Sesión</Text>
         </TouchableOpacity>
       </ScrollView>
+
+      <Modal
+        visible={showBodyweightModal}
+        animationType="fade"
+        transparent
+        onRequestClose={() => setShowBodyweightModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Peso corporal ({weightUnit})</Text>
+            <Text style={styles.modalSubtitle}>
+              Se usa para calcular el volumen de dominadas, fondos y demás ejercicios de peso corporal
+            </Text>
+            <TextInput
+              style={styles.modalInput}
+              value={bodyweightInput}
+              onChangeText={setBodyweightInput}
+              keyboardType="numeric"
+              placeholder="0"
+              placeholderTextColor={colors.textMuted}
+              autoFocus
+            />
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalCancelButton} onPress={() => setShowBodyweightModal(false)}>
+                <Text style={styles.modalCancelButtonText}>Cancelar</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalSaveButton} onPress={saveBodyweight}>
+                <Text style={styles.modalSaveButtonText}>Guardar</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -441,6 +622,71 @@ const styles = StyleSheet.create({
     marginLeft: spacing.sm,
     fontWeight: '600',
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: colors.surface,
+    borderRadius: 16,
+    padding: spacing.xl,
+    width: '85%',
+    maxWidth: 400,
+  },
+  modalTitle: {
+    ...typography.h3,
+    textAlign: 'center',
+    marginBottom: spacing.xs,
+  },
+  modalSubtitle: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.lg,
+  },
+  modalInput: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    paddingVertical: spacing.md,
+    paddingHorizontal: spacing.lg,
+    fontSize: 18,
+    fontWeight: '600',
+    textAlign: 'center',
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginBottom: spacing.lg,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  modalCancelButton: {
+    flex: 0.45,
+    paddingVertical: spacing.md,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.background,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  modalCancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  modalSaveButton: {
+    flex: 0.45,
+    paddingVertical: spacing.md,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+  },
+  modalSaveButtonText: {
+    color: colors.background,
+    fontWeight: '600',
+  },
 });
 
 export default Profile;
\ No newline at end of file
@@ -0,0 +1,299 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { StatusBar } from 'expo-status-bar';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
+import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import {
+  getWeeklyMuscleVolume,
+  compareWithTargets,
+  WEEKLY_SET_TARGET,
+  FOCUS_WEEKLY_SET_TARGET,
+} from '../utils/muscleVolume';
+import { formatVolume } from '../utils/units';
+
+// Semanas que se pueden consultar (la media usa las cuatro más recientes completas)
+const WEEKS_SHOWN = 8;
+const AVERAGE_WEEKS = 4;
+// Escala de las barras: 25 sets llenan la barra
+const BAR_MAX_SETS = 25;
+
+const STATUS_COLORS = {
+  below: colors.warning,
+  within: colors.success,
+  above: colors.error,
+};
+
+const STATUS_LABELS = {
+  below: 'Por debajo',
+  within: 'En rango',
+  above: 'Por encima',
+};
+
+const Progress = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { user } = useAuth();
+  const { preferences, weightUnit } = usePreferences();
+  const [weeks, setWeeks] = useState([]);
+  const [weekIndex, setWeekIndex] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const bodyFocus = preferences?.bodyFocus || [];
+
+  useFocusEffect(
+    useCallback(() => {
+      loadVolume();
+    }, [user?.uid])
+  );
+
+  const loadVolume = async () => {
+    if (!user) return;
+    const sessions = await WorkoutSessionService.getSessions(user.uid);
+    setWeeks(getWeeklyMuscleVolume(sessions, WEEKS_SHOWN));
+    setLoading(false);
+  };
+
+  // Media de sets por grupo en las semanas completas anteriores a la actual
+  const getAverageSets = (group) => {
+    const previous = weeks.slice(1, AVERAGE_WEEKS + 1);
+    if (previous.length === 0) return 0;
+    const total = previous.reduce((sum, week) => sum + (week.muscles[group]?.sets || 0), 0);
+    return Math.round((total / previous.length) * 10) / 10;
+  };
+
+  const formatWeekLabel = (weekStart) => {
+    if (weekIndex === 0) return 'Esta semana';
+    if (weekIndex === 1) return 'Semana pasada';
+    const [year, month, day] = weekStart.split('-').map(Number);
+    return `Semana del ${new Date(year, month - 1, day).toLocaleDateString('es-ES', { day: 'numeric', month: 'short' })}`;
+  };
+
+  const week = weeks[weekIndex];
+  const rows = week ? compareWithTargets(week.muscles, bodyFocus) : [];
+
+  const renderRow = (row) => (
+    <View key={row.group} style={styles.muscleCard}>
+      <View style={styles.muscleHeader}>
+        <Text style={styles.muscleName}>{row.label}</Text>
+        {row.focus && (
+          <View style={styles.focusBadge}>
+            <Text style={styles.focusBadgeText}>Enfoque</Text>
+          </View>
+        )}
+        <Text style={styles.muscleSets}>{row.sets} sets</Text>
+      </View>
+
+      <View style={styles.barTrack}>
+        {/* Zona objetivo */}
+        {row.status !== null && (
+          <View
+            style={[
+              styles.targetZone,
+              {
+                left: `${(row.target.min / BAR_MAX_SETS) * 100}%`,
+                width: `${((row.target.max - row.target.min) / BAR_MAX_SETS) * 100}%`,
+              },
+            ]}
+          />
+        )}
+        <View
+          style={[
+            styles.barFill,
+            {
+              width: `${Math.min(row.sets / BAR_MAX_SETS, 1) * 100}%`,
+              backgroundColor: row.status ? STATUS_COLORS[row.status] : colors.textMuted,
+            },
+          ]}
+        />
+      </View>
+
+      <View style={styles.muscleFooter}>
+        <Text style={styles.muscleDetail}>
+          {row.status
+            ? `${STATUS_LABELS[row.status]} · objetivo ${row.target.min}–${row.target.max}`
+            : 'Sin objetivo'}
+        </Text>
+        <Text style={styles.muscleDetail}>
+          {formatVolume(row.volume, weightUnit)} · media {getAverageSets(row.group)}
+        </Text>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={globalStyles.container}>
+      <StatusBar style="light" />
+
+      {/* Header */}
+      <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
+        <TouchableOpacity style={styles.headerButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={22} color={colors.textPrimary} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Volumen por músculo</Text>
+        <View style={{ width: 40 }} />
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="large" color={colors.primary} />
+      ) : (
+        <ScrollView
+          style={styles.content}
+          contentContainerStyle={{ paddingBottom: insets.bottom + spacing.xl }}
+          showsVerticalScrollIndicator={false}
+        >
+          <View style={styles.weekSelector}>
+            <TouchableOpacity
+              style={styles.weekButton}
+              onPress={() => setWeekIndex(weekIndex + 1)}
+              disabled={weekIndex >= weeks.length - 1}
+            >
+              <Ionicons
+                name="chevron-back"
+                size={20}
+                color={weekIndex >= weeks.length - 1 ? colors.textMuted : colors.textPrimary}
+              />
+            </TouchableOpacity>
+            <Text style={styles.weekLabel}>{week && formatWeekLabel(week.weekStart)}</Text>
+            <TouchableOpacity
+              style={styles.weekButton}
+              onPress={() => setWeekIndex(weekIndex - 1)}
+              disabled={weekIndex === 0}
+            >
+              <Ionicons
+                name="chevron-forward"
+                size={20}
+                color={weekIndex === 0 ? colors.textMuted : colors.textPrimary}
+              />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.explanation}>
+            Sets duros por grupo muscular (sin calentamientos). Los músculos secundarios de cada
+            ejercicio suman medio set. Objetivo: {WEEKLY_SET_TARGET.min}–{WEEKLY_SET_TARGET.max} sets
+            por semana, {FOCUS_WEEKLY_SET_TARGET.min}–{FOCUS_WEEKLY_SET_TARGET.max} en tus grupos de enfoque.
+          </Text>
+
+          {rows.map(renderRow)}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    ...typography.h3,
+    textAlign: 'center',
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: spacing.lg,
+  },
+  weekSelector: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: spacing.md,
+  },
+  weekButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: colors.surface,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  weekLabel: {
+    ...typography.h4,
+  },
+  explanation: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+  muscleCard: {
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+  muscleHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  muscleName: {
+    ...typography.body,
+    fontWeight: '600',
+  },
+  focusBadge: {
+    backgroundColor: colors.primary + '20',
+    borderRadius: 6,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    marginLeft: spacing.sm,
+  },
+  focusBadgeText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  muscleSets: {
+    ...typography.body,
+    fontWeight: '600',
+    color: colors.primary,
+    marginLeft: 'auto',
+  },
+  barTrack: {
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: colors.background,
+    overflow: 'hidden',
+    marginBottom: spacing.sm,
+  },
+  targetZone: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    backgroundColor: colors.success + '30',
+  },
+  barFill: {
+    height: '100%',
+    borderRadius: 5,
+  },
+  muscleFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  muscleDetail: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+});
+
+export default Progress;
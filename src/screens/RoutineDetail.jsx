@@ -1,19 +1,25 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
   ScrollView,
   TouchableOpacity,
   StyleSheet,
+  Alert,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons, MaterialIcons } from '@expo/vector-icons';
 import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
+import { useAuth } from '../contexts/AuthContext';
+import { RoutineService } from '../services/routineService';
+import { PROGRESSION_SCHEMES, getProgressionRules } from '../utils/progressionEngine';
 
 const RoutineDetail = ({ route, navigation }) => {
   const insets = useSafeAreaInsets();
   const { routine } = route.params;
+  const { user } = useAuth();
+  const [progressionRules, setProgressionRules] = useState(getProgressionRules(routine));
 
   const getDifficultyColor = (difficulty) => {
     switch (difficulty) {
@@ -44,6 +50,18 @@ const RoutineDetail = ({ route, navigation }) => {
     });
   };
 
+  const handleProgressionScheme = async (scheme) => {
+    if (!user || scheme === progressionRules.scheme) return;
+
+    try {
+      const updatedRoutine = await RoutineService.updateProgressionRules(user.uid, routine.id, { scheme });
+      setProgressionRules(getProgressionRules(updatedRoutine));
+    } catch (error) {
+      console.error('Error updating progression rules:', error);
+      Alert.alert('Error', 'No se pudo actualizar la progresión de la rutina');
+    }
+  };
+
   return (
     <View style={globalStyles.container}>
       <StatusBar style="light" />
@@ -160,6 +178,34 @@ const RoutineDetail = ({ route, navigation }) => {
           </View>
         </View>
 
+        {/* Progression Section */}
+        {user && !routine.isHIIT && (
+          <View style={styles.progressionSection}>
+            <Text style={styles.sectionTitle}>Progresión</Text>
+            <Text style={styles.sectionSubtitle}>
+              Cómo se calcula el objetivo de tu próxima sesión en cada ejercicio
+            </Text>
+            {Object.entries(PROGRESSION_SCHEMES).map(([key, scheme]) => (
+              <TouchableOpacity
+                key={key}
+                style={[
+                  styles.progressionOption,
+                  progressionRules.scheme === key && styles.progressionOptionSelected
+                ]}
+                onPress={() => handleProgressionScheme(key)}
+              >
+                <View style={styles.progressionOptionInfo}>
+                  <Text style={styles.progressionOptionLabel}>{scheme.label}</Text>
+                  <Text style={styles.progressionOptionDescription}>{scheme.description}</Text>
+                </View>
+                {progressionRules.scheme === key && (
+                  <Ionicons name="checkmark-circle" size={22} color={colors.primary} />
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
         {/* Benefits Section */}
         <View style={styles.benefitsSection}>
           <Text style={styles.sectionTitle}>Beneficios de esta rutina</Text>
@@ -221,6 +267,34 @@ const RoutineDetail = ({ route, navigation }) => {
 };
 
 const styles = StyleSheet.create({
+  progressionSection: {
+    marginBottom: spacing.xl,
+  },
+  progressionOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  progressionOptionSelected: {
+    borderColor: colors.primary,
+  },
+  progressionOptionInfo: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  progressionOptionLabel: {
+    ...typography.body,
+    fontWeight: '600',
+  },
+  progressionOptionDescription: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
   header: {
     paddingHorizontal: spacing.lg,
     paddingBottom: spacing.md,
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useCallback } from 'react';
 import {
   View,
   Text,
@@ -6,15 +6,75 @@ import {
   TouchableOpacity,
   StyleSheet,
   Share,
+  Alert,
+  ActivityIndicator,
 } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
 import { StatusBar } from 'expo-status-bar';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons, MaterialIcons, Feather } from '@expo/vector-icons';
 import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
+import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import { formatRecordValue } from '../utils/personalRecords';
+import { formatSetIntensity, formatSetValue, formatDuration as formatSeconds } from '../utils/setFormatter';
+import { INTERVAL_PRESETS } from '../utils/intervalPresets';
+import { getMeasurementType, getSetLoad } from '../utils/exerciseMeasurement';
+import { getTargetSets, formatSetLabel, isWarmupSet, isDropSet } from '../utils/setTypes';
+import { formatVolume, formatWeight, convertWeight, WEIGHT_UNITS } from '../utils/units';
+import { estimateSessionCalories } from '../utils/calorieEstimator';
 
+// Se abre al terminar un entrenamiento (summary + exerciseData) o desde el historial (sessionId)
 const WorkoutSummary = ({ route, navigation }) => {
   const insets = useSafeAreaInsets();
-  const { summary, routine, exerciseData } = route.params;
+  const { user } = useAuth();
+  const { weightUnit, getExerciseUnit, bodyweight } = usePreferences();
+  const historySessionId = route.params.sessionId;
+  const [storedSession, setStoredSession] = useState(null);
+  const [loadingSession, setLoadingSession] = useState(!!historySessionId);
+
+  // Recargar al volver de la edición
+  useFocusEffect(
+    useCallback(() => {
+      if (historySessionId) loadStoredSession();
+    }, [historySessionId])
+  );
+
+  const loadStoredSession = async () => {
+    const session = await WorkoutSessionService.getSessionById(user.uid, historySessionId);
+    setStoredSession(session);
+    setLoadingSession(false);
+  };
+
+  if (historySessionId && !storedSession) {
+    return (
+      <View style={[globalStyles.container, styles.centered]}>
+        <StatusBar style="light" />
+        {loadingSession ? (
+          <ActivityIndicator size="large" color={colors.primary} />
+        ) : (
+          <>
+            <Text style={styles.motivationalMessage}>No se encontró este entrenamiento</Text>
+            <TouchableOpacity style={styles.notFoundButton} onPress={() => navigation.goBack()}>
+              <Text style={styles.secondaryButtonText}>Volver</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  }
+
+  const summary = storedSession ? WorkoutSessionService.toSummary(storedSession) : route.params.summary;
+  const exerciseData = storedSession ? storedSession.exercises : route.params.exerciseData;
+  const personalRecords = summary.personalRecords || [];
+  const interval = summary.interval;
+  // Las sesiones anteriores a la estimación de calorías se calculan al vuelo
+  const energy = estimateSessionCalories(
+    storedSession || { duration: summary.duration, interval, exercises: exerciseData },
+    bodyweight
+  );
+  const calories = summary.calories ?? energy.calories;
 
   const shareWorkout = async () => {
     try {
@@ -24,7 +84,8 @@ const WorkoutSummary = ({ route, navigation }) => {
         `🎯 Ejercicios: ${summary.exercises}\n` +
         `📊 Total sets: ${summary.totalSets}\n` +
         `🔥 Total reps: ${summary.totalReps}\n` +
-        `💪 Volumen total: ${summary.totalVolume.toFixed(1)}kg\n\n` +
+        `💪 Volumen total: ${formatVolume(summary.totalVolume, weightUnit)}\n` +
+        `⚡ Calorías estimadas: ${calories} kcal\n\n` +
         `¡Sigue tu progreso con Gainz!`;
 
       await Share.share({
@@ -35,6 +96,13 @@ const WorkoutSummary = ({ route, navigation }) => {
     }
   };
 
+  // Los ejercicios guardados usan `exerciseId`; el detalle espera el `id` de la biblioteca
+  const openExerciseDetail = (exercise) => {
+    navigation.navigate('ExerciseDetail', {
+      exercise: { ...exercise, id: exercise.exerciseId ?? exercise.id },
+    });
+  };
+
   const getMotivationalMessage = (rating) => {
     const messages = {
       excellent: "¡Increíble! Tuviste un entrenamiento excepcional. Sigue así y alcanzarás todas tus metas 🔥",
@@ -60,6 +128,29 @@ const WorkoutSummary = ({ route, navigation }) => {
     return `${hours}h ${mins}min`;
   };
 
+  const deleteSession = () => {
+    Alert.alert(
+      'Eliminar entrenamiento',
+      'Se borrará del historial y dejará de contar en tus estadísticas y récords.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await WorkoutSessionService.deleteSession(user.uid, historySessionId);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting workout session:', error);
+              Alert.alert('Error', 'No se pudo eliminar el entrenamiento');
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const rating = getRatingIcon(summary.rating);
 
   return (
@@ -68,7 +159,13 @@ const WorkoutSummary = ({ route, navigation }) => {
       
       {/* Header */}
       <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
-        <View style={{ width: 40 }} />
+        {historySessionId ? (
+          <TouchableOpacity style={styles.shareButton} onPress={() => navigation.goBack()}>
+            <Ionicons name="arrow-back" size={20} color={colors.textPrimary} />
+          </TouchableOpacity>
+        ) : (
+          <View style={{ width: 40 }} />
+        )}
         <Text style={styles.headerTitle}>Resumen del Entrenamiento</Text>
         <TouchableOpacity 
           style={styles.shareButton}
@@ -91,7 +188,14 @@ const WorkoutSummary = ({ route, navigation }) => {
           <Text style={styles.successTitle}>¡Entrenamiento Completado!</Text>
           <Text style={styles.routineName}>{summary.routine}</Text>
           <Text style={styles.motivationalMessage}>
-            {getMotivationalMessage(summary.rating)}
+            {historySessionId
+              ? new Date(summary.completedAt).toLocaleDateString('es-ES', {
+                  weekday: 'long',
+                  day: 'numeric',
+                  month: 'long',
+                  year: 'numeric'
+                })
+              : getMotivationalMessage(summary.rating)}
           </Text>
         </View>
 
@@ -132,15 +236,52 @@ const WorkoutSummary = ({ route, navigation }) => {
               <Text style={styles.volumeTitle}>Volumen Total</Text>
             </View>
             <Text style={styles.volumeNumber}>
-              {summary.totalVolume.toLocaleString('es-ES', { 
+              {convertWeight(summary.totalVolume, WEIGHT_UNITS.KG, weightUnit).toLocaleString('es-ES', { 
                 minimumFractionDigits: 1,
                 maximumFractionDigits: 1 
-              })} kg
+              })} {weightUnit}
             </Text>
             <Text style={styles.volumeDescription}>
               Peso total levantado en este entrenamiento
             </Text>
           </View>
+
+          {/* Calorías estimadas */}
+          <View style={[styles.volumeCard, styles.caloriesCard]}>
+            <View style={styles.volumeHeader}>
+              <Ionicons name="flame" size={24} color={colors.warning} />
+              <Text style={styles.volumeTitle}>Calorías estimadas</Text>
+            </View>
+            <Text style={styles.volumeNumber}>≈ {calories} kcal</Text>
+            <Text style={styles.volumeDescription}>
+              {energy.activeMinutes} min de trabajo y {energy.restMinutes} min de descanso
+              {energy.defaultBodyweight
+                ? ` con un peso de referencia de ${formatWeight(energy.bodyweight, weightUnit)}. Registra tu peso corporal en Perfil para afinarla`
+                : ` con un peso corporal de ${formatWeight(energy.bodyweight, weightUnit)}`}
+            </Text>
+          </View>
+
+          {/* Intervalos (rutinas HIIT) */}
+          {interval && (
+            <View style={[styles.volumeCard, styles.intervalCard]}>
+              <View style={styles.volumeHeader}>
+                <Ionicons name="timer" size={24} color={colors.primary} />
+                <Text style={styles.volumeTitle}>
+                  {INTERVAL_PRESETS[interval.preset]?.label || 'Intervalos'}
+                </Text>
+              </View>
+              <Text style={styles.volumeNumber}>
+                {interval.totalRounds
+                  ? `${interval.completedRounds}/${interval.totalRounds}`
+                  : interval.completedRounds} rondas
+              </Text>
+              <Text style={styles.volumeDescription}>
+                {interval.preset === 'amrap'
+                  ? 'Rondas completadas en el tiempo total'
+                  : `${interval.completedIntervals}/${interval.totalIntervals} intervalos · ${formatSeconds(interval.workSeconds)} de trabajo`}
+              </Text>
+            </View>
+          )}
         </View>
 
         {/* Exercise Breakdown */}
@@ -148,59 +289,78 @@ const WorkoutSummary = ({ route, navigation }) => {
           <Text style={styles.sectionTitle}>Desglose por Ejercicio</Text>
           
           {exerciseData.map((exercise, index) => (
-            <View key={index} style={styles.exerciseCard}>
+            <TouchableOpacity key={index} style={styles.exerciseCard} onPress={() => openExerciseDetail(exercise)}>
               <View style={styles.exerciseHeader}>
                 <Text style={styles.exerciseName}>{exercise.name}</Text>
                 <View style={styles.exerciseCompletion}>
+                  {exercise.skipped && (
+                    <Text style={styles.skippedLabel}>Saltado</Text>
+                  )}
                   {exercise.completed && (
                     <Ionicons name="checkmark-circle" size={20} color={colors.success} />
                   )}
                 </View>
               </View>
               
-              <Text style={styles.exerciseMuscle}>{exercise.muscle}</Text>
+              <Text style={styles.exerciseMuscle}>
+                {exercise.muscle}
+                {exercise.swappedFrom ? ` · en lugar de ${exercise.swappedFrom.name}` : ''}
+              </Text>
               
               <View style={styles.setsBreakdown}>
                 <Text style={styles.setsTitle}>
-                  Sets completados: {exercise.sets.length}
+                  Sets completados: {getTargetSets(exercise.sets).length}
                 </Text>
                 
                 {exercise.sets.map((set, setIndex) => (
-                  <View key={setIndex} style={styles.setRow}>
-                    <Text style={styles.setNumber}>Set {set.set}</Text>
+                  <View key={setIndex} style={[styles.setRow, isDropSet(set) && styles.dropSetRow]}>
+                    <Text style={styles.setNumber}>
+                      {isDropSet(set) ? '↳ ' : ''}{formatSetLabel(set)}
+                    </Text>
                     <Text style={styles.setData}>
-                      {set.weight}kg × {set.reps} reps
+                      {formatSetValue(set, getMeasurementType(exercise), getExerciseUnit(exercise))}
+                      {formatSetIntensity(set) ? ` @ ${formatSetIntensity(set)}` : ''}
                     </Text>
+                    {/* Los calentamientos y los sets sin carga × reps no suman volumen */}
                     <Text style={styles.setVolume}>
-                      {(set.weight * set.reps).toFixed(1)}kg
+                      {isWarmupSet(set) || getSetLoad(set) === null || !set.reps
+                        ? '—'
+                        : formatVolume(getSetLoad(set) * set.reps, getExerciseUnit(exercise))}
                     </Text>
                   </View>
                 ))}
               </View>
-            </View>
+            </TouchableOpacity>
           ))}
         </View>
 
         {/* Personal Records */}
         <View style={styles.recordsSection}>
-          <Text style={styles.sectionTitle}>Posibles Récords</Text>
-          <View style={styles.recordsContainer}>
-            <View style={styles.recordItem}>
-              <MaterialIcons name="emoji-events" size={20} color={colors.warning} />
-              <Text style={styles.recordText}>
-                Mayor volumen en {summary.routine}
-              </Text>
-            </View>
-            <View style={styles.recordItem}>
-              <Ionicons name="flash" size={20} color={colors.primary} />
-              <Text style={styles.recordText}>
-                Entrenamiento completado en {formatDuration(summary.duration)}
-              </Text>
+          <Text style={styles.sectionTitle}>Récords Personales</Text>
+          {personalRecords.length === 0 ? (
+            <Text style={styles.recordsNote}>
+              Esta vez no batiste ningún récord. ¡La próxima será!
+            </Text>
+          ) : (
+            <View style={styles.recordsContainer}>
+              {personalRecords.map((record, index) => {
+                const formatted = formatRecordValue(record, weightUnit);
+                return (
+                  <View key={`${record.type}_${index}`} style={styles.recordItem}>
+                    <MaterialIcons name="emoji-events" size={20} color={colors.warning} />
+                    <View style={styles.recordInfo}>
+                      <Text style={styles.recordText}>
+                        {record.label} en {record.exerciseName}: {formatted.value}
+                      </Text>
+                      <Text style={styles.recordPrevious}>
+                        Anterior: {formatted.previous}
+                      </Text>
+                    </View>
+                  </View>
+                );
+              })}
             </View>
-          </View>
-          <Text style={styles.recordsNote}>
-            * Los récords se confirmarán cuando tengas más datos de entrenamiento
-          </Text>
+          )}
         </View>
 
         {/* Notes Section */}
@@ -215,21 +375,36 @@ const WorkoutSummary = ({ route, navigation }) => {
       </ScrollView>
 
       {/* Action Buttons */}
-      <View style={[styles.actionButtons, { paddingBottom: insets.bottom + spacing.md }]}>
-        <TouchableOpacity 
-          style={styles.secondaryButton}
-          onPress={() => navigation.navigate('MainTabs', { screen: 'RoutinesTab' })}
-        >
-          <Text style={styles.secondaryButtonText}>Ver Rutinas</Text>
-        </TouchableOpacity>
-        
-        <TouchableOpacity 
-          style={styles.primaryButton}
-          onPress={() => navigation.navigate('MainTabs', { screen: 'HomeTab' })}
-        >
-          <Text style={styles.primaryButtonText}>Ir al Inicio</Text>
-        </TouchableOpacity>
-      </View>
+      {historySessionId ? (
+        <View style={[styles.actionButtons, { paddingBottom: insets.bottom + spacing.md }]}>
+          <TouchableOpacity style={[styles.secondaryButton, styles.deleteButton]} onPress={deleteSession}>
+            <Text style={styles.deleteButtonText}>Eliminar</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('EditSession', { sessionId: historySessionId })}
+          >
+            <Text style={styles.primaryButtonText}>Editar</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={[styles.actionButtons, { paddingBottom: insets.bottom + spacing.md }]}>
+          <TouchableOpacity 
+            style={styles.secondaryButton}
+            onPress={() => navigation.navigate('MainTabs', { screen: 'RoutinesTab' })}
+          >
+            <Text style={styles.secondaryButtonText}>Ver Rutinas</Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('MainTabs', { screen: 'HomeTab' })}
+          >
+            <Text style={styles.primaryButtonText}>Ir al Inicio</Text>
+          </TouchableOpacity>
+        </View>
+      )}
     </View>
   );
 };
@@ -333,6 +508,14 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: colors.success,
   },
+  intervalCard: {
+    marginTop: spacing.md,
+    borderLeftColor: colors.primary,
+  },
+  caloriesCard: {
+    marginTop: spacing.md,
+    borderLeftColor: colors.warning,
+  },
   volumeHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -376,6 +559,11 @@ const styles = StyleSheet.create({
   exerciseCompletion: {
     marginLeft: spacing.sm,
   },
+  skippedLabel: {
+    ...typography.small,
+    color: colors.textMuted,
+    fontWeight: '600',
+  },
   exerciseMuscle: {
     ...typography.small,
     color: colors.textMuted,
@@ -398,6 +586,9 @@ const styles = StyleSheet.create({
     paddingVertical: spacing.xs,
     paddingHorizontal: spacing.sm,
   },
+  dropSetRow: {
+    paddingLeft: spacing.lg,
+  },
   setNumber: {
     ...typography.small,
     color: colors.textMuted,
@@ -431,11 +622,17 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: spacing.sm,
   },
-  recordText: {
-    ...typography.body,
+  recordInfo: {
     marginLeft: spacing.sm,
     flex: 1,
   },
+  recordText: {
+    ...typography.body,
+  },
+  recordPrevious: {
+    ...typography.small,
+    color: colors.textMuted,
+  },
   recordsNote: {
     ...typography.small,
     color: colors.textMuted,
@@ -492,6 +689,25 @@ const styles = StyleSheet.create({
     color: colors.background,
     fontWeight: '600',
   },
+  deleteButton: {
+    borderColor: colors.error,
+  },
+  deleteButtonText: {
+    color: colors.error,
+    fontWeight: '600',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  notFoundButton: {
+    marginTop: spacing.md,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.lg,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
 });
 
 export default WorkoutSummary;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,19 +8,74 @@ import {
   StyleSheet,
   Modal,
   TextInput,
+  AppState,
+  Vibration,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
+import { Swipeable } from 'react-native-gesture-handler';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Ionicons, MaterialIcons, Feather } from '@expo/vector-icons';
 import { globalStyles, colors, spacing, typography } from '../styles/globalStyles';
 import { useAuth } from '../contexts/AuthContext';
+import { usePreferences } from '../contexts/PreferencesContext';
 import { RoutineService } from '../services/routineService';
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import { NotificationService } from '../services/notificationService';
+import { getAllExercises } from '../services/exerciseApi';
 import { FormValidationExample } from '../utils/validation';
+import { detectPersonalRecords } from '../utils/personalRecords';
+import { getBestOneRepMax } from '../utils/oneRepMax';
+import { describeSuggestion } from '../utils/progressionEngine';
+import {
+  RPE_OPTIONS,
+  RIR_OPTIONS,
+  formatSetIntensity,
+  formatSetValue,
+  formatDuration,
+} from '../utils/setFormatter';
+import {
+  FIELD_INPUTS,
+  getMeasurementType,
+  getMeasurementFields,
+  getTargetLabel,
+} from '../utils/exerciseMeasurement';
+import {
+  SET_TYPES,
+  SET_TYPE_OPTIONS,
+  getSetType,
+  getTargetSets,
+  groupSets,
+  renumberSets,
+  formatSetLabel,
+  isAmrapSet,
+} from '../utils/setTypes';
+import { getGroupIndexes, getGroupLabels, getGroupTypeLabel, getNextInGroup } from '../utils/exerciseGroups';
+import {
+  INTERVAL_PRESETS,
+  PHASE_TYPES,
+  getPresetConfig,
+  buildIntervalSchedule,
+  summarizeIntervals,
+} from '../utils/intervalPresets';
+import { WEIGHT_UNITS, formatWeight, toDisplayWeight, fromDisplayWeight } from '../utils/units';
+import { estimateSessionCalories } from '../utils/calorieEstimator';
+import IntervalTimer from '../components/IntervalTimer';
+import PlateCalculator from '../components/PlateCalculator';
 
 const WorkoutTracker = ({ route, navigation }) => {
   const insets = useSafeAreaInsets();
   const { user } = useAuth();
-  const { routine } = route.params;
+  const {
+    oneRepMaxFormula,
+    userEquipment,
+    activeGym,
+    weightUnit,
+    exerciseUnitOverrides,
+    getExerciseUnit,
+    bodyweight,
+    updatePreferences,
+  } = usePreferences();
+  const { routine, resumeWorkout } = route.params;
   
   // Estados principales
   const [workoutStartTime, setWorkoutStartTime] = useState(new Date());
@@ -29,53 +84,295 @@ const WorkoutTracker = ({ route, navigation }) => {
   const [exerciseData, setExerciseData] = useState([]);
   const [restTimer, setRestTimer] = useState(0);
   const [isResting, setIsResting] = useState(false);
+  const [restEndTime, setRestEndTime] = useState(null);
   const [showSetModal, setShowSetModal] = useState(false);
   const [workoutNotes, setWorkoutNotes] = useState('');
+  // Notas de cada ejercicio, compartidas entre rutinas (clave del ejercicio -> nota)
+  const [exerciseNotes, setExerciseNotes] = useState({});
+  const [showNotesModal, setShowNotesModal] = useState(false);
+  const [notesDraft, setNotesDraft] = useState({ workout: '', exercise: '' });
+  const [previousPerformance, setPreviousPerformance] = useState({});
+  const [nextTargets, setNextTargets] = useState({});
+
+  // Cambios sobre la rutina durante el entrenamiento (se guardan con la sesión)
+  const [deviations, setDeviations] = useState([]);
+  const [isReordering, setIsReordering] = useState(false);
+  // Selector de ejercicios: 'add' para añadir uno nuevo, 'swap' para cambiar el actual
+  const [pickerMode, setPickerMode] = useState(null);
+  const [pickerExercises, setPickerExercises] = useState([]);
+  const [pickerQuery, setPickerQuery] = useState('');
+  const [pickerLoading, setPickerLoading] = useState(false);
+
+  // Modo de intervalos (rutinas HIIT)
+  const isIntervalMode = !!(routine.isHIIT || routine.workoutPlan?.format === 'HIIT');
+  const [intervalPreset, setIntervalPreset] = useState('hiit');
+  const [intervalPhases, setIntervalPhases] = useState(null);
+  // Fase actual, intervalos y rondas completados (para reanudar el temporizador)
+  const [intervalProgress, setIntervalProgress] = useState(null);
 
   // Estados del modal de sets
   const [currentSet, setCurrentSet] = useState(1);
   const [weight, setWeight] = useState('');
+  const [addedWeight, setAddedWeight] = useState('');
   const [reps, setReps] = useState('');
+  const [duration, setDuration] = useState('');
+  const [distance, setDistance] = useState('');
+  const [intensityMode, setIntensityMode] = useState('rpe');
+  const [rpe, setRpe] = useState(null);
+  const [rir, setRir] = useState(null);
+  const [setType, setSetType] = useState(SET_TYPES.WORKING);
+  // Set ya registrado que se está editando ({ exerciseIndex, setIndex }) o null si es uno nuevo
+  const [editingSet, setEditingSet] = useState(null);
+  const [showPlateCalculator, setShowPlateCalculator] = useState(false);
+
+  // Evita seguir guardando checkpoints una vez terminado o cancelado el entrenamiento
+  const checkpointEnabled = useRef(true);
+
+  // Momento en que la app volvió a primer plano (para no avisar de un descanso ya notificado)
+  const lastActiveAt = useRef(0);
+  const [resyncAt, setResyncAt] = useState(0);
 
   useEffect(() => {
-    initializeWorkout();
+    if (resumeWorkout) {
+      restoreWorkout(resumeWorkout);
+    } else {
+      initializeWorkout();
+    }
+    NotificationService.requestPermissions();
   }, []);
 
+  // Recalcular el descanso al volver a primer plano
   useEffect(() => {
-    let interval;
-    if (isResting && restTimer > 0) {
-      interval = setInterval(() => {
-        setRestTimer(prev => {
-          if (prev <= 1) {
-            setIsResting(false);
-            Alert.alert('¡Descanso terminado!', 'Es hora del siguiente set');
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
+    let appState = AppState.currentState;
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (appState !== 'active' && nextState === 'active') {
+        lastActiveAt.current = Date.now();
+        setResyncAt(Date.now());
+      }
+      appState = nextState;
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Cargar lo que el usuario hizo la última vez en cada ejercicio
+  useEffect(() => {
+    if (isWorkoutActive) {
+      loadPreviousPerformance();
+      loadNextTargets();
+      loadExerciseNotes();
     }
+  }, [isWorkoutActive]);
+
+  // Guardar checkpoint del entrenamiento en curso en cada cambio
+  useEffect(() => {
+    if (!isWorkoutActive || !checkpointEnabled.current) return;
+
+    WorkoutSessionService.saveActiveWorkout(user.uid, {
+      routine,
+      exerciseData,
+      currentExerciseIndex,
+      currentSet,
+      workoutStartTime: workoutStartTime.toISOString(),
+      workoutNotes,
+      deviations,
+      restEndTime: isResting ? restEndTime : null,
+      intervalPreset,
+      intervalPhases,
+      intervalProgress,
+    });
+  }, [
+    isWorkoutActive, exerciseData, currentExerciseIndex, currentSet, workoutStartTime, workoutNotes, deviations,
+    isResting, restEndTime, intervalPreset, intervalPhases, intervalProgress,
+  ]);
+
+  // El descanso se calcula contra la hora de fin, así no se congela ni se desfasa en segundo plano
+  useEffect(() => {
+    if (!isResting || !restEndTime) return;
+
+    const tick = () => {
+      const remaining = Math.ceil((restEndTime - Date.now()) / 1000);
+      if (remaining > 0) {
+        setRestTimer(remaining);
+        return;
+      }
+      // Si terminó mientras la app estaba en segundo plano, ya avisó la notificación
+      const endedInBackground = restEndTime <= lastActiveAt.current;
+      finishRest(!endedInBackground);
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
     return () => clearInterval(interval);
-  }, [isResting, restTimer]);
+  }, [isResting, restEndTime, resyncAt]);
 
   const initializeWorkout = () => {
     // Inicializar datos de ejercicios basado en el plan de entrenamiento
     const workoutPlan = routine.workoutPlan || createDefaultWorkoutPlan();
     
-    const initialData = workoutPlan.exercises.map((exercise, index) => ({
-      ...exercise,
-      completed: false,
-      sets: [],
-      currentSet: 1,
-      totalSets: parseInt(exercise.sets) || 3,
-      targetReps: exercise.reps || '8-12',
-      restTime: parseInt(exercise.restTime) || 60,
-    }));
+    const initialData = workoutPlan.exercises.map(exercise => toTrackerExercise(exercise, workoutPlan));
 
     setExerciseData(initialData);
     setIsWorkoutActive(true);
   };
 
+  // Ejercicio del plan (o del catálogo) con el estado que necesita el tracker
+  const toTrackerExercise = (exercise, workoutPlan = {}) => ({
+    ...exercise,
+    completed: false,
+    sets: [],
+    currentSet: 1,
+    measurement: getMeasurementType(exercise),
+    totalSets: parseInt(exercise.sets) || parseInt(workoutPlan.rounds) || 3,
+    targetReps: exercise.reps || exercise.workTime || '8-12',
+    amrapSets: exercise.amrapSets || [],
+    restTime: parseInt(exercise.restTime) || 60,
+  });
+
+  const restoreWorkout = (checkpoint) => {
+    setExerciseData(checkpoint.exerciseData);
+    setCurrentExerciseIndex(checkpoint.currentExerciseIndex);
+    setCurrentSet(checkpoint.currentSet);
+    setWorkoutStartTime(new Date(checkpoint.workoutStartTime));
+    setWorkoutNotes(checkpoint.workoutNotes || '');
+    setDeviations(checkpoint.deviations || []);
+    setIntervalPreset(checkpoint.intervalPreset || 'hiit');
+    setIntervalPhases(checkpoint.intervalPhases || null);
+    setIntervalProgress(checkpoint.intervalProgress || null);
+
+    // Reanudar el descanso si todavía no había terminado
+    const remaining = checkpoint.restEndTime
+      ? Math.ceil((checkpoint.restEndTime - Date.now()) / 1000)
+      : 0;
+    if (remaining > 0) {
+      setRestEndTime(checkpoint.restEndTime);
+      setRestTimer(remaining);
+      setIsResting(true);
+      NotificationService.scheduleRestEnd(checkpoint.restEndTime);
+    }
+
+    setIsWorkoutActive(true);
+  };
+
+  const loadPreviousPerformance = async (exercises = exerciseData) => {
+    const previous = await WorkoutSessionService.getPreviousPerformance(user.uid, exercises);
+    setPreviousPerformance(previous);
+  };
+
+  const loadNextTargets = async (exercises = exerciseData) => {
+    const targets = await RoutineService.getNextTargets(user.uid, routine, exercises, activeGym, getExerciseUnit);
+    setNextTargets(targets);
+  };
+
+  const loadExerciseNotes = async () => {
+    const notes = await WorkoutSessionService.getExerciseNotes(user.uid);
+    setExerciseNotes(notes);
+  };
+
+  const getExerciseNote = (exercise) =>
+    exerciseNotes[WorkoutSessionService.getExerciseKey(exercise)]?.text || '';
+
+  const openNotes = () => {
+    setNotesDraft({ workout: workoutNotes, exercise: getExerciseNote(currentExercise) });
+    setShowNotesModal(true);
+  };
+
+  // La nota del entrenamiento va con la sesión; la del ejercicio se guarda para la próxima vez
+  const saveNotes = async () => {
+    setWorkoutNotes(notesDraft.workout.trim());
+
+    if (!isIntervalMode && notesDraft.exercise.trim() !== getExerciseNote(currentExercise)) {
+      try {
+        const notes = await WorkoutSessionService.saveExerciseNote(user.uid, currentExercise, notesDraft.exercise);
+        setExerciseNotes(notes);
+      } catch (error) {
+        console.error('Error saving exercise note:', error);
+        Alert.alert('Error', 'No se pudo guardar la nota del ejercicio');
+        return;
+      }
+    }
+    setShowNotesModal(false);
+  };
+
+  const getSuggestedSet = (exercise, setNumber) => {
+    const suggestion = nextTargets[WorkoutSessionService.getExerciseKey(exercise)];
+    if (!suggestion) return null;
+    return suggestion.sets.find(set => set.set === setNumber) || suggestion.sets[suggestion.sets.length - 1];
+  };
+
+  const getPreviousSet = (exercise, setNumber) => {
+    const previous = previousPerformance[WorkoutSessionService.getExerciseKey(exercise)];
+    if (!previous) return null;
+    // Mismo número de set; si la última vez se hicieron menos sets, usar el último
+    const sets = getTargetSets(previous.sets);
+    return sets.find(set => set.set === setNumber) || sets[sets.length - 1];
+  };
+
+  // 1RM estimado actual: lo mejor de hoy o, si aún no hay sets, de la última sesión
+  const getCurrentOneRepMax = (exercise) => {
+    const today = getBestOneRepMax(exercise.sets, oneRepMaxFormula);
+    if (today) return today.e1rm;
+    const previous = previousPerformance[WorkoutSessionService.getExerciseKey(exercise)];
+    return previous ? getBestOneRepMax(previous.sets, oneRepMaxFormula)?.e1rm || null : null;
+  };
+
+  const openSetModal = (type = null) => {
+    const exercise = exerciseData[currentExerciseIndex];
+    const initialType = type || (isAmrapSet(exercise, currentSet) ? SET_TYPES.AMRAP : SET_TYPES.WORKING);
+    // Prioridad: objetivo sugerido por la progresión; si no, lo de la última vez
+    // Los drop sets y calentamientos se rellenan a mano
+    const prefill = initialType === SET_TYPES.DROP || initialType === SET_TYPES.WARMUP
+      ? null
+      : getSuggestedSet(exercise, currentSet) || getPreviousSet(exercise, currentSet);
+    setEditingSet(null);
+    setSetType(initialType);
+    fillSetInputs(prefill, getExerciseUnit(exercise));
+    setShowSetModal(true);
+  };
+
+  const openEditSet = (exerciseIndex, setIndex) => {
+    const set = exerciseData[exerciseIndex].sets[setIndex];
+    setEditingSet({ exerciseIndex, setIndex });
+    setSetType(getSetType(set));
+    fillSetInputs(set, getExerciseUnit(exerciseData[exerciseIndex]));
+    setIntensityMode(set.rir !== null && set.rir !== undefined ? 'rir' : 'rpe');
+    setRpe(set.rpe ?? null);
+    setRir(set.rir ?? null);
+    setShowSetModal(true);
+  };
+
+  const closeSetModal = () => {
+    setShowSetModal(false);
+    setShowPlateCalculator(false);
+    setEditingSet(null);
+    fillSetInputs(null);
+    setRpe(null);
+    setRir(null);
+  };
+
+  // Rellenar (o vaciar) los campos del modal a partir de un set (el peso en la unidad del ejercicio)
+  const fillSetInputs = (set, unit = weightUnit) => {
+    setWeight(set?.weight ? String(toDisplayWeight(set.weight, unit)) : '');
+    setAddedWeight(set?.addedWeight ? String(toDisplayWeight(set.addedWeight, unit)) : '');
+    setReps(set?.reps ? String(set.reps) : '');
+    setDuration(set?.duration ? formatDuration(set.duration) : '');
+    setDistance(set?.distance ? String(set.distance) : '');
+  };
+
+  const setInputValues = { weight, addedWeight, reps, duration, distance };
+  const setInputSetters = {
+    weight: setWeight,
+    addedWeight: setAddedWeight,
+    reps: setReps,
+    duration: setDuration,
+    distance: setDistance,
+  };
+
+  const stopCheckpointing = async () => {
+    checkpointEnabled.current = false;
+    NotificationService.cancelRestEnd();
+    await WorkoutSessionService.clearActiveWorkout(user.uid);
+  };
+
   const createDefaultWorkoutPlan = () => {
     return {
       exercises: routine.exercises.map((exercise, index) => ({
@@ -89,62 +386,236 @@ const WorkoutTracker = ({ route, navigation }) => {
   };
 
   const startRestTimer = (seconds) => {
+    const endTime = Date.now() + seconds * 1000;
+    setRestEndTime(endTime);
     setRestTimer(seconds);
     setIsResting(true);
+    NotificationService.scheduleRestEnd(endTime);
   };
 
-  const completeSet = () => {
-    // Validar los datos del set
-    const validation = FormValidationExample.workoutSet(weight, reps);
+  // Sumar o restar segundos al descanso en curso
+  const adjustRestTimer = (seconds) => {
+    const endTime = restEndTime + seconds * 1000;
+    if (endTime <= Date.now()) {
+      skipRestTimer();
+      return;
+    }
+    setRestEndTime(endTime);
+    setRestTimer(Math.ceil((endTime - Date.now()) / 1000));
+    NotificationService.scheduleRestEnd(endTime);
+  };
+
+  const finishRest = (notify) => {
+    setIsResting(false);
+    setRestEndTime(null);
+    setRestTimer(0);
+    NotificationService.cancelRestEnd();
+    if (notify) {
+      Vibration.vibrate(500);
+      Alert.alert('¡Descanso terminado!', 'Es hora del siguiente set');
+    }
+  };
+
+  // Validar solo los datos que registra el tipo de ejercicio (null si hay errores)
+  // El peso se valida en la unidad del ejercicio y se devuelve en kg
+  const validateSetInputs = (exercise) => {
+    const unit = getExerciseUnit(exercise);
+    const validation = FormValidationExample.measuredSet(
+      getMeasurementFields(getMeasurementType(exercise)),
+      setInputValues,
+      intensityMode === 'rpe' ? rpe : null,
+      intensityMode === 'rir' ? rir : null,
+      unit
+    );
     
     if (!validation.isValid) {
       const errorMessages = Object.values(validation.errors).join('\n');
       Alert.alert('Datos incorrectos', errorMessages);
+      return null;
+    }
+    ['weight', 'addedWeight'].forEach(field => {
+      if (validation.values[field] !== undefined) {
+        validation.values[field] = fromDisplayWeight(validation.values[field], unit);
+      }
+    });
+    return validation;
+  };
+
+  // Cambiar la unidad de un ejercicio cuyo material está marcado en la otra unidad
+  const changeExerciseUnit = async (exercise, unit) => {
+    const currentUnit = getExerciseUnit(exercise);
+    if (unit === currentUnit) return;
+
+    const key = WorkoutSessionService.getExerciseKey(exercise);
+    const overrides = { ...exerciseUnitOverrides };
+    if (unit === weightUnit) {
+      delete overrides[key];
+    } else {
+      overrides[key] = unit;
+    }
+
+    try {
+      await updatePreferences({ exerciseUnitOverrides: overrides });
+      // El peso ya escrito se convierte para que siga siendo el mismo peso real
+      const convert = (value) => String(toDisplayWeight(fromDisplayWeight(parseFloat(value), currentUnit), unit));
+      if (parseFloat(weight) > 0) setWeight(convert(weight));
+      if (parseFloat(addedWeight)) setAddedWeight(convert(addedWeight));
+    } catch (error) {
+      console.error('Error saving exercise unit:', error);
+      Alert.alert('Error', 'No se pudo guardar la unidad del ejercicio');
+    }
+  };
+
+  // Número de set y estado de completado coherentes tras editar o borrar sets
+  const recomputeExerciseState = (exercise) => {
+    const sets = renumberSets(exercise.sets);
+    return { ...exercise, sets, completed: getTargetSets(sets).length >= exercise.totalSets };
+  };
+
+  const getNextSetNumber = (exercise) =>
+    Math.min(getTargetSets(exercise.sets).length + 1, exercise.totalSets);
+
+  const applyExerciseChange = (exerciseIndex, exercise) => {
+    const updatedExerciseData = [...exerciseData];
+    updatedExerciseData[exerciseIndex] = recomputeExerciseState(exercise);
+    setExerciseData(updatedExerciseData);
+    if (exerciseIndex === currentExerciseIndex) {
+      setCurrentSet(getNextSetNumber(updatedExerciseData[exerciseIndex]));
+    }
+  };
+
+  const saveEditedSet = () => {
+    const { exerciseIndex, setIndex } = editingSet;
+    const exercise = exerciseData[exerciseIndex];
+    const validation = validateSetInputs(exercise);
+    if (!validation) return;
+
+    const sets = [...exercise.sets];
+    const editedSet = {
+      ...sets[setIndex],
+      type: setType,
+      rpe: validation.values.rpe,
+      rir: validation.values.rir,
+    };
+    getMeasurementFields(getMeasurementType(exercise)).forEach(field => {
+      editedSet[field] = validation.values[field];
+    });
+    if (editedSet.addedWeight !== undefined) {
+      editedSet.bodyweight = editedSet.bodyweight || bodyweight;
+    }
+    sets[setIndex] = editedSet;
+
+    applyExerciseChange(exerciseIndex, { ...exercise, sets });
+    closeSetModal();
+  };
+
+  const deleteSet = (exerciseIndex, setIndex) => {
+    const exercise = exerciseData[exerciseIndex];
+    applyExerciseChange(exerciseIndex, {
+      ...exercise,
+      sets: exercise.sets.filter((_, index) => index !== setIndex)
+    });
+  };
+
+  const completeSet = () => {
+    if (editingSet) {
+      saveEditedSet();
       return;
     }
 
     const currentExercise = exerciseData[currentExerciseIndex];
+    const fields = getMeasurementFields(getMeasurementType(currentExercise));
+    const validation = validateSetInputs(currentExercise);
+    if (!validation) return;
+
     const newSet = {
       set: currentSet,
-      weight: validation.values.weight,
-      reps: validation.values.reps,
+      type: setType,
+      rpe: validation.values.rpe,
+      rir: validation.values.rir,
       timestamp: new Date().toISOString()
     };
+    fields.forEach(field => {
+      newSet[field] = validation.values[field];
+    });
+    // El peso corporal de hoy queda en el set para que el volumen no cambie al actualizarlo
+    if (fields.includes('addedWeight')) {
+      newSet.bodyweight = bodyweight;
+    }
 
     const updatedExerciseData = [...exerciseData];
-    updatedExerciseData[currentExerciseIndex].sets.push(newSet);
-    
-    // Verificar si completó todos los sets del ejercicio
-    const totalSets = updatedExerciseData[currentExerciseIndex].totalSets;
-    if (currentSet >= totalSets) {
-      updatedExerciseData[currentExerciseIndex].completed = true;
-      Alert.alert(
-        '¡Ejercicio completado!',
-        `Has terminado ${currentExercise.name}`,
-        [
-          {
-            text: 'Siguiente ejercicio',
-            onPress: () => moveToNextExercise()
-          }
-        ]
-      );
+
+    if (setType === SET_TYPES.DROP || setType === SET_TYPES.WARMUP) {
+      // Calentamientos y drop sets no avanzan el número de set ni inician descanso
+      if (setType === SET_TYPES.DROP) {
+        const parent = getTargetSets(currentExercise.sets).pop();
+        if (!parent) {
+          Alert.alert('Drop set', 'Registra primero el set al que pertenece el drop set');
+          return;
+        }
+        newSet.set = parent.set;
+        newSet.parentSet = parent.set;
+      } else {
+        newSet.set = null;
+      }
+      updatedExerciseData[currentExerciseIndex].sets.push(newSet);
     } else {
-      // Iniciar descanso automático
-      const restTime = updatedExerciseData[currentExerciseIndex].restTime;
-      startRestTimer(restTime);
-      setCurrentSet(currentSet + 1);
+      const exercise = updatedExerciseData[currentExerciseIndex];
+      exercise.sets.push(newSet);
+
+      // Verificar si completó todos los sets del ejercicio
+      if (currentSet >= exercise.totalSets) {
+        exercise.completed = true;
+      }
+
+      // En superseries y circuitos se alterna entre los ejercicios del grupo set a set
+      const group = getGroupIndexes(updatedExerciseData, currentExerciseIndex);
+      const nextInGroup = getNextInGroup(updatedExerciseData, currentExerciseIndex, isExerciseDone);
+
+      if (nextInGroup === null) {
+        Alert.alert(
+          '¡Ejercicio completado!',
+          group.length > 1
+            ? `Has terminado ${getGroupTypeLabel(exercise.groupType).toLowerCase()}`
+            : `Has terminado ${currentExercise.name}`,
+          [
+            {
+              text: 'Añadir drop set',
+              onPress: () => openSetModal(SET_TYPES.DROP)
+            },
+            {
+              text: 'Siguiente ejercicio',
+              onPress: () => moveToNextExercise()
+            }
+          ]
+        );
+      } else if (group.length > 1) {
+        // Sin descanso hasta terminar la vuelta al grupo
+        if (nextInGroup <= currentExerciseIndex) {
+          startRestTimer(exercise.restTime);
+        }
+        goToExercise(nextInGroup, updatedExerciseData);
+      } else {
+        // Iniciar descanso automático
+        startRestTimer(exercise.restTime);
+        setCurrentSet(currentSet + 1);
+      }
     }
 
     setExerciseData(updatedExerciseData);
-    setShowSetModal(false);
-    setWeight('');
-    setReps('');
+    closeSetModal();
+  };
+
+  const goToExercise = (index, data = exerciseData) => {
+    setCurrentExerciseIndex(index);
+    setCurrentSet(getNextSetNumber(data[index]));
   };
 
   const moveToNextExercise = () => {
-    if (currentExerciseIndex < exerciseData.length - 1) {
-      setCurrentExerciseIndex(currentExerciseIndex + 1);
-      setCurrentSet(1);
+    // Saltar al primer ejercicio después del grupo actual
+    const nextIndex = Math.max(...getGroupIndexes(exerciseData, currentExerciseIndex)) + 1;
+    if (nextIndex < exerciseData.length) {
+      goToExercise(nextIndex);
     } else {
       // Workout completado
       completeWorkout();
@@ -153,18 +624,242 @@ const WorkoutTracker = ({ route, navigation }) => {
 
   const moveToPreviousExercise = () => {
     if (currentExerciseIndex > 0) {
-      setCurrentExerciseIndex(currentExerciseIndex - 1);
-      const prevExercise = exerciseData[currentExerciseIndex - 1];
-      setCurrentSet(prevExercise.sets.length + 1);
+      goToExercise(currentExerciseIndex - 1);
     }
   };
 
-  const skipRestTimer = () => {
-    setIsResting(false);
-    setRestTimer(0);
+  const skipRestTimer = () => finishRest(false);
+
+  // Un ejercicio saltado cuenta como terminado para avanzar
+  const isExerciseDone = (exercise) => exercise.completed || !!exercise.skipped;
+
+  const getExerciseRef = (exercise) => ({ id: exercise.id ?? null, name: exercise.name });
+
+  const addDeviation = (deviation) => {
+    setDeviations(previous => [...previous, { ...deviation, timestamp: new Date().toISOString() }]);
   };
 
-  const completeWorkout = async () => {
+  const openExercisePicker = async (mode) => {
+    const exercise = exerciseData[currentExerciseIndex];
+    if (mode === 'swap' && getTargetSets(exercise.sets).length > 0) {
+      Alert.alert('Cambiar ejercicio', 'Solo puedes cambiar un ejercicio antes de registrar sus sets');
+      return;
+    }
+
+    setPickerMode(mode);
+    setPickerQuery('');
+    setPickerExercises([]);
+    setPickerLoading(true);
+    try {
+      const exercises = mode === 'swap'
+        ? await RoutineService.getAlternativeExercises(exercise, userEquipment, exerciseData)
+        : await getAllExercises();
+      setPickerExercises(exercises);
+    } catch (error) {
+      console.error('Error loading exercises:', error);
+      Alert.alert('Error', 'No se pudieron cargar los ejercicios');
+      setPickerMode(null);
+    } finally {
+      setPickerLoading(false);
+    }
+  };
+
+  const closeExercisePicker = () => {
+    setPickerMode(null);
+    setPickerExercises([]);
+    setPickerQuery('');
+  };
+
+  const selectPickerExercise = (exercise) => {
+    if (pickerMode === 'swap') {
+      swapCurrentExercise(exercise);
+    } else {
+      addExercise(exercise);
+    }
+    closeExercisePicker();
+  };
+
+  // Añadir un ejercicio del catálogo justo después del grupo actual
+  const addExercise = (exercise) => {
+    const insertAt = Math.max(...getGroupIndexes(exerciseData, currentExerciseIndex)) + 1;
+    const updatedExerciseData = [...exerciseData];
+    updatedExerciseData.splice(insertAt, 0, toTrackerExercise(exercise));
+
+    setExerciseData(updatedExerciseData);
+    addDeviation({ type: 'added', exercise: getExerciseRef(exercise), position: insertAt + 1 });
+    loadPreviousPerformance(updatedExerciseData);
+    loadNextTargets(updatedExerciseData);
+  };
+
+  // Cambiar el ejercicio actual por una alternativa manteniendo su prescripción
+  const swapCurrentExercise = (exercise) => {
+    const current = exerciseData[currentExerciseIndex];
+    // Los calentamientos ya registrados solo se conservan si se miden igual (kg × reps, tiempo...)
+    const sameMeasurement = getMeasurementType(exercise) === getMeasurementType(current);
+    const replacement = {
+      ...toTrackerExercise({
+        ...exercise,
+        sets: current.totalSets,
+        reps: current.targetReps,
+        restTime: current.restTime,
+        amrapSets: current.amrapSets,
+      }),
+      groupId: current.groupId,
+      groupType: current.groupType,
+      sets: sameMeasurement ? current.sets : [],
+      swappedFrom: current.swappedFrom || getExerciseRef(current),
+    };
+    const updatedExerciseData = [...exerciseData];
+    updatedExerciseData[currentExerciseIndex] = replacement;
+
+    setExerciseData(updatedExerciseData);
+    addDeviation({ type: 'swapped', from: getExerciseRef(current), to: getExerciseRef(exercise) });
+    loadPreviousPerformance(updatedExerciseData);
+    loadNextTargets(updatedExerciseData);
+  };
+
+  const skipCurrentExercise = () => {
+    const exercise = exerciseData[currentExerciseIndex];
+    Alert.alert(
+      'Saltar ejercicio',
+      `¿Quieres saltar ${exercise.name}? Quedará registrado en la sesión.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Saltar',
+          style: 'destructive',
+          onPress: () => {
+            const updatedExerciseData = [...exerciseData];
+            updatedExerciseData[currentExerciseIndex] = { ...exercise, skipped: true };
+            setExerciseData(updatedExerciseData);
+            addDeviation({ type: 'skipped', exercise: getExerciseRef(exercise) });
+
+            // Dentro de un grupo se sigue con el resto; si no queda nada, al siguiente ejercicio
+            // (en el último se queda aquí para finalizar con el botón)
+            const nextInGroup = getNextInGroup(updatedExerciseData, currentExerciseIndex, isExerciseDone);
+            const nextIndex = Math.max(...getGroupIndexes(updatedExerciseData, currentExerciseIndex)) + 1;
+            if (nextInGroup !== null) {
+              goToExercise(nextInGroup, updatedExerciseData);
+            } else if (nextIndex < updatedExerciseData.length) {
+              goToExercise(nextIndex, updatedExerciseData);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Deshacer un salto: el ejercicio vuelve a estar pendiente
+  const resumeSkippedExercise = () => {
+    const exercise = exerciseData[currentExerciseIndex];
+    const updatedExerciseData = [...exerciseData];
+    updatedExerciseData[currentExerciseIndex] = { ...exercise, skipped: false };
+    setExerciseData(updatedExerciseData);
+
+    // Se quita solo el último salto de este ejercicio (por clave, no por nombre):
+    // si el mismo ejercicio está dos veces, el salto del otro se mantiene
+    const key = WorkoutSessionService.getExerciseKey(exercise);
+    const skipIndex = deviations.map(deviation =>
+      deviation.type === 'skipped' && WorkoutSessionService.getExerciseKey(deviation.exercise) === key
+    ).lastIndexOf(true);
+    if (skipIndex !== -1) {
+      setDeviations(deviations.filter((_, index) => index !== skipIndex));
+    }
+  };
+
+  // Mover un ejercicio pendiente (con su grupo) una posición arriba o abajo
+  // Solo se reordena lo que va después del grupo actual
+  const moveUpcomingExercise = (index, direction) => {
+    const block = getGroupIndexes(exerciseData, index);
+    const neighbourIndex = direction === 'up' ? Math.min(...block) - 1 : Math.max(...block) + 1;
+    const firstUpcoming = Math.max(...getGroupIndexes(exerciseData, currentExerciseIndex)) + 1;
+    if (neighbourIndex < firstUpcoming || neighbourIndex >= exerciseData.length) return;
+
+    const neighbour = getGroupIndexes(exerciseData, neighbourIndex);
+    const [first, second] = direction === 'up' ? [block, neighbour] : [neighbour, block];
+    const start = Math.min(...second);
+    const end = Math.max(...first);
+    const updatedExerciseData = [
+      ...exerciseData.slice(0, start),
+      ...first.map(i => exerciseData[i]),
+      ...second.map(i => exerciseData[i]),
+      ...exerciseData.slice(end + 1),
+    ];
+
+    setExerciseData(updatedExerciseData);
+    addDeviation({
+      type: 'reordered',
+      exercise: getExerciseRef(exerciseData[index]),
+      from: index + 1,
+      to: updatedExerciseData.indexOf(exerciseData[index]) + 1,
+    });
+  };
+
+  // Preguntar si los cambios (salvo los saltos) se guardan también en la rutina
+  const askToUpdateRoutine = (finalExerciseData) => new Promise(resolve => {
+    Alert.alert(
+      'Cambios en la rutina',
+      'Has cambiado ejercicios durante el entrenamiento. ¿Quieres guardar estos cambios en la rutina?',
+      [
+        { text: 'Solo esta vez', style: 'cancel', onPress: resolve },
+        {
+          text: 'Actualizar rutina',
+          onPress: async () => {
+            try {
+              await RoutineService.applyWorkoutChanges(user.uid, routine.id, finalExerciseData);
+            } catch (error) {
+              console.error('Error updating routine:', error);
+              Alert.alert('Error', 'No se pudo actualizar la rutina');
+            }
+            resolve();
+          }
+        }
+      ],
+      { cancelable: false }
+    );
+  });
+
+  const startIntervals = () => {
+    const config = getPresetConfig(intervalPreset, routine.workoutPlan);
+    setIntervalProgress(null);
+    setIntervalPhases(buildIntervalSchedule(intervalPreset, exerciseData, config));
+  };
+
+  const handleIntervalsFinished = ({ completedIndexes, amrapRounds }) => {
+    const interval = summarizeIntervals(intervalPreset, intervalPhases, completedIndexes, amrapRounds);
+
+    if (interval.completedIntervals === 0 && interval.completedRounds === 0) {
+      setIntervalPhases(null);
+      Alert.alert('Sin intervalos', 'No completaste ningún intervalo. Puedes volver a empezar.');
+      return;
+    }
+
+    // Cada intervalo de trabajo completado se registra como un set de tiempo
+    const updatedExerciseData = exerciseData.map(exercise => ({ ...exercise, sets: [], completed: false }));
+    completedIndexes.forEach(index => {
+      const phase = intervalPhases[index];
+      if (phase.exerciseIndex === null) return;
+      const exercise = updatedExerciseData[phase.exerciseIndex];
+      exercise.sets.push({
+        set: exercise.sets.length + 1,
+        type: SET_TYPES.WORKING,
+        duration: phase.duration,
+        timestamp: new Date().toISOString()
+      });
+    });
+    updatedExerciseData.forEach((exercise, index) => {
+      const scheduled = intervalPhases.filter(phase =>
+        phase.type === PHASE_TYPES.WORK && phase.exerciseIndex === index
+      ).length;
+      // En AMRAP no hay intervalos por ejercicio: cuenta haber completado alguna ronda
+      exercise.completed = scheduled > 0 ? exercise.sets.length >= scheduled : interval.completedRounds > 0;
+    });
+
+    setExerciseData(updatedExerciseData);
+    completeWorkout(updatedExerciseData, { interval });
+  };
+
+  const completeWorkout = async (finalExerciseData = exerciseData, extra = {}) => {
     try {
       Alert.alert(
         '¡Entrenamiento completado! 🎉',
@@ -172,15 +867,15 @@ const WorkoutTracker = ({ route, navigation }) => {
         [
           {
             text: 'Muy bien',
-            onPress: () => finalizeWorkout('excellent')
+            onPress: () => finalizeWorkout('excellent', finalExerciseData, extra)
           },
           {
             text: 'Bien',
-            onPress: () => finalizeWorkout('good')
+            onPress: () => finalizeWorkout('good', finalExerciseData, extra)
           },
           {
             text: 'Regular',
-            onPress: () => finalizeWorkout('okay')
+            onPress: () => finalizeWorkout('okay', finalExerciseData, extra)
           }
         ]
       );
@@ -189,37 +884,47 @@ const WorkoutTracker = ({ route, navigation }) => {
     }
   };
 
-  const finalizeWorkout = async (rating) => {
+  const finalizeWorkout = async (rating, finalExerciseData = exerciseData, extra = {}) => {
     try {
       // Marcar rutina como completada
       await RoutineService.markRoutineCompleted(user.uid, routine.id);
       
-      // Calcular estadísticas del entrenamiento
-      const workoutDuration = Math.floor((new Date() - workoutStartTime) / 60000); // en minutos
-      const totalSets = exerciseData.reduce((sum, ex) => sum + ex.sets.length, 0);
-      const totalReps = exerciseData.reduce((sum, ex) => 
-        sum + ex.sets.reduce((setSum, set) => setSum + set.reps, 0), 0
-      );
-      const totalVolume = exerciseData.reduce((sum, ex) => 
-        sum + ex.sets.reduce((setSum, set) => setSum + (set.weight * set.reps), 0), 0
-      );
-
-      const workoutSummary = {
-        routine: routine.name,
-        duration: workoutDuration,
-        totalSets,
-        totalReps,
-        totalVolume,
+      const sessionData = WorkoutSessionService.buildSession({
+        routine,
+        exerciseData: finalExerciseData,
+        startedAt: workoutStartTime,
         rating,
-        exercises: exerciseData.length,
-        notes: workoutNotes
-      };
+        notes: workoutNotes,
+        deviations
+      });
+
+      // Comparar con el historial antes de guardar para detectar récords
+      const previousSessions = await WorkoutSessionService.getSessions(user.uid);
+      const personalRecords = detectPersonalRecords(sessionData.exercises, previousSessions, oneRepMaxFormula);
+
+      // Las calorías se estiman con el peso corporal de hoy y quedan guardadas con la sesión
+      const calories = estimateSessionCalories({ ...sessionData, ...extra }, bodyweight).calories;
+
+      // Guardar la sesión completa (sets, pesos, reps, valoración y notas)
+      const session = await WorkoutSessionService.saveSession(user.uid, {
+        ...sessionData,
+        ...extra,
+        personalRecords,
+        calories
+      });
+
+      await stopCheckpointing();
+
+      // La rutina solo se modifica si el usuario lo pide
+      if (deviations.some(deviation => deviation.type !== 'skipped')) {
+        await askToUpdateRoutine(finalExerciseData);
+      }
 
       // Mostrar resumen y navegar de vuelta
       navigation.replace('WorkoutSummary', { 
-        summary: workoutSummary,
+        summary: WorkoutSessionService.toSummary(session),
         routine,
-        exerciseData 
+        exerciseData: finalExerciseData
       });
 
     } catch (error) {
@@ -237,7 +942,10 @@ const WorkoutTracker = ({ route, navigation }) => {
         { 
           text: 'Cancelar entrenamiento', 
           style: 'destructive',
-          onPress: () => navigation.goBack()
+          onPress: async () => {
+            await stopCheckpointing();
+            navigation.goBack();
+          }
         }
       ]
     );
@@ -255,35 +963,213 @@ const WorkoutTracker = ({ route, navigation }) => {
     return formatTime(duration);
   };
 
+  // Sets registrados de un ejercicio: toca para editar, desliza para borrar
+  const renderSetRows = (exercise, exerciseIndex) => {
+    const exerciseMeasurement = getMeasurementType(exercise);
+    const renderRow = (set, isDrop) => (
+      <Swipeable
+        key={`${set.timestamp}-${set.index}`}
+        overshootRight={false}
+        renderRightActions={() => (
+          <TouchableOpacity
+            style={styles.deleteSetAction}
+            onPress={() => deleteSet(exerciseIndex, set.index)}
+          >
+            <Ionicons name="trash" size={18} color={colors.textPrimary} />
+            <Text style={styles.deleteSetActionText}>Eliminar</Text>
+          </TouchableOpacity>
+        )}
+      >
+        <TouchableOpacity
+          style={[styles.completedSet, isDrop && styles.dropSet]}
+          onPress={() => openEditSet(exerciseIndex, set.index)}
+        >
+          <Text style={styles.setNumber}>{isDrop ? '↳ ' : ''}{formatSetLabel(set)}</Text>
+          <Text style={styles.setData}>
+            {formatSetValue(set, exerciseMeasurement, getExerciseUnit(exercise))}
+            {formatSetIntensity(set) ? `  ·  ${formatSetIntensity(set)}` : ''}
+          </Text>
+        </TouchableOpacity>
+      </Swipeable>
+    );
+
+    // Guardar el índice original para poder editar o borrar tras agrupar
+    return groupSets(exercise.sets.map((set, index) => ({ ...set, index }))).map(set => (
+      <View key={`${set.timestamp}-${set.index}`}>
+        {renderRow(set, false)}
+        {set.drops.map(drop => renderRow(drop, true))}
+      </View>
+    ));
+  };
+
+  const renderHeader = () => (
+        <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
+          <TouchableOpacity 
+            style={styles.cancelButton}
+            onPress={cancelWorkout}
+          >
+            <Ionicons name="close" size={24} color={colors.error} />
+          </TouchableOpacity>
+        
+          <View style={styles.headerCenter}>
+            <Text style={styles.routineName}>{routine.name}</Text>
+            <Text style={styles.workoutTime}>{getWorkoutDuration()}</Text>
+          </View>
+        
+          <TouchableOpacity style={styles.notesButton} onPress={openNotes}>
+            <Feather
+              name="edit-3"
+              size={20}
+              color={workoutNotes || (!isIntervalMode && getExerciseNote(currentExercise)) ? colors.primary : colors.textMuted}
+            />
+          </TouchableOpacity>
+        </View>
+  );
+
+  const renderNotesModal = () => (
+      <Modal
+        visible={showNotesModal}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setShowNotesModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Notas</Text>
+
+            <Text style={styles.notesLabel}>Entrenamiento de hoy</Text>
+            <TextInput
+              style={styles.notesInput}
+              placeholder="Cómo te has sentido, molestias, cambios..."
+              placeholderTextColor={colors.textMuted}
+              value={notesDraft.workout}
+              onChangeText={text => setNotesDraft(draft => ({ ...draft, workout: text }))}
+              multiline
+            />
+
+            {!isIntervalMode && (
+              <>
+                <Text style={styles.notesLabel}>{currentExercise.name}</Text>
+                <TextInput
+                  style={styles.notesInput}
+                  placeholder="Altura del asiento, agarre, ajustes de la máquina..."
+                  placeholderTextColor={colors.textMuted}
+                  value={notesDraft.exercise}
+                  onChangeText={text => setNotesDraft(draft => ({ ...draft, exercise: text }))}
+                  multiline
+                />
+                <Text style={styles.notesHint}>Aparecerá cada vez que hagas este ejercicio, en cualquier rutina</Text>
+              </>
+            )}
+
+            <View style={[styles.modalButtons, styles.notesButtons]}>
+              <TouchableOpacity style={styles.modalCancelButton} onPress={() => setShowNotesModal(false)}>
+                <Text style={styles.modalCancelButtonText}>Cancelar</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalSaveButton} onPress={saveNotes}>
+                <Text style={styles.modalSaveButtonText}>Guardar</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+  );
+
   const currentExercise = exerciseData[currentExerciseIndex];
   
   if (!currentExercise) return null;
 
-  const completedExercises = exerciseData.filter(ex => ex.completed).length;
+  if (isIntervalMode) {
+    return (
+      <View style={globalStyles.container}>
+        <StatusBar style="light" />
+        {renderHeader()}
+        {intervalPhases ? (
+          <IntervalTimer
+            preset={intervalPreset}
+            phases={intervalPhases}
+            exercises={exerciseData}
+            initialProgress={intervalProgress}
+            onProgress={setIntervalProgress}
+            onFinish={handleIntervalsFinished}
+          />
+        ) : (
+          <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+            <Text style={styles.overviewTitle}>Modo de intervalos</Text>
+            {Object.entries(INTERVAL_PRESETS).map(([key, preset]) => {
+              const config = getPresetConfig(key, routine.workoutPlan);
+              const selected = intervalPreset === key;
+              return (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.presetOption, selected && styles.presetOptionSelected]}
+                  onPress={() => setIntervalPreset(key)}
+                >
+                  <View style={styles.presetInfo}>
+                    <Text style={[styles.presetLabel, selected && { color: colors.primary }]}>
+                      {preset.label}
+                    </Text>
+                    <Text style={styles.presetDescription}>{preset.description}</Text>
+                    <Text style={styles.presetConfig}>
+                      {key === 'amrap'
+                        ? `${formatDuration(config.workTime)} en total`
+                        : key === 'emom'
+                          ? `${config.rounds} minutos`
+                          : `${config.workTime}s trabajo / ${config.restTime}s descanso × ${config.rounds} rondas`}
+                    </Text>
+                  </View>
+                  {selected && <Ionicons name="checkmark-circle" size={22} color={colors.primary} />}
+                </TouchableOpacity>
+              );
+            })}
+
+            <View style={styles.exerciseOverview}>
+              <Text style={styles.overviewTitle}>Ejercicios</Text>
+              {exerciseData.map((exercise, index) => (
+                <View key={index} style={styles.exerciseOverviewItem}>
+                  <Text style={styles.overviewExerciseName}>{exercise.name}</Text>
+                  <Text style={styles.overviewSets}>{exercise.muscle}</Text>
+                </View>
+              ))}
+            </View>
+
+            <TouchableOpacity style={[styles.recordSetButton, styles.startIntervalsButton]} onPress={startIntervals}>
+              <Ionicons name="play" size={24} color={colors.background} />
+              <Text style={styles.recordSetButtonText}>Comenzar</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        )}
+        {renderNotesModal()}
+      </View>
+    );
+  }
+
+  const measurement = getMeasurementType(currentExercise);
+  const modalExercise = editingSet ? exerciseData[editingSet.exerciseIndex] : currentExercise;
+  const exerciseUnit = getExerciseUnit(currentExercise);
+  const modalUnit = getExerciseUnit(modalExercise);
+  const previousSet = getPreviousSet(currentExercise, currentSet);
+  const suggestedSet = getSuggestedSet(currentExercise, currentSet);
+  const suggestion = nextTargets[WorkoutSessionService.getExerciseKey(currentExercise)];
+  const currentOneRepMax = getCurrentOneRepMax(currentExercise);
+  const groupLabels = getGroupLabels(exerciseData);
+  const currentGroup = getGroupIndexes(exerciseData, currentExerciseIndex);
+  const isCurrentGroupCompleted = currentGroup.every(index => isExerciseDone(exerciseData[index]));
+  const completedExercises = exerciseData.filter(isExerciseDone).length;
+  const firstUpcomingIndex = Math.max(...currentGroup) + 1;
+  const pickerSearch = pickerQuery.trim().toLowerCase();
+  const pickerResults = pickerExercises
+    .filter(exercise => !pickerSearch ||
+      exercise.name.toLowerCase().includes(pickerSearch) ||
+      (exercise.muscle || '').toLowerCase().includes(pickerSearch))
+    .slice(0, 50);
   const progress = (completedExercises / exerciseData.length) * 100;
 
   return (
     <View style={globalStyles.container}>
       <StatusBar style="light" />
       
-      {/* Header */}
-      <View style={[styles.header, { paddingTop: insets.top + spacing.md }]}>
-        <TouchableOpacity 
-          style={styles.cancelButton}
-          onPress={cancelWorkout}
-        >
-          <Ionicons name="close" size={24} color={colors.error} />
-        </TouchableOpacity>
-        
-        <View style={styles.headerCenter}>
-          <Text style={styles.routineName}>{routine.name}</Text>
-          <Text style={styles.workoutTime}>{getWorkoutDuration()}</Text>
-        </View>
-        
-        <TouchableOpacity style={styles.notesButton}>
-          <Feather name="edit-3" size={20} color={colors.textMuted} />
-        </TouchableOpacity>
-      </View>
+      {renderHeader()}
 
       {/* Progress Bar */}
       <View style={styles.progressContainer}>
@@ -301,6 +1187,20 @@ const WorkoutTracker = ({ route, navigation }) => {
           <View style={styles.restTimerContent}>
             <Text style={styles.restTimerTitle}>Descansando</Text>
             <Text style={styles.restTimerTime}>{formatTime(restTimer)}</Text>
+            <View style={styles.restAdjustRow}>
+              <TouchableOpacity 
+                style={styles.restAdjustButton}
+                onPress={() => adjustRestTimer(-15)}
+              >
+                <Text style={styles.restAdjustButtonText}>−15s</Text>
+              </TouchableOpacity>
+              <TouchableOpacity 
+                style={styles.restAdjustButton}
+                onPress={() => adjustRestTimer(15)}
+              >
+                <Text style={styles.restAdjustButtonText}>+15s</Text>
+              </TouchableOpacity>
+            </View>
             <TouchableOpacity 
               style={styles.skipRestButton}
               onPress={skipRestTimer}
@@ -323,9 +1223,51 @@ const WorkoutTracker = ({ route, navigation }) => {
             <View style={styles.exerciseInfo}>
               <Text style={styles.exerciseName}>{currentExercise.name}</Text>
               <Text style={styles.exerciseMuscle}>{currentExercise.muscle}</Text>
+              {currentGroup.length > 1 && (
+                <Text style={styles.groupInfo}>
+                  {getGroupTypeLabel(currentExercise.groupType)} {groupLabels[currentExerciseIndex]} · con{' '}
+                  {currentGroup
+                    .filter(index => index !== currentExerciseIndex)
+                    .map(index => exerciseData[index].name)
+                    .join(', ')}
+                </Text>
+              )}
+              {currentExercise.swappedFrom && (
+                <Text style={styles.swappedInfo}>En lugar de {currentExercise.swappedFrom.name}</Text>
+              )}
             </View>
           </View>
 
+          {getExerciseNote(currentExercise) !== '' && (
+            <TouchableOpacity style={styles.exerciseNote} onPress={openNotes}>
+              <Feather name="file-text" size={14} color={colors.textSecondary} />
+              <Text style={styles.exerciseNoteText}>{getExerciseNote(currentExercise)}</Text>
+            </TouchableOpacity>
+          )}
+
+          {/* Cambios sobre la rutina solo para este entrenamiento */}
+          <View style={styles.exerciseActions}>
+            <TouchableOpacity style={styles.exerciseActionButton} onPress={() => openExercisePicker('swap')}>
+              <Ionicons name="swap-horizontal" size={16} color={colors.textSecondary} />
+              <Text style={styles.exerciseActionText}>Cambiar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.exerciseActionButton}
+              onPress={currentExercise.skipped ? resumeSkippedExercise : skipCurrentExercise}
+            >
+              <Ionicons
+                name={currentExercise.skipped ? 'arrow-undo' : 'play-skip-forward'}
+                size={16}
+                color={colors.textSecondary}
+              />
+              <Text style={styles.exerciseActionText}>{currentExercise.skipped ? 'Retomar' : 'Saltar'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.exerciseActionButton} onPress={() => openExercisePicker('add')}>
+              <Ionicons name="add" size={16} color={colors.textSecondary} />
+              <Text style={styles.exerciseActionText}>Añadir</Text>
+            </TouchableOpacity>
+          </View>
+
           {/* Target Info */}
           <View style={styles.targetInfo}>
             <View style={styles.targetItem}>
@@ -333,13 +1275,19 @@ const WorkoutTracker = ({ route, navigation }) => {
               <Text style={styles.targetValue}>{currentExercise.totalSets}</Text>
             </View>
             <View style={styles.targetItem}>
-              <Text style={styles.targetLabel}>Reps</Text>
+              <Text style={styles.targetLabel}>{getTargetLabel(measurement)}</Text>
               <Text style={styles.targetValue}>{currentExercise.targetReps}</Text>
             </View>
             <View style={styles.targetItem}>
               <Text style={styles.targetLabel}>Descanso</Text>
               <Text style={styles.targetValue}>{currentExercise.restTime}s</Text>
             </View>
+            {currentOneRepMax && (
+              <View style={styles.targetItem}>
+                <Text style={styles.targetLabel}>1RM est.</Text>
+                <Text style={styles.targetValue}>{formatWeight(currentOneRepMax, exerciseUnit)}</Text>
+              </View>
+            )}
           </View>
 
           {/* Sets Completed */}
@@ -348,12 +1296,10 @@ const WorkoutTracker = ({ route, navigation }) => {
             {currentExercise.sets.length === 0 ? (
               <Text style={styles.noSetsText}>Ningún set completado aún</Text>
             ) : (
-              currentExercise.sets.map((set, index) => (
-                <View key={index} style={styles.completedSet}>
-                  <Text style={styles.setNumber}>Set {set.set}</Text>
-                  <Text style={styles.setData}>{set.weight}kg × {set.reps}</Text>
-                </View>
-              ))
+              <>
+                {renderSetRows(currentExercise, currentExerciseIndex)}
+                <Text style={styles.setsHint}>Toca un set para editarlo · desliza para borrarlo</Text>
+              </>
             )}
           </View>
 
@@ -362,16 +1308,36 @@ const WorkoutTracker = ({ route, navigation }) => {
             <Text style={styles.currentSetTitle}>
               Set {currentSet} de {currentExercise.totalSets}
             </Text>
-            <TouchableOpacity 
-              style={styles.recordSetButton}
-              onPress={() => setShowSetModal(true)}
-              disabled={currentExercise.completed}
-            >
-              <MaterialIcons name="add-circle" size={24} color={colors.background} />
-              <Text style={styles.recordSetButtonText}>
-                {currentExercise.completed ? 'Ejercicio completado' : 'Registrar set'}
+            {isAmrapSet(currentExercise, currentSet) && !currentExercise.completed && (
+              <Text style={styles.amrapNotice}>
+                Set AMRAP: haz tantas repeticiones como puedas
               </Text>
-            </TouchableOpacity>
+            )}
+            {suggestedSet && !currentExercise.completed && (
+              <View style={styles.suggestedTarget}>
+                <Text style={styles.suggestedTargetValue}>
+                  Objetivo: {formatWeight(suggestedSet.weight, exerciseUnit)} × {suggestedSet.reps}
+                </Text>
+                <Text style={styles.suggestedTargetReason}>
+                  {describeSuggestion(suggestion, exerciseUnit)}
+                </Text>
+              </View>
+            )}
+            {currentExercise.skipped ? (
+              <Text style={styles.skippedNotice}>
+                Ejercicio saltado. Pulsa Retomar para registrar sets.
+              </Text>
+            ) : (
+              <TouchableOpacity 
+                style={styles.recordSetButton}
+                onPress={() => openSetModal(currentExercise.completed ? SET_TYPES.DROP : null)}
+              >
+                <MaterialIcons name="add-circle" size={24} color={colors.background} />
+                <Text style={styles.recordSetButtonText}>
+                  {currentExercise.completed ? 'Añadir drop set' : 'Registrar set'}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
         </View>
 
@@ -387,12 +1353,12 @@ const WorkoutTracker = ({ route, navigation }) => {
           </TouchableOpacity>
 
           <TouchableOpacity 
-            style={[styles.navButton, !currentExercise.completed && styles.disabledButton]}
+            style={[styles.navButton, !isCurrentGroupCompleted && styles.disabledButton]}
             onPress={moveToNextExercise}
-            disabled={!currentExercise.completed}
+            disabled={!isCurrentGroupCompleted}
           >
             <Text style={styles.navButtonText}>
-              {currentExerciseIndex === exerciseData.length - 1 ? 'Finalizar' : 'Siguiente'}
+              {Math.max(...currentGroup) === exerciseData.length - 1 ? 'Finalizar' : 'Siguiente'}
             </Text>
             <Ionicons name="chevron-forward" size={20} color={colors.primary} />
           </TouchableOpacity>
@@ -400,91 +1366,317 @@ const WorkoutTracker = ({ route, navigation }) => {
 
         {/* Exercise List Overview */}
         <View style={styles.exerciseOverview}>
-          <Text style={styles.overviewTitle}>Progreso general</Text>
+          <View style={styles.overviewHeader}>
+            <Text style={styles.overviewTitle}>Progreso general</Text>
+            {firstUpcomingIndex < exerciseData.length - 1 && (
+              <TouchableOpacity onPress={() => setIsReordering(!isReordering)}>
+                <Text style={styles.reorderToggleText}>{isReordering ? 'Listo' : 'Reordenar'}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
           {exerciseData.map((exercise, index) => (
-            <View 
-              key={index}
-              style={[
-                styles.exerciseOverviewItem,
-                index === currentExerciseIndex && styles.currentExerciseOverview
-              ]}
-            >
-              <Text style={styles.overviewExerciseName}>{exercise.name}</Text>
-              <View style={styles.overviewProgress}>
-                <Text style={styles.overviewSets}>
-                  {exercise.sets.length}/{exercise.totalSets} sets
+            <View key={index}>
+              <View 
+                style={[
+                  styles.exerciseOverviewItem,
+                  index === currentExerciseIndex && styles.currentExerciseOverview
+                ]}
+              >
+                <Text style={[styles.overviewExerciseName, exercise.skipped && styles.skippedExerciseName]}>
+                  {groupLabels[index] ? `${groupLabels[index]}  ` : ''}{exercise.name}
                 </Text>
-                {exercise.completed && (
-                  <Ionicons name="checkmark-circle" size={20} color={colors.success} />
+                {/* Los grupos se mueven enteros, desde su primer ejercicio */}
+                {isReordering && index >= firstUpcomingIndex ? (
+                  getGroupIndexes(exerciseData, index)[0] === index && (
+                    <View style={styles.overviewProgress}>
+                      <TouchableOpacity
+                        style={styles.reorderButton}
+                        onPress={() => moveUpcomingExercise(index, 'up')}
+                        disabled={index === firstUpcomingIndex}
+                      >
+                        <Ionicons
+                          name="chevron-up"
+                          size={20}
+                          color={index === firstUpcomingIndex ? colors.textMuted : colors.primary}
+                        />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.reorderButton}
+                        onPress={() => moveUpcomingExercise(index, 'down')}
+                        disabled={Math.max(...getGroupIndexes(exerciseData, index)) === exerciseData.length - 1}
+                      >
+                        <Ionicons
+                          name="chevron-down"
+                          size={20}
+                          color={Math.max(...getGroupIndexes(exerciseData, index)) === exerciseData.length - 1
+                            ? colors.textMuted
+                            : colors.primary}
+                        />
+                      </TouchableOpacity>
+                    </View>
+                  )
+                ) : (
+                  <View style={styles.overviewProgress}>
+                    <Text style={styles.overviewSets}>
+                      {exercise.skipped
+                        ? 'Saltado'
+                        : `${getTargetSets(exercise.sets).length}/${exercise.totalSets} sets`}
+                    </Text>
+                    {exercise.completed && (
+                      <Ionicons name="checkmark-circle" size={20} color={colors.success} />
+                    )}
+                  </View>
                 )}
               </View>
+              {/* El ejercicio actual ya muestra sus sets arriba */}
+              {index !== currentExerciseIndex && exercise.sets.length > 0 && (
+                <View style={styles.overviewSetList}>
+                  {renderSetRows(exercise, index)}
+                </View>
+              )}
             </View>
           ))}
         </View>
       </ScrollView>
 
-      {/* Set Recording Modal */}
-      <Modal
-        visible={showSetModal}
-        animationType="slide"
-        transparent
-        onRequestClose={() => setShowSetModal(false)}
-      >
-        <View style={styles.modalOverlay}>
-          <View style={styles.modalContent}>
-            <Text style={styles.modalTitle}>
-              Registrar Set {currentSet}
-            </Text>
-            <Text style={styles.modalSubtitle}>
-              {currentExercise.name}
-            </Text>
+      {/* Selector de ejercicios para añadir o cambiar */}
+      <Modal
+        visible={pickerMode !== null}
+        animationType="slide"
+        transparent
+        onRequestClose={closeExercisePicker}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.modalContent, styles.pickerContent]}>
+            <Text style={styles.modalTitle}>
+              {pickerMode === 'swap' ? 'Cambiar ejercicio' : 'Añadir ejercicio'}
+            </Text>
+            <Text style={styles.modalSubtitle}>
+              {pickerMode === 'swap'
+                ? `Alternativas para ${currentExercise.name} con tu equipamiento`
+                : 'Se añadirá después del ejercicio actual'}
+            </Text>
+
+            <TextInput
+              style={styles.pickerSearch}
+              placeholder="Buscar por nombre o músculo"
+              placeholderTextColor={colors.textMuted}
+              value={pickerQuery}
+              onChangeText={setPickerQuery}
+            />
+
+            <ScrollView style={styles.pickerList} keyboardShouldPersistTaps="handled">
+              {pickerLoading ? (
+                <Text style={styles.noSetsText}>Cargando ejercicios...</Text>
+              ) : pickerResults.length === 0 ? (
+                <Text style={styles.noSetsText}>No hay ejercicios disponibles</Text>
+              ) : (
+                pickerResults.map(exercise => (
+                  <TouchableOpacity
+                    key={exercise.id}
+                    style={styles.pickerItem}
+                    onPress={() => selectPickerExercise(exercise)}
+                  >
+                    <Text style={styles.pickerItemName}>{exercise.name}</Text>
+                    <Text style={styles.overviewSets}>{exercise.muscle} · {exercise.equipment}</Text>
+                  </TouchableOpacity>
+                ))
+              )}
+            </ScrollView>
+
+            <TouchableOpacity style={[styles.modalCancelButton, styles.pickerCloseButton]} onPress={closeExercisePicker}>
+              <Text style={styles.modalCancelButtonText}>Cancelar</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Set Recording Modal */}
+      <Modal
+        visible={showSetModal}
+        animationType="slide"
+        transparent
+        onRequestClose={closeSetModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            {showPlateCalculator ? (
+              <PlateCalculator
+                initialWeight={weight}
+                exercise={modalExercise}
+                gym={activeGym}
+                unit={modalUnit}
+                onApply={(value) => {
+                  setWeight(value);
+                  setShowPlateCalculator(false);
+                }}
+                onClose={() => setShowPlateCalculator(false)}
+              />
+            ) : (
+              <>
+                <Text style={styles.modalTitle}>
+                  {editingSet
+                    ? 'Editar set'
+                    : setType === SET_TYPES.DROP
+                      ? 'Registrar drop set'
+                      : setType === SET_TYPES.WARMUP
+                        ? 'Registrar calentamiento'
+                        : `Registrar Set ${currentSet}`}
+                </Text>
+                <Text style={styles.modalSubtitle}>
+                  {modalExercise.name}
+                </Text>
+
+                {/* Tipo de set (con el ejercicio completado solo se pueden añadir drop sets;
+                    al editar, un drop set sigue siéndolo y los demás no pueden pasar a drop set) */}
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.setTypeSelector}>
+                  {SET_TYPE_OPTIONS
+                    .filter(option => editingSet
+                      ? (option.value === SET_TYPES.DROP) === (setType === SET_TYPES.DROP)
+                      : !currentExercise.completed || option.value === SET_TYPES.DROP)
+                    .map(option => (
+                      <TouchableOpacity
+                        key={option.value}
+                        style={[styles.intensityChip, setType === option.value && styles.intensityChipSelected]}
+                        onPress={() => setSetType(option.value)}
+                      >
+                        <Text style={[styles.intensityChipText, setType === option.value && styles.intensityChipTextSelected]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                </ScrollView>
+
+                {setType === SET_TYPES.AMRAP && (
+                  <Text style={styles.amrapNotice}>Haz tantas repeticiones como puedas</Text>
+                )}
+
+                {suggestedSet && !editingSet && (
+                  <View style={styles.previousSetContainer}>
+                    <MaterialIcons name="trending-up" size={16} color={colors.primary} />
+                    <Text style={[styles.previousSetText, { color: colors.primary }]}>
+                      Objetivo: {formatWeight(suggestedSet.weight, exerciseUnit)} × {suggestedSet.reps}
+                    </Text>
+                  </View>
+                )}
+
+                {previousSet && !editingSet && (
+                  <View style={styles.previousSetContainer}>
+                    <Ionicons name="time-outline" size={16} color={colors.textSecondary} />
+                    <Text style={styles.previousSetText}>
+                      Última vez: {formatSetValue(previousSet, measurement, exerciseUnit)}
+                    </Text>
+                  </View>
+                )}
+
+                <View style={styles.inputRow}>
+                  {getMeasurementFields(getMeasurementType(modalExercise)).map(field => (
+                    <View key={field} style={styles.inputContainer}>
+                      {field === 'weight' || field === 'addedWeight' ? (
+                        // Tocar la unidad la cambia solo para este ejercicio
+                        <TouchableOpacity
+                          style={styles.unitLabel}
+                          onPress={() => changeExerciseUnit(
+                            modalExercise,
+                            modalUnit === WEIGHT_UNITS.KG ? WEIGHT_UNITS.LB : WEIGHT_UNITS.KG
+                          )}
+                        >
+                          <Text style={styles.inputLabel}>{FIELD_INPUTS[field].label} ({modalUnit})</Text>
+                          <Ionicons name="swap-horizontal" size={14} color={colors.primary} style={styles.unitLabelIcon} />
+                        </TouchableOpacity>
+                      ) : (
+                        <Text style={styles.inputLabel}>{FIELD_INPUTS[field].label}</Text>
+                      )}
+                      <TextInput
+                        style={styles.setInput}
+                        placeholder={FIELD_INPUTS[field].placeholder}
+                        placeholderTextColor={colors.textMuted}
+                        value={setInputValues[field]}
+                        onChangeText={setInputSetters[field]}
+                        // El tiempo lleva ':' y la asistencia un signo negativo
+                        keyboardType={field === 'duration' || field === 'addedWeight' ? 'numbers-and-punctuation' : 'numeric'}
+                        selectTextOnFocus
+                      />
+                    </View>
+                  ))}
+                </View>
 
-            <View style={styles.inputRow}>
-              <View style={styles.inputContainer}>
-                <Text style={styles.inputLabel}>Peso (kg)</Text>
-                <TextInput
-                  style={styles.setInput}
-                  placeholder="0"
-                  placeholderTextColor={colors.textMuted}
-                  value={weight}
-                  onChangeText={setWeight}
-                  keyboardType="numeric"
-                  selectTextOnFocus
-                />
-              </View>
+                {getMeasurementFields(getMeasurementType(modalExercise)).includes('addedWeight') && (
+                  <Text style={styles.bodyweightHint}>
+                    {bodyweight
+                      ? `Peso corporal: ${formatWeight(bodyweight, modalUnit)} · usa un valor negativo para máquinas o bandas de asistencia`
+                      : 'Registra tu peso corporal en el Perfil para que estos sets sumen volumen'}
+                  </Text>
+                )}
 
-              <View style={styles.inputContainer}>
-                <Text style={styles.inputLabel}>Repeticiones</Text>
-                <TextInput
-                  style={styles.setInput}
-                  placeholder="0"
-                  placeholderTextColor={colors.textMuted}
-                  value={reps}
-                  onChangeText={setReps}
-                  keyboardType="numeric"
-                  selectTextOnFocus
-                />
-              </View>
-            </View>
+                {getMeasurementFields(getMeasurementType(modalExercise)).includes('weight') && (
+                  <TouchableOpacity style={styles.plateCalculatorLink} onPress={() => setShowPlateCalculator(true)}>
+                    <Ionicons name="calculator-outline" size={16} color={colors.primary} />
+                    <Text style={styles.plateCalculatorLinkText}>Calculadora de discos</Text>
+                  </TouchableOpacity>
+                )}
 
-            <View style={styles.modalButtons}>
-              <TouchableOpacity 
-                style={styles.modalCancelButton}
-                onPress={() => setShowSetModal(false)}
-              >
-                <Text style={styles.modalCancelButtonText}>Cancelar</Text>
-              </TouchableOpacity>
+                {/* Intensidad opcional: RPE o repeticiones en reserva */}
+                <View style={styles.intensityContainer}>
+                  <View style={styles.intensityHeader}>
+                    <Text style={styles.inputLabel}>Intensidad (opcional)</Text>
+                    <View style={styles.intensityToggle}>
+                      {['rpe', 'rir'].map(mode => (
+                        <TouchableOpacity
+                          key={mode}
+                          style={[styles.intensityToggleOption, intensityMode === mode && styles.intensityToggleOptionActive]}
+                          onPress={() => setIntensityMode(mode)}
+                        >
+                          <Text style={[styles.intensityToggleText, intensityMode === mode && styles.intensityToggleTextActive]}>
+                            {mode.toUpperCase()}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </View>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {(intensityMode === 'rpe' ? RPE_OPTIONS : RIR_OPTIONS).map(value => {
+                      const selected = intensityMode === 'rpe' ? rpe === value : rir === value;
+                      const select = intensityMode === 'rpe' ? setRpe : setRir;
+                      return (
+                        <TouchableOpacity
+                          key={value}
+                          style={[styles.intensityChip, selected && styles.intensityChipSelected]}
+                          onPress={() => select(selected ? null : value)}
+                        >
+                          <Text style={[styles.intensityChipText, selected && styles.intensityChipTextSelected]}>
+                            {value}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </ScrollView>
+                </View>
 
-              <TouchableOpacity 
-                style={styles.modalSaveButton}
-                onPress={completeSet}
-              >
-                <Text style={styles.modalSaveButtonText}>Guardar Set</Text>
-              </TouchableOpacity>
-            </View>
+                <View style={styles.modalButtons}>
+                  <TouchableOpacity 
+                    style={styles.modalCancelButton}
+                    onPress={closeSetModal}
+                  >
+                    <Text style={styles.modalCancelButtonText}>Cancelar</Text>
+                  </TouchableOpacity>
+
+                  <TouchableOpacity 
+                    style={styles.modalSaveButton}
+                    onPress={completeSet}
+                  >
+                    <Text style={styles.modalSaveButtonText}>
+                      {editingSet ? 'Guardar cambios' : 'Guardar Set'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
           </View>
         </View>
       </Modal>
+
+      {renderNotesModal()}
     </View>
   );
 };
@@ -526,6 +1718,44 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  exerciseNote: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  exerciseNoteText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginLeft: spacing.sm,
+    flex: 1,
+  },
+  notesLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+    marginTop: spacing.md,
+  },
+  notesInput: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    padding: spacing.md,
+    minHeight: 80,
+    textAlignVertical: 'top',
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  notesHint: {
+    ...typography.caption,
+    color: colors.textMuted,
+    marginTop: spacing.xs,
+  },
+  notesButtons: {
+    marginTop: spacing.lg,
+  },
   progressContainer: {
     paddingHorizontal: spacing.lg,
     marginBottom: spacing.md,
@@ -573,6 +1803,21 @@ const styles = StyleSheet.create({
     color: colors.primary,
     marginBottom: spacing.lg,
   },
+  restAdjustRow: {
+    flexDirection: 'row',
+    marginBottom: spacing.lg,
+  },
+  restAdjustButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginHorizontal: spacing.xs,
+    borderRadius: 20,
+    backgroundColor: colors.background,
+  },
+  restAdjustButtonText: {
+    color: colors.textPrimary,
+    fontWeight: '600',
+  },
   skipRestButton: {
     paddingHorizontal: spacing.lg,
     paddingVertical: spacing.sm,
@@ -624,6 +1869,37 @@ const styles = StyleSheet.create({
     ...typography.body,
     color: colors.textSecondary,
   },
+  groupInfo: {
+    ...typography.caption,
+    color: colors.warning,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  swappedInfo: {
+    ...typography.caption,
+    color: colors.textMuted,
+    marginTop: 2,
+  },
+  exerciseActions: {
+    flexDirection: 'row',
+    marginBottom: spacing.md,
+  },
+  exerciseActionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: spacing.sm,
+  },
+  exerciseActionText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
   targetInfo: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -676,6 +1952,31 @@ const styles = StyleSheet.create({
     ...typography.body,
     fontWeight: '600',
   },
+  dropSet: {
+    marginLeft: spacing.lg,
+    backgroundColor: colors.surface,
+  },
+  setsHint: {
+    ...typography.small,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginTop: spacing.xs,
+  },
+  deleteSetAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.error,
+    borderRadius: 8,
+    paddingHorizontal: spacing.md,
+    marginBottom: spacing.xs,
+    marginLeft: spacing.xs,
+  },
+  deleteSetActionText: {
+    color: colors.textPrimary,
+    fontWeight: '600',
+    marginLeft: spacing.xs,
+  },
   currentSetContainer: {
     alignItems: 'center',
   },
@@ -683,6 +1984,73 @@ const styles = StyleSheet.create({
     ...typography.h4,
     marginBottom: spacing.md,
   },
+  amrapNotice: {
+    ...typography.caption,
+    color: colors.warning,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+  skippedNotice: {
+    ...typography.body,
+    color: colors.textMuted,
+    textAlign: 'center',
+    paddingVertical: spacing.md,
+  },
+  setTypeSelector: {
+    flexGrow: 0,
+    marginBottom: spacing.md,
+  },
+  startIntervalsButton: {
+    justifyContent: 'center',
+    marginBottom: spacing.xl,
+  },
+  presetOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: 12,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  presetOptionSelected: {
+    borderColor: colors.primary,
+  },
+  presetInfo: {
+    flex: 1,
+  },
+  presetLabel: {
+    ...typography.body,
+    fontWeight: '700',
+  },
+  presetDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  presetConfig: {
+    ...typography.small,
+    color: colors.textMuted,
+    marginTop: spacing.xs,
+  },
+  suggestedTarget: {
+    alignItems: 'center',
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+  suggestedTargetValue: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  suggestedTargetReason: {
+    ...typography.small,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
   recordSetButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -725,6 +2093,24 @@ const styles = StyleSheet.create({
     padding: spacing.md,
     marginBottom: spacing.xl,
   },
+  overviewHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  reorderToggleText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  reorderButton: {
+    padding: spacing.xs,
+    marginLeft: spacing.xs,
+  },
+  skippedExerciseName: {
+    color: colors.textMuted,
+    textDecorationLine: 'line-through',
+  },
   overviewTitle: {
     ...typography.h4,
     marginBottom: spacing.md,
@@ -749,6 +2135,10 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  overviewSetList: {
+    paddingHorizontal: spacing.md,
+    marginBottom: spacing.sm,
+  },
   overviewSets: {
     ...typography.small,
     color: colors.textMuted,
@@ -769,6 +2159,33 @@ const styles = StyleSheet.create({
     width: '85%',
     maxWidth: 400,
   },
+  pickerContent: {
+    maxHeight: '80%',
+  },
+  pickerSearch: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginBottom: spacing.md,
+  },
+  pickerList: {
+    marginBottom: spacing.md,
+  },
+  pickerItem: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  pickerItemName: {
+    ...typography.body,
+  },
+  pickerCloseButton: {
+    flex: 0,
+  },
   modalTitle: {
     ...typography.h3,
     textAlign: 'center',
@@ -780,6 +2197,20 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: spacing.lg,
   },
+  previousSetContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  previousSetText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginLeft: spacing.xs,
+  },
   inputRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -806,6 +2237,84 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: colors.border,
   },
+  unitLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  unitLabelIcon: {
+    marginLeft: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  bodyweightHint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: spacing.md,
+  },
+  plateCalculatorLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+  plateCalculatorLinkText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+    marginLeft: spacing.xs,
+  },
+  intensityContainer: {
+    marginBottom: spacing.lg,
+  },
+  intensityHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  intensityToggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: 16,
+    marginBottom: spacing.sm,
+  },
+  intensityToggleOption: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: 16,
+  },
+  intensityToggleOptionActive: {
+    backgroundColor: colors.primary,
+  },
+  intensityToggleText: {
+    ...typography.small,
+    color: colors.textSecondary,
+    fontWeight: '600',
+  },
+  intensityToggleTextActive: {
+    color: colors.background,
+  },
+  intensityChip: {
+    minWidth: 44,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.sm,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+    marginRight: spacing.xs,
+  },
+  intensityChipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  intensityChipText: {
+    color: colors.textPrimary,
+    fontWeight: '600',
+  },
+  intensityChipTextSelected: {
+    color: colors.background,
+  },
   modalButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
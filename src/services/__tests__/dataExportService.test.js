@@ -0,0 +1,107 @@
+import { DataExportService } from '../dataExportService';
+import { WorkoutSessionService } from '../workoutSessionService';
+import { parseCsv } from '../../utils/csvImport';
+import { SET_TYPES } from '../../utils/setTypes';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+// Solo se prueba el CSV: las rutinas y preferencias (Firebase) no hacen falta
+jest.mock('../routineService', () => ({ RoutineService: {} }));
+jest.mock('../userPreferencesService', () => ({ UserPreferencesService: {} }));
+
+const routine = { id: 'r1', name: 'Pierna' };
+
+// Sesión tal como la guarda el tracker
+const buildSession = (exerciseData, notes = '') => WorkoutSessionService.buildSession({
+  routine,
+  exerciseData,
+  startedAt: new Date(2026, 9, 14, 18, 0),
+  completedAt: new Date(2026, 9, 14, 19, 0),
+  rating: 'good',
+  notes,
+});
+
+const squat = {
+  id: 101,
+  name: 'Sentadilla',
+  measurement: 'weight_reps',
+  totalSets: 2,
+  targetReps: '5',
+  completed: true,
+  sets: [
+    { set: null, type: SET_TYPES.WARMUP, weight: 40, reps: 10 },
+    { set: 1, type: SET_TYPES.WORKING, weight: 100, reps: 5, rpe: 8 },
+  ],
+};
+
+// CSV -> objetos { cabecera: valor }
+const readCsv = (text) => {
+  const [headers, ...rows] = parseCsv(text);
+  return rows.map(cells => Object.fromEntries(headers.map((header, index) => [header, cells[index]])));
+};
+
+describe('buildSetsCsv', () => {
+  it('exporta una fila por set de una sesión del tracker con sus notas', () => {
+    const session = buildSession([squat], 'Buen día, sin dolor');
+    const exerciseNotes = { 101: { text: 'Barra baja', exerciseName: 'Sentadilla' } };
+
+    const rows = readCsv(DataExportService.buildSetsCsv([session], 'kg', exerciseNotes));
+
+    expect(rows).toEqual([
+      expect.objectContaining({
+        date: '2026-10-14', routine: 'Pierna', exercise: 'Sentadilla', set: '', type: SET_TYPES.WARMUP,
+        weight_kg: '40', reps: '10', exercise_notes: 'Barra baja', workout_notes: 'Buen día, sin dolor',
+      }),
+      expect.objectContaining({
+        set: '1', type: SET_TYPES.WORKING, weight_kg: '100', reps: '5', rpe: '8',
+        exercise_notes: 'Barra baja', workout_notes: 'Buen día, sin dolor',
+      }),
+    ]);
+  });
+
+  it('prefiere la nota guardada en el ejercicio (sesiones importadas)', () => {
+    const session = { ...buildSession([squat]), exercises: [{ ...buildSession([squat]).exercises[0], notes: 'Del CSV' }] };
+
+    const rows = readCsv(DataExportService.buildSetsCsv([session], 'kg', { 101: { text: 'Barra baja' } }));
+
+    expect(rows[0].exercise_notes).toBe('Del CSV');
+  });
+
+  it('exporta los pesos en la unidad elegida y el tiempo y la distancia', () => {
+    const running = {
+      name: 'Correr',
+      measurement: 'distance_duration',
+      completed: true,
+      sets: [{ set: 1, type: SET_TYPES.WORKING, distance: 5000, duration: 1500 }],
+    };
+
+    const rows = readCsv(DataExportService.buildSetsCsv([buildSession([squat, running])], 'lb'));
+
+    expect(rows[1].weight_lb).toBe('220.46');
+    expect(rows[2]).toMatchObject({ weight_lb: '', duration_s: '1500', distance_m: '5000' });
+  });
+
+  it('separa el lastre y la asistencia del peso corporal', () => {
+    const dips = {
+      id: 202,
+      name: 'Fondos',
+      measurement: 'bodyweight_reps',
+      completed: true,
+      sets: [
+        { set: 1, type: SET_TYPES.WORKING, addedWeight: 10, bodyweight: 80, reps: 8 },
+        { set: 2, type: SET_TYPES.WORKING, addedWeight: -20, bodyweight: 80, reps: 10 },
+        { set: 3, type: SET_TYPES.WORKING, addedWeight: 0, bodyweight: null, reps: 12 },
+      ],
+    };
+
+    const rows = readCsv(DataExportService.buildSetsCsv([buildSession([dips])], 'kg'));
+
+    expect(rows.map(row => [row.weight_kg, row.added_weight_kg, row.bodyweight_kg])).toEqual([
+      ['90', '10', '80'],
+      ['60', '-20', '80'],
+      ['', '0', ''],
+    ]);
+    expect(rows[0].reps).toBe('8');
+  });
+});
@@ -0,0 +1,175 @@
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { logger } from '../utils/logger';
+import { WorkoutSessionService } from './workoutSessionService';
+import { RoutineService } from './routineService';
+import { UserPreferencesService } from './userPreferencesService';
+import { getSetType } from '../utils/setTypes';
+import { getSetLoad } from '../utils/exerciseMeasurement';
+import { DEFAULT_WEIGHT_UNIT, toDisplayWeight } from '../utils/units';
+
+// Versión del formato JSON (para poder importarlo en el futuro)
+const EXPORT_VERSION = 1;
+
+// Escapar un valor para CSV (comillas dobles si contiene separador, comillas o saltos de línea)
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(toCsvValue).join(',');
+
+// Tipo de cada formato para la hoja de compartir (mimeType en Android, UTI en iOS)
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  json: { extension: 'json', mimeType: 'application/json', UTI: 'public.json' },
+};
+
+/**
+ * Servicio para exportar los datos de entrenamiento del usuario
+ * CSV (un set por fila, para hojas de cálculo) y JSON (copia completa)
+ */
+export class DataExportService {
+
+  // ===== CSV =====
+
+  /**
+   * CSV con una fila por set: fecha, rutina, ejercicio, nº de set, tipo, peso, reps, tiempo, distancia,
+   * RPE y notas del ejercicio y del entrenamiento. El nº de set es el de la app (vacío en los calentamientos)
+   * Los pesos se guardan en kg y se exportan en `unit`; el tiempo va en segundos y la distancia en metros
+   * En los sets de peso corporal el peso es la carga total y además se exportan el lastre (negativo si es
+   * asistencia) y el peso corporal registrado
+   * `exerciseNotes` son las notas guardadas aparte (getExerciseNotes), para los ejercicios sin nota propia
+   * Las sesiones salen de más antigua a más reciente
+   */
+  static buildSetsCsv(sessions, unit = DEFAULT_WEIGHT_UNIT, exerciseNotes = {}) {
+    const rows = [
+      toCsvRow([
+        'date', 'routine', 'exercise', 'set', 'type', `weight_${unit}`, `added_weight_${unit}`, `bodyweight_${unit}`,
+        'reps', 'duration_s', 'distance_m', 'rpe', 'exercise_notes', 'workout_notes',
+      ]),
+    ];
+
+    [...sessions]
+      .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+      .forEach(session => {
+        const date = WorkoutSessionService.getSessionDate(session);
+        (session.exercises || []).forEach(exercise => {
+          // Las sesiones importadas traen la nota en el ejercicio; las de la app la guardan aparte
+          const notes = exercise.notes || exerciseNotes[WorkoutSessionService.getExerciseKey(exercise)]?.text || '';
+          (exercise.sets || []).forEach(set => {
+            const load = getSetLoad(set);
+            rows.push(toCsvRow([
+              date,
+              session.routineName,
+              exercise.name,
+              set.set ?? '',
+              getSetType(set),
+              load === null ? '' : toDisplayWeight(load, unit),
+              set.addedWeight === undefined ? '' : toDisplayWeight(set.addedWeight || 0, unit),
+              set.bodyweight ? toDisplayWeight(set.bodyweight, unit) : '',
+              set.reps ?? '',
+              set.duration ?? '',
+              set.distance ?? '',
+              set.rpe ?? '',
+              notes,
+              session.notes,
+            ]));
+          });
+        });
+      });
+
+    return rows.join('\n');
+  }
+
+  /**
+   * Exportar todas las sesiones del usuario como CSV
+   */
+  static async exportSetsCsv(userId, unit = DEFAULT_WEIGHT_UNIT) {
+    try {
+      const [sessions, exerciseNotes] = await Promise.all([
+        WorkoutSessionService.getSessions(userId),
+        WorkoutSessionService.getExerciseNotes(userId),
+      ]);
+      return this.buildSetsCsv(sessions, unit, exerciseNotes);
+    } catch (error) {
+      logger.error('Error exporting CSV:', error);
+      throw error;
+    }
+  }
+
+  // ===== JSON =====
+
+  /**
+   * Copia completa en JSON: rutinas, historial, sesiones, notas de ejercicios y preferencias
+   * Los datos se exportan tal cual están guardados (pesos en kg)
+   */
+  static async exportJson(userId) {
+    try {
+      const [routines, routineHistory, sessions, exerciseNotes, preferences] = await Promise.all([
+        RoutineService.getUserRoutines(userId),
+        RoutineService.getRoutineHistory(userId),
+        WorkoutSessionService.getSessions(userId),
+        WorkoutSessionService.getExerciseNotes(userId),
+        UserPreferencesService.getUserPreferences(userId),
+      ]);
+
+      return JSON.stringify({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        userId,
+        preferences,
+        routines,
+        routineHistory,
+        sessions,
+        exerciseNotes,
+      }, null, 2);
+    } catch (error) {
+      logger.error('Error exporting JSON:', error);
+      throw error;
+    }
+  }
+
+  // ===== ARCHIVO =====
+
+  /**
+   * Guardar la exportación en un archivo y compartirlo (`format`: 'csv' o 'json')
+   * Se comparte el archivo y no el texto: un historial largo no cabe en un mensaje de Android
+   * En web se descarga directamente
+   */
+  static async shareExportFile(content, format, baseName) {
+    const { extension, mimeType, UTI } = EXPORT_FORMATS[format];
+    const fileName = `${baseName}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    try {
+      if (Platform.OS === 'web') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        return;
+      }
+
+      const uri = FileSystem.cacheDirectory + fileName;
+      await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+
+      if (!(await Sharing.isAvailableAsync())) {
+        throw new Error('Sharing is not available on this device');
+      }
+      await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle: fileName });
+    } catch (error) {
+      logger.error('Error sharing export file:', error);
+      throw error;
+    }
+  }
+}
+
+// Crear y exportar instancia del servicio
+const dataExportServiceInstance = DataExportService;
+
+export { dataExportServiceInstance as dataExportService };
+export default DataExportService;
@@ -0,0 +1,296 @@
+import { Platform } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { logger } from '../utils/logger';
+import { getAllExercises } from './exerciseApi';
+import { WorkoutSessionService } from './workoutSessionService';
+import { MEASUREMENT_TYPES, getMeasurementType } from '../utils/exerciseMeasurement';
+import { getTargetSets } from '../utils/setTypes';
+import { toLocalDateKey } from '../utils/streaks';
+import { estimateSessionCalories } from '../utils/calorieEstimator';
+
+// Material que las otras apps indican en el nombre ("Bench Press (Barbell)") -> palabra del catálogo
+const EQUIPMENT_WORDS = {
+  barbell: 'barra',
+  dumbbell: 'mancuerna',
+  cable: 'polea',
+  machine: 'maquina',
+  smith: 'smith',
+  kettlebell: 'kettlebell',
+  band: 'banda',
+};
+
+// Palabras que no cambian el ejercicio ("Flat Barbell Bench Press" -> "bench press")
+const IGNORED_WORDS = ['flat', 'standing', 'seated', 'bodyweight', 'weighted'];
+
+// Ejercicios asistidos ("Assisted Pull Up"): el peso del CSV es la asistencia, no una carga
+const ASSISTED_WORD = 'assisted';
+
+// Nombres en inglés de los ejercicios más comunes -> comienzo del nombre en el catálogo
+const EXERCISE_ALIASES = {
+  'bench press': ['press de banca', 'press banca'],
+  'incline bench press': ['press inclinado', 'press de banca inclinado'],
+  'decline bench press': ['press declinado', 'press de banca declinado'],
+  'squat': ['sentadilla'],
+  'front squat': ['sentadilla frontal'],
+  'deadlift': ['peso muerto'],
+  'romanian deadlift': ['peso muerto rumano'],
+  'overhead press': ['press militar'],
+  'shoulder press': ['press de hombros', 'press militar'],
+  'pull up': ['dominada'],
+  'chin up': ['dominadas supinas', 'dominada supina'],
+  'bent over row': ['remo con barra', 'remo inclinado'],
+  'row': ['remo'],
+  'lat pulldown': ['jalon'],
+  'bicep curl': ['curl de biceps', 'curl'],
+  'hammer curl': ['curl martillo'],
+  'triceps extension': ['extension de triceps'],
+  'triceps pushdown': ['extension de triceps en polea', 'jalon de triceps'],
+  'dip': ['fondos'],
+  'push up': ['flexiones'],
+  'lunge': ['zancada'],
+  'leg press': ['prensa'],
+  'leg extension': ['extension de cuadriceps', 'extension de piernas'],
+  'leg curl': ['curl femoral', 'curl de piernas'],
+  'lateral raise': ['elevaciones laterales', 'elevacion lateral'],
+  'hip thrust': ['hip thrust', 'empuje de cadera'],
+  'calf raise': ['elevacion de talones', 'elevaciones de gemelos'],
+  'crunch': ['crunch', 'abdominales'],
+  'plank': ['plancha'],
+  'running': ['correr', 'carrera'],
+};
+
+const normalize = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[-_]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Nombre sin material ni paréntesis, en singular, material indicado (si lo hay) y si es asistido
+const splitExerciseName = (name) => {
+  const text = normalize(name);
+  const detail = (text.match(/\(([^)]*)\)/) || [])[1] || '';
+  const words = text.replace(/\([^)]*\)/g, ' ').split(' ').filter(Boolean);
+  const equipment = [...detail.split(' '), ...words].find(word => EQUIPMENT_WORDS[word]);
+  const assisted = [...detail.split(' '), ...words].includes(ASSISTED_WORD);
+  const base = words
+    .filter(word => !EQUIPMENT_WORDS[word] && !IGNORED_WORDS.includes(word) && word !== ASSISTED_WORD)
+    .map(word => (word.length > 2 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+
+  return { base, equipment: equipment ? EQUIPMENT_WORDS[equipment] : null, assisted };
+};
+
+// Tipo de medición según los datos que trae cada set
+const inferMeasurement = (sets) => {
+  const has = (field) => sets.some(set => set[field] !== undefined && set[field] !== null);
+  if (has('distance') && has('duration')) return MEASUREMENT_TYPES.DISTANCE_DURATION;
+  if (has('distance')) return has('weight') ? MEASUREMENT_TYPES.WEIGHT_DISTANCE : MEASUREMENT_TYPES.DISTANCE;
+  if (has('duration')) return MEASUREMENT_TYPES.DURATION;
+  if (has('weight')) return MEASUREMENT_TYPES.WEIGHT_REPS;
+  return MEASUREMENT_TYPES.REPS;
+};
+
+/**
+ * Servicio para importar el historial desde otras apps (CSV de Strong, Hevy y FitNotes)
+ */
+export class DataImportService {
+
+  // ===== ARCHIVO =====
+
+  /**
+   * Elegir un CSV y leer su contenido; null si el usuario cancela
+   */
+  static async pickCsvFile() {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/csv', 'text/comma-separated-values', 'text/plain', 'application/vnd.ms-excel'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return null;
+
+      const asset = result.assets[0];
+      // En web el archivo es un blob del navegador y expo-file-system no puede leerlo
+      const text = Platform.OS === 'web'
+        ? await (await fetch(asset.uri)).text()
+        : await FileSystem.readAsStringAsync(asset.uri);
+
+      return { name: asset.name, text };
+    } catch (error) {
+      logger.error('Error reading import file:', error);
+      throw error;
+    }
+  }
+
+  // ===== EJERCICIOS =====
+
+  /**
+   * Buscar en el catálogo el ejercicio de otra app (por nombre exacto o por alias en inglés)
+   * Si hay varios candidatos se prefiere el del mismo material; null si no hay ninguno
+   */
+  static matchExercise(name, catalog) {
+    const exact = catalog.find(exercise => normalize(exercise.name) === normalize(name));
+    if (exact) return exact;
+
+    const { base, equipment } = splitExerciseName(name);
+    const byBase = catalog.filter(exercise => splitExerciseName(exercise.name).base === base);
+    const aliases = EXERCISE_ALIASES[base] || [];
+    const candidates = byBase.length > 0
+      ? byBase
+      : catalog.filter(exercise => aliases.some(alias => normalize(exercise.name).startsWith(alias)));
+
+    if (candidates.length === 0) return null;
+    return (equipment && candidates.find(exercise =>
+      normalize(`${exercise.name} ${exercise.equipment}`).includes(equipment)
+    )) || candidates[0];
+  }
+
+  /**
+   * Emparejar los nombres de un archivo con el catálogo de `getAllExercises`
+   * Devuelve { catalog, matches: { nombre: ejercicio | null } }
+   * Sin conexión ni caché el catálogo queda vacío y todos se emparejan a mano
+   */
+  static async matchExercises(names) {
+    let catalog = [];
+    try {
+      catalog = await getAllExercises();
+    } catch (error) {
+      logger.warn('Exercise catalog not available for import:', error.message);
+    }
+
+    const matches = names.reduce((result, name) => {
+      result[name] = this.matchExercise(name, catalog);
+      return result;
+    }, {});
+
+    return { catalog, matches };
+  }
+
+  // ===== SESIONES =====
+
+  /**
+   * Convertir un entrenamiento leído del CSV en una sesión como las de buildSession
+   * `matches`: nombre del archivo -> ejercicio del catálogo (null = se guarda con su nombre original)
+   * El peso corporal actual se usa como referencia en los ejercicios de peso corporal
+   */
+  static buildImportedSession(workout, source, matches, bodyweight = null) {
+    const exercises = workout.exercises.map((entry, index) => {
+      const match = matches[entry.name] || null;
+      const { assisted } = splitExerciseName(entry.name);
+      let measurement = inferMeasurement(entry.sets);
+      let sets = entry.sets;
+
+      // Las otras apps guardan el lastre (o la asistencia) como peso: pasa a ser
+      // lastre positivo o asistencia negativa sobre el peso corporal
+      const isRepsMeasurement = [MEASUREMENT_TYPES.WEIGHT_REPS, MEASUREMENT_TYPES.REPS].includes(measurement);
+      if (isRepsMeasurement && (assisted || getMeasurementType(match) === MEASUREMENT_TYPES.BODYWEIGHT_REPS)) {
+        measurement = MEASUREMENT_TYPES.BODYWEIGHT_REPS;
+        sets = sets.map(({ weight, ...set }) => ({
+          ...set,
+          addedWeight: weight ? (assisted ? -Math.abs(weight) : weight) : 0,
+          bodyweight,
+        }));
+      }
+
+      return {
+        exerciseId: match?.id ?? null,
+        name: match?.name || entry.name,
+        importedName: entry.name,
+        muscle: match?.muscle || null,
+        primaryMuscles: match?.primaryMuscles || [],
+        secondaryMuscles: match?.secondaryMuscles || [],
+        equipment: match?.equipment || null,
+        measurement,
+        order: index + 1,
+        groupId: null,
+        groupType: null,
+        targetSets: getTargetSets(sets).length,
+        targetReps: null,
+        amrapSets: [],
+        restTime: null,
+        completed: true,
+        skipped: false,
+        swappedFrom: null,
+        notes: entry.notes || '',
+        sets,
+      };
+    });
+
+    const session = {
+      routineId: null,
+      routineName: workout.name,
+      routineSnapshot: null,
+      startedAt: workout.startedAt,
+      completedAt: workout.completedAt,
+      date: toLocalDateKey(workout.startedAt),
+      duration: Math.floor((new Date(workout.completedAt) - new Date(workout.startedAt)) / 60000),
+      rating: null,
+      notes: workout.notes || '',
+      exercises,
+      deviations: [],
+      personalRecords: [],
+      importedFrom: source,
+      importKey: workout.importKey,
+      ...WorkoutSessionService.calculateTotals(exercises),
+    };
+
+    return { ...session, calories: estimateSessionCalories(session, bodyweight).calories };
+  }
+
+  // Huella para detectar el mismo entrenamiento ya registrado: día + ejercicios
+  static getSessionFingerprint(session) {
+    const exerciseKeys = (session.exercises || [])
+      .map(exercise => WorkoutSessionService.getExerciseKey(exercise))
+      .sort()
+      .join(',');
+    return `${WorkoutSessionService.getSessionDate(session)}|${exerciseKeys}`;
+  }
+
+  /**
+   * Importar los entrenamientos leídos al historial
+   * Se descartan los ya importados (mismo archivo) y los que coinciden en día y ejercicios con uno existente
+   * Devuelve { imported, duplicates }
+   */
+  static async importWorkouts(userId, parsed, matches, { bodyweight = null } = {}) {
+    try {
+      const existing = await WorkoutSessionService.getSessions(userId);
+      const importKeys = new Set(existing.map(session => session.importKey).filter(Boolean));
+      const fingerprints = new Set(existing.map(session => this.getSessionFingerprint(session)));
+
+      const sessions = [];
+      let duplicates = 0;
+
+      parsed.workouts.forEach(workout => {
+        const session = this.buildImportedSession(workout, parsed.source, matches, bodyweight);
+        const fingerprint = this.getSessionFingerprint(session);
+
+        if (importKeys.has(session.importKey) || fingerprints.has(fingerprint)) {
+          duplicates++;
+          return;
+        }
+
+        importKeys.add(session.importKey);
+        fingerprints.add(fingerprint);
+        sessions.push(session);
+      });
+
+      if (sessions.length > 0) {
+        await WorkoutSessionService.importSessions(userId, sessions);
+      }
+
+      logger.info(`Import finished: ${sessions.length} imported, ${duplicates} duplicates`);
+      return { imported: sessions.length, duplicates };
+    } catch (error) {
+      logger.error('Error importing workouts:', error);
+      throw error;
+    }
+  }
+}
+
+// Crear y exportar instancia del servicio
+const dataImportServiceInstance = DataImportService;
+
+export { dataImportServiceInstance as dataImportService };
+export default DataImportService;
@@ -0,0 +1,94 @@
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { logger } from '../utils/logger';
+
+// Canal de Android para los avisos del temporizador de descanso
+const REST_CHANNEL_ID = 'rest-timer';
+
+// Identificador fijo: programar un nuevo fin de descanso reemplaza al anterior
+const REST_NOTIFICATION_ID = 'rest-timer-end';
+
+// Con la app en primer plano el aviso lo da el propio WorkoutTracker
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: false,
+    shouldShowList: false,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * Servicio para notificaciones locales (fin del descanso entre sets)
+ */
+export class NotificationService {
+
+  /**
+   * Pedir permiso de notificaciones y crear el canal de Android
+   */
+  static async requestPermissions() {
+    try {
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync(REST_CHANNEL_ID, {
+          name: 'Temporizador de descanso',
+          importance: Notifications.AndroidImportance.HIGH,
+          vibrationPattern: [0, 300, 200, 300],
+        });
+      }
+
+      const { status } = await Notifications.getPermissionsAsync();
+      if (status === 'granted') return true;
+
+      const { status: requestedStatus } = await Notifications.requestPermissionsAsync();
+      return requestedStatus === 'granted';
+    } catch (error) {
+      logger.error('Error requesting notification permissions:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Programar el aviso de fin de descanso para una hora absoluta (ms)
+   */
+  static async scheduleRestEnd(endTime, exerciseName = null) {
+    try {
+      if (endTime <= Date.now()) return null;
+
+      return await Notifications.scheduleNotificationAsync({
+        identifier: REST_NOTIFICATION_ID,
+        content: {
+          title: '¡Descanso terminado!',
+          body: exerciseName ? `Es hora del siguiente set de ${exerciseName}` : 'Es hora del siguiente set',
+          sound: true,
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: new Date(endTime),
+          channelId: REST_CHANNEL_ID,
+        },
+      });
+    } catch (error) {
+      logger.error('Error scheduling rest notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancelar el aviso de fin de descanso pendiente
+   */
+  static async cancelRestEnd() {
+    try {
+      await Notifications.cancelScheduledNotificationAsync(REST_NOTIFICATION_ID);
+      return true;
+    } catch (error) {
+      logger.error('Error cancelling rest notification:', error);
+      return false;
+    }
+  }
+}
+
+// Crear y exportar instancia del servicio
+const notificationServiceInstance = NotificationService;
+
+export { notificationServiceInstance as notificationService };
+export default NotificationService;
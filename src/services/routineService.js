@@ -1,6 +1,17 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { logger } from '../utils/logger';
-import { getAllExercises, searchExercises } from './exerciseApi';
+import { getAllExercises, searchExercises, getExercisesByMuscle } from './exerciseApi';
+import { WorkoutSessionService } from './workoutSessionService';
+import {
+  DEFAULT_PROGRESSION_RULES,
+  getProgressionRules,
+  suggestNextTarget
+} from '../utils/progressionEngine';
+import { pairIntoSupersets } from '../utils/exerciseGroups';
+import { roundToAvailableWeight } from '../utils/plateCalculator';
+import { calculateStreakStats, mergeWorkoutDates, toLocalDateKey, getWeekStart } from '../utils/streaks';
+import { getSessionCalories } from '../utils/calorieEstimator';
+import { DEFAULT_WEIGHT_UNIT } from '../utils/units';
 
 // Keys para AsyncStorage
 const STORAGE_KEYS = {
@@ -607,17 +618,25 @@ export class RoutineService {
       reps = '6-10';
     }
     
+    let planExercises = exercises.map((exercise, index) => ({
+      ...exercise,
+      sets,
+      reps,
+      restTime: `${restTime}s`,
+      order: index + 1,
+      notes: this._getExerciseNotes(exercise, experience)
+    }));
+
+    // Con poco tiempo, agrupar en superseries para reducir los descansos
+    if (timeMinutes <= 30 && experience !== 'beginner') {
+      planExercises = pairIntoSupersets(planExercises);
+    }
+    
     return {
       warmup: '5-10 minutos de calentamiento dinámico',
-      exercises: exercises.map((exercise, index) => ({
-        ...exercise,
-        sets,
-        reps,
-        restTime: `${restTime}s`,
-        order: index + 1,
-        notes: this._getExerciseNotes(exercise, experience)
-      })),
-      cooldown: '5-10 minutos de estiramiento estático'
+      exercises: planExercises,
+      cooldown: '5-10 minutos de estiramiento estático',
+      progression: { ...DEFAULT_PROGRESSION_RULES }
     };
   }
 
@@ -638,6 +657,7 @@ export class RoutineService {
       rounds,
       exercises: exercises.map((exercise, index) => ({
         ...exercise,
+        measurement: 'duration',
         workTime: `${workTime}s`,
         restTime: `${restTime}s`,
         order: index + 1,
@@ -669,6 +689,117 @@ export class RoutineService {
     return notes.join('. ');
   }
 
+  // ===== PROGRESIÓN =====
+
+  /**
+   * Calcular el objetivo de la próxima sesión para cada ejercicio de una rutina
+   * `getUnit(exercise)` da la unidad en la que se redondean los pesos (por defecto kg)
+   * Devuelve un mapa clave de ejercicio -> sugerencia (ver progressionEngine)
+   */
+  static async getNextTargets(userId, routine, exercises, gym = null, getUnit = () => DEFAULT_WEIGHT_UNIT) {
+    try {
+      const rules = getProgressionRules(routine);
+      const targets = {};
+
+      for (const exercise of exercises) {
+        const key = WorkoutSessionService.getExerciseKey(exercise);
+        const history = await WorkoutSessionService.getExerciseHistory(userId, exercise);
+        const suggestion = suggestNextTarget(exercise, history.slice(0, 5), rules, getUnit(exercise));
+        if (key && suggestion) {
+          targets[key] = gym ? this._roundSuggestion(suggestion, exercise, gym) : suggestion;
+        }
+      }
+
+      return targets;
+    } catch (error) {
+      logger.error('Error calculating next targets:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Ajustar el peso sugerido a los discos o mancuernas del gimnasio
+   */
+  static _roundSuggestion(suggestion, exercise, gym) {
+    let weight = roundToAvailableWeight(suggestion.weight, exercise, gym);
+    // Si el redondeo se come la subida, pasar al siguiente peso disponible
+    if (suggestion.action === 'increase_weight' && weight <= suggestion.previousWeight) {
+      weight = roundToAvailableWeight(suggestion.weight, exercise, gym, true);
+    }
+    if (weight === suggestion.weight) return suggestion;
+
+    return {
+      ...suggestion,
+      weight,
+      sets: suggestion.sets.map(set => ({ ...set, weight }))
+    };
+  }
+
+  /**
+   * Actualizar las reglas de progresión de una rutina
+   */
+  static async updateProgressionRules(userId, routineId, rules) {
+    const routine = await this.getRoutineById(userId, routineId);
+    if (!routine) {
+      throw new Error('Rutina no encontrada');
+    }
+
+    return await this.updateRoutine(userId, routineId, {
+      progression: { ...getProgressionRules(routine), ...rules }
+    });
+  }
+
+  // ===== CAMBIOS DURANTE EL ENTRENAMIENTO =====
+
+  /**
+   * Alternativas para un ejercicio: mismo músculo y equipamiento disponible
+   * (excluye los ejercicios que ya están en el entrenamiento)
+   */
+  static async getAlternativeExercises(exercise, equipment = [], excludeExercises = []) {
+    try {
+      const sameMuscle = await getExercisesByMuscle(exercise.muscle);
+      const available = this._filterExercisesByEquipment(sameMuscle, equipment);
+      const excludedIds = new Set([exercise, ...excludeExercises].map(ex => String(ex.id)));
+
+      return available.filter(ex => !excludedIds.has(String(ex.id))).slice(0, 15);
+    } catch (error) {
+      logger.error('Error getting alternative exercises:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Guardar en la rutina los cambios de ejercicios hechos durante un entrenamiento
+   * Recibe los ejercicios del tracker y los convierte de nuevo al formato del plan
+   */
+  static async applyWorkoutChanges(userId, routineId, trackerExercises) {
+    const routine = await this.getRoutineById(userId, routineId);
+    if (!routine) {
+      throw new Error('Rutina no encontrada');
+    }
+
+    const planExercises = trackerExercises.map((exercise, index) => {
+      // Quitar el estado propio del entrenamiento
+      const {
+        completed, skipped, swappedFrom, currentSet, sets, totalSets, targetReps, ...planExercise
+      } = exercise;
+
+      return {
+        ...planExercise,
+        sets: totalSets,
+        reps: targetReps,
+        restTime: `${exercise.restTime}s`,
+        order: index + 1
+      };
+    });
+
+    return await this.updateRoutine(userId, routineId, {
+      exercises: planExercises,
+      totalExercises: planExercises.length,
+      workoutPlan: { ...(routine.workoutPlan || {}), exercises: planExercises }
+    });
+  }
+
   // ===== HISTORIAL Y FAVORITOS =====
   
   /**
@@ -687,10 +818,11 @@ export class RoutineService {
       const history = await AsyncStorage.getItem(historyKey);
       const historyArray = history ? JSON.parse(history) : [];
       
+      const completedAt = new Date();
       historyArray.push({
         routineId,
-        completedAt: new Date().toISOString(),
-        date: new Date().toISOString().split('T')[0] // YYYY-MM-DD
+        completedAt: completedAt.toISOString(),
+        date: toLocalDateKey(completedAt) // YYYY-MM-DD en hora local
       });
       
       await AsyncStorage.setItem(historyKey, JSON.stringify(historyArray));
@@ -732,39 +864,39 @@ export class RoutineService {
 
   /**
    * Obtener estadísticas del usuario
+   * Las rachas se calculan por días locales y según la frecuencia planificada en el cuestionario
+   * `bodyweight` (kg) se usa para estimar las calorías de las sesiones que no las tienen guardadas
    */
-  static async getUserStats(userId) {
+  static async getUserStats(userId, workoutFrequency = '3', bodyweight = null) {
     try {
       const routines = await this.getUserRoutines(userId);
       const history = await this.getRoutineHistory(userId);
+      const sessions = await WorkoutSessionService.getSessions(userId);
       
       const totalWorkouts = history.length;
       const totalRoutines = routines.length;
       const customRoutines = routines.filter(r => r.isCustom).length;
       
-      // Calcular streak actual
-      const sortedHistory = history.sort((a, b) => new Date(b.date) - new Date(a.date));
-      let currentStreak = 0;
-      let checkDate = new Date();
-      
-      for (const workout of sortedHistory) {
-        const workoutDate = new Date(workout.date);
-        const diffDays = Math.floor((checkDate - workoutDate) / (1000 * 60 * 60 * 24));
-        
-        if (diffDays <= 1 && (currentStreak === 0 || diffDays <= 1)) {
-          currentStreak++;
-          checkDate = workoutDate;
-        } else {
-          break;
-        }
-      }
+      // Las sesiones guardadas son la referencia (se pueden borrar desde el historial) y el
+      // historial de rutinas cubre los días anteriores a la primera sesión. La fecha del historial
+      // se recalcula desde completedAt porque las entradas antiguas la guardaban en UTC
+      const dates = mergeWorkoutDates(
+        sessions.map(session => WorkoutSessionService.getSessionDate(session)),
+        history.map(entry => entry.completedAt)
+      );
+
+      // Calorías estimadas de la semana en curso (de lunes a hoy)
+      const currentWeek = getWeekStart(new Date());
+      const weeklyCalories = sessions
+        .filter(session => getWeekStart(session.completedAt) === currentWeek)
+        .reduce((sum, session) => sum + getSessionCalories(session, bodyweight), 0);
       
       return {
         totalWorkouts,
         totalRoutines,
         customRoutines,
-        currentStreak,
-        lastWorkout: sortedHistory[0]?.date || null
+        weeklyCalories,
+        ...calculateStreakStats(dates, workoutFrequency)
       };
     } catch (error) {
       logger.error('Error getting user stats:', error);
@@ -772,8 +904,8 @@ export class RoutineService {
         totalWorkouts: 0,
         totalRoutines: 0,
         customRoutines: 0,
-        currentStreak: 0,
-        lastWorkout: null
+        weeklyCalories: 0,
+        ...calculateStreakStats([], workoutFrequency)
       };
     }
   }
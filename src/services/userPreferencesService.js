@@ -3,6 +3,7 @@ import { db } from '../api/firebase';
 import { logger } from '../utils/logger';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
+import { DEFAULT_GYM } from '../utils/plateCalculator';
 
 const COLLECTION_NAME = 'userPreferences';
 
@@ -221,6 +222,12 @@ export class UserPreferencesService {
       workoutFrequency: '3',
       timePerWorkout: '45',
       bodyFocus: [],
+      oneRepMaxFormula: 'epley',
+      weightUnit: 'kg',
+      bodyweight: null, // kg, para el volumen de los ejercicios de peso corporal
+      exerciseUnitOverrides: {},
+      gyms: [DEFAULT_GYM],
+      activeGymId: DEFAULT_GYM.id,
       completedAt: null,
     };
   }
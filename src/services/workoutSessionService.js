@@ -0,0 +1,497 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { logger } from '../utils/logger';
+import { getCountedSets, getTargetSets } from '../utils/setTypes';
+import { getSetLoad } from '../utils/exerciseMeasurement';
+import { toLocalDateKey } from '../utils/streaks';
+
+// Keys para AsyncStorage
+const STORAGE_KEYS = {
+  WORKOUT_SESSIONS: 'workout_sessions_',
+  ACTIVE_WORKOUT: 'active_workout_',
+  EXERCISE_NOTES: 'exercise_notes_',
+};
+
+// Los checkpoints más antiguos que esto se descartan al arrancar
+const ACTIVE_WORKOUT_MAX_AGE = 24 * 60 * 60 * 1000; // 24 horas
+
+/**
+ * Servicio para guardar y consultar sesiones de entrenamiento completas
+ * (sets, pesos, repeticiones, duración, valoración y notas)
+ */
+export class WorkoutSessionService {
+
+  // ===== GESTIÓN DE SESIONES =====
+
+  /**
+   * Obtener todas las sesiones del usuario (más recientes primero)
+   */
+  static async getSessions(userId) {
+    try {
+      const key = STORAGE_KEYS.WORKOUT_SESSIONS + userId;
+      const sessions = await AsyncStorage.getItem(key);
+      const sessionsArray = sessions ? JSON.parse(sessions) : [];
+      return sessionsArray.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+    } catch (error) {
+      logger.error('Error getting workout sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Obtener una sesión por ID
+   */
+  static async getSessionById(userId, sessionId) {
+    try {
+      const sessions = await this.getSessions(userId);
+      return sessions.find(s => s.id === sessionId) || null;
+    } catch (error) {
+      logger.error('Error getting workout session by ID:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Guardar una sesión nueva
+   */
+  static async saveSession(userId, session) {
+    try {
+      const sessions = await this.getSessions(userId);
+      const newSession = {
+        id: Date.now().toString(),
+        userId,
+        createdAt: new Date().toISOString(),
+        ...session
+      };
+
+      sessions.push(newSession);
+
+      const key = STORAGE_KEYS.WORKOUT_SESSIONS + userId;
+      await AsyncStorage.setItem(key, JSON.stringify(sessions));
+
+      logger.info('Workout session saved:', newSession.id);
+      return newSession;
+    } catch (error) {
+      logger.error('Error saving workout session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guardar varias sesiones de golpe (importación desde otras apps)
+   * Se escriben en una sola operación y con IDs únicos aunque se creen en el mismo milisegundo
+   */
+  static async importSessions(userId, newSessions) {
+    try {
+      const sessions = await this.getSessions(userId);
+      const now = new Date();
+      const imported = newSessions.map((session, index) => ({
+        id: `${now.getTime()}_${index}`,
+        userId,
+        createdAt: now.toISOString(),
+        ...session
+      }));
+
+      const key = STORAGE_KEYS.WORKOUT_SESSIONS + userId;
+      await AsyncStorage.setItem(key, JSON.stringify([...sessions, ...imported]));
+
+      logger.info('Workout sessions imported:', imported.length);
+      return imported;
+    } catch (error) {
+      logger.error('Error importing workout sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una sesión existente
+   */
+  static async updateSession(userId, sessionId, updates) {
+    try {
+      const sessions = await this.getSessions(userId);
+      const index = sessions.findIndex(s => s.id === sessionId);
+
+      if (index === -1) {
+        throw new Error('Sesión no encontrada');
+      }
+
+      sessions[index] = {
+        ...sessions[index],
+        ...updates,
+        updatedAt: new Date().toISOString()
+      };
+
+      const key = STORAGE_KEYS.WORKOUT_SESSIONS + userId;
+      await AsyncStorage.setItem(key, JSON.stringify(sessions));
+
+      logger.info('Workout session updated:', sessionId);
+      return sessions[index];
+    } catch (error) {
+      logger.error('Error updating workout session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar varias sesiones con una sola escritura ({ [sessionId]: updates })
+   */
+  static async updateSessions(userId, updatesById) {
+    try {
+      const now = new Date().toISOString();
+      const sessions = (await this.getSessions(userId)).map(session =>
+        updatesById[session.id] ? { ...session, ...updatesById[session.id], updatedAt: now } : session
+      );
+
+      const key = STORAGE_KEYS.WORKOUT_SESSIONS + userId;
+      await AsyncStorage.setItem(key, JSON.stringify(sessions));
+
+      logger.info('Workout sessions updated:', Object.keys(updatesById).length);
+      return sessions;
+    } catch (error) {
+      logger.error('Error updating workout sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una sesión
+   */
+  static async deleteSession(userId, sessionId) {
+    try {
+      const sessions = await this.getSessions(userId);
+      const filteredSessions = sessions.filter(s => s.id !== sessionId);
+
+      const key = STORAGE_KEYS.WORKOUT_SESSIONS + userId;
+      await AsyncStorage.setItem(key, JSON.stringify(filteredSessions));
+
+      logger.info('Workout session deleted:', sessionId);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting workout session:', error);
+      throw error;
+    }
+  }
+
+  // ===== ENTRENAMIENTO EN CURSO =====
+
+  /**
+   * Guardar un checkpoint del entrenamiento en curso
+   */
+  static async saveActiveWorkout(userId, checkpoint) {
+    try {
+      const key = STORAGE_KEYS.ACTIVE_WORKOUT + userId;
+      await AsyncStorage.setItem(key, JSON.stringify({
+        ...checkpoint,
+        updatedAt: new Date().toISOString()
+      }));
+      return true;
+    } catch (error) {
+      logger.error('Error saving active workout checkpoint:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Obtener el checkpoint del entrenamiento en curso (si existe)
+   */
+  static async getActiveWorkout(userId) {
+    try {
+      const key = STORAGE_KEYS.ACTIVE_WORKOUT + userId;
+      const data = await AsyncStorage.getItem(key);
+      if (!data) return null;
+
+      const checkpoint = JSON.parse(data);
+      const age = Date.now() - new Date(checkpoint.updatedAt).getTime();
+
+      if (!checkpoint.routine || age > ACTIVE_WORKOUT_MAX_AGE) {
+        logger.info('Discarding stale active workout checkpoint');
+        await this.clearActiveWorkout(userId);
+        return null;
+      }
+
+      return checkpoint;
+    } catch (error) {
+      logger.error('Error getting active workout checkpoint:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Eliminar el checkpoint del entrenamiento en curso
+   */
+  static async clearActiveWorkout(userId) {
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEYS.ACTIVE_WORKOUT + userId);
+      return true;
+    } catch (error) {
+      logger.error('Error clearing active workout checkpoint:', error);
+      return false;
+    }
+  }
+
+  // ===== NOTAS DE EJERCICIOS =====
+
+  /**
+   * Obtener las notas de todos los ejercicios (clave del ejercicio -> nota)
+   */
+  static async getExerciseNotes(userId) {
+    try {
+      const notes = await AsyncStorage.getItem(STORAGE_KEYS.EXERCISE_NOTES + userId);
+      return notes ? JSON.parse(notes) : {};
+    } catch (error) {
+      logger.error('Error getting exercise notes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Obtener la nota de un ejercicio ('' si no tiene)
+   */
+  static async getExerciseNote(userId, exercise) {
+    const notes = await this.getExerciseNotes(userId);
+    return notes[this.getExerciseKey(exercise)]?.text || '';
+  }
+
+  /**
+   * Guardar la nota de un ejercicio (altura del asiento, agarre...)
+   * Se comparte entre rutinas; una nota vacía la borra. Devuelve todas las notas
+   */
+  static async saveExerciseNote(userId, exercise, text) {
+    try {
+      const notes = await this.getExerciseNotes(userId);
+      const key = this.getExerciseKey(exercise);
+      const trimmed = (text || '').trim();
+
+      if (trimmed) {
+        notes[key] = {
+          text: trimmed,
+          exerciseName: exercise.name,
+          updatedAt: new Date().toISOString()
+        };
+      } else {
+        delete notes[key];
+      }
+
+      await AsyncStorage.setItem(STORAGE_KEYS.EXERCISE_NOTES + userId, JSON.stringify(notes));
+      return notes;
+    } catch (error) {
+      logger.error('Error saving exercise note:', error);
+      throw error;
+    }
+  }
+
+  // ===== CONSULTAS =====
+
+  /**
+   * Obtener sesiones completadas entre dos fechas (inclusive)
+   */
+  static async getSessionsByDateRange(userId, startDate, endDate) {
+    try {
+      const sessions = await this.getSessions(userId);
+      const start = new Date(startDate).getTime();
+      const end = new Date(endDate).getTime();
+
+      return sessions.filter(session => {
+        const completed = new Date(session.completedAt).getTime();
+        return completed >= start && completed <= end;
+      });
+    } catch (error) {
+      logger.error('Error getting sessions by date range:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Obtener sesiones de una rutina
+   */
+  static async getSessionsByRoutine(userId, routineId) {
+    try {
+      const sessions = await this.getSessions(userId);
+      return sessions.filter(session => session.routineId === routineId);
+    } catch (error) {
+      logger.error('Error getting sessions by routine:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Obtener el historial de un ejercicio en todas las sesiones
+   * Devuelve una entrada por sesión con los sets registrados de ese ejercicio
+   */
+  static async getExerciseHistory(userId, exercise) {
+    try {
+      const sessions = await this.getSessions(userId);
+      const history = [];
+
+      for (const session of sessions) {
+        const entry = session.exercises?.find(ex => this.isSameExercise(ex, exercise));
+        if (entry && getTargetSets(entry.sets).length > 0) {
+          history.push({
+            sessionId: session.id,
+            routineId: session.routineId,
+            routineName: session.routineName,
+            completedAt: session.completedAt,
+            date: session.date,
+            exercise: entry
+          });
+        }
+      }
+
+      return history;
+    } catch (error) {
+      logger.error('Error getting exercise history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Obtener lo que se hizo la última vez en cada ejercicio
+   * Devuelve un mapa clave de ejercicio -> { completedAt, sets }
+   */
+  static async getPreviousPerformance(userId, exercises) {
+    try {
+      const sessions = await this.getSessions(userId);
+      const previous = {};
+
+      for (const exercise of exercises) {
+        const key = this.getExerciseKey(exercise);
+        if (!key || previous[key]) continue;
+
+        // Las sesiones vienen ordenadas de más reciente a más antigua
+        for (const session of sessions) {
+          const entry = session.exercises?.find(ex => this.isSameExercise(ex, exercise));
+          if (entry && getTargetSets(entry.sets).length > 0) {
+            previous[key] = { completedAt: session.completedAt, sets: entry.sets };
+            break;
+          }
+        }
+      }
+
+      return previous;
+    } catch (error) {
+      logger.error('Error getting previous performance:', error);
+      return {};
+    }
+  }
+
+  // ===== UTILIDADES =====
+
+  /**
+   * Clave estable para identificar un ejercicio entre rutinas
+   */
+  static getExerciseKey(exercise) {
+    if (!exercise) return null;
+    const id = exercise.exerciseId ?? exercise.id;
+    if (id !== undefined && id !== null) return String(id);
+    return exercise.name ? exercise.name.trim().toLowerCase() : null;
+  }
+
+  /**
+   * Comparar dos ejercicios por ID (o por nombre si no hay ID)
+   */
+  static isSameExercise(a, b) {
+    const keyA = this.getExerciseKey(a);
+    if (keyA && keyA === this.getExerciseKey(b)) return true;
+    return !!(a?.name && b?.name && a.name.trim().toLowerCase() === b.name.trim().toLowerCase());
+  }
+
+  /**
+   * Día local (YYYY-MM-DD) en que se hizo una sesión
+   */
+  static getSessionDate(session) {
+    return session.date || toLocalDateKey(session.completedAt);
+  }
+
+  /**
+   * Datos que muestra WorkoutSummary a partir de una sesión guardada
+   */
+  static toSummary(session) {
+    return {
+      sessionId: session.id,
+      routine: session.routineName,
+      completedAt: session.completedAt,
+      duration: session.duration,
+      totalSets: session.totalSets,
+      totalReps: session.totalReps,
+      totalVolume: session.totalVolume,
+      rating: session.rating,
+      exercises: session.exercises.length,
+      notes: session.notes,
+      personalRecords: session.personalRecords || [],
+      interval: session.interval || null,
+      calories: session.calories ?? null
+    };
+  }
+
+  /**
+   * Calcular totales (sets, reps y volumen) de una lista de ejercicios
+   * Los calentamientos no cuentan y los drop sets suman volumen pero no sets
+   * En ejercicios de peso corporal el volumen usa el peso corporal registrado en el set
+   */
+  static calculateTotals(exercises) {
+    const totalSets = exercises.reduce((sum, ex) => sum + getTargetSets(ex.sets).length, 0);
+    // Los sets de tiempo o distancia no tienen reps ni volumen
+    const totalReps = exercises.reduce((sum, ex) =>
+      sum + getCountedSets(ex.sets).reduce((setSum, set) => setSum + (set.reps || 0), 0), 0
+    );
+    const totalVolume = exercises.reduce((sum, ex) =>
+      sum + getCountedSets(ex.sets).reduce((setSum, set) => setSum + ((getSetLoad(set) || 0) * (set.reps || 0)), 0), 0
+    );
+
+    return { totalSets, totalReps, totalVolume };
+  }
+
+  /**
+   * Construir el registro de sesión a partir del estado del tracker
+   */
+  static buildSession({ routine, exerciseData, startedAt, completedAt = new Date(), rating, notes, deviations = [] }) {
+    const exercises = exerciseData.map((exercise, index) => ({
+      exerciseId: exercise.id ?? null,
+      name: exercise.name,
+      muscle: exercise.muscle || null,
+      primaryMuscles: exercise.primaryMuscles || [],
+      secondaryMuscles: exercise.secondaryMuscles || [],
+      equipment: exercise.equipment || null,
+      measurement: exercise.measurement || null,
+      order: index + 1,
+      groupId: exercise.groupId || null,
+      groupType: exercise.groupType || null,
+      targetSets: exercise.totalSets,
+      targetReps: exercise.targetReps,
+      amrapSets: exercise.amrapSets || [],
+      restTime: exercise.restTime,
+      completed: exercise.completed,
+      skipped: !!exercise.skipped,
+      swappedFrom: exercise.swappedFrom || null,
+      sets: exercise.sets.map(set => ({ ...set }))
+    }));
+
+    return {
+      routineId: routine.id,
+      routineName: routine.name,
+      routineSnapshot: {
+        id: routine.id,
+        name: routine.name,
+        category: routine.category || null,
+        difficulty: routine.difficulty || null,
+        muscle: routine.muscle || null,
+        workoutPlan: routine.workoutPlan || null
+      },
+      startedAt: new Date(startedAt).toISOString(),
+      completedAt: new Date(completedAt).toISOString(),
+      date: toLocalDateKey(completedAt),
+      duration: Math.floor((new Date(completedAt) - new Date(startedAt)) / 60000), // en minutos
+      rating,
+      notes: notes || '',
+      exercises,
+      // Cambios respecto a la rutina hechos durante el entrenamiento (añadir, cambiar, saltar, reordenar)
+      deviations: deviations.map(deviation => ({ ...deviation })),
+      ...this.calculateTotals(exercises)
+    };
+  }
+}
+
+// Crear y exportar instancia del servicio
+const workoutSessionServiceInstance = WorkoutSessionService;
+
+export { workoutSessionServiceInstance as workoutSessionService };
+export default WorkoutSessionService;
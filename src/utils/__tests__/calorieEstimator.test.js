@@ -0,0 +1,118 @@
+import {
+  ACTIVITY_TYPES,
+  DEFAULT_BODYWEIGHT_KG,
+  estimateSessionCalories,
+  getExerciseActivity,
+  getSessionCalories,
+  recalculateSessionCalories,
+} from '../calorieEstimator';
+import { MEASUREMENT_TYPES } from '../exerciseMeasurement';
+import { SET_TYPES } from '../setTypes';
+
+const squat = {
+  name: 'Sentadilla',
+  measurement: MEASUREMENT_TYPES.WEIGHT_REPS,
+  sets: [
+    { set: null, type: SET_TYPES.WARMUP, weight: 40, reps: 10 },
+    { set: 1, weight: 100, reps: 5 },
+    { set: 2, weight: 100, reps: 5 },
+    { set: 3, weight: 100, reps: 5 },
+  ],
+};
+
+describe('getExerciseActivity', () => {
+  it('distingue fuerza, cardio e intervalos', () => {
+    expect(getExerciseActivity(squat)).toBe(ACTIVITY_TYPES.STRENGTH);
+    expect(getExerciseActivity({ name: 'Correr en cinta' })).toBe(ACTIVITY_TYPES.CARDIO);
+    expect(getExerciseActivity(squat, true)).toBe(ACTIVITY_TYPES.HIIT);
+  });
+});
+
+describe('estimateSessionCalories', () => {
+  it('sin duración cuenta solo los sets de trabajo con el peso de referencia', () => {
+    // 3 sets × 40 s a 6 MET con 70 kg
+    expect(estimateSessionCalories({ exercises: [squat] })).toEqual({
+      calories: 14,
+      activeMinutes: 2,
+      restMinutes: 0,
+      bodyweight: DEFAULT_BODYWEIGHT_KG,
+      defaultBodyweight: true,
+    });
+  });
+
+  it('el resto de la sesión cuenta como descanso', () => {
+    // 120 s a 6 MET + 480 s a 1.5 MET con 80 kg
+    const result = estimateSessionCalories({ duration: 10, exercises: [squat] }, 80);
+
+    expect(result).toMatchObject({ calories: 32, activeMinutes: 2, restMinutes: 8, defaultBodyweight: false });
+  });
+
+  it('usa el tiempo registrado en los sets de cardio', () => {
+    const running = {
+      name: 'Correr',
+      measurement: MEASUREMENT_TYPES.DISTANCE_DURATION,
+      sets: [{ set: 1, distance: 1000, duration: 300 }],
+    };
+
+    // 300 s a 7 MET con 70 kg
+    expect(estimateSessionCalories({ exercises: [running] }).calories).toBe(41);
+  });
+
+  it('las sesiones de intervalos cuentan como HIIT', () => {
+    const burpees = {
+      name: 'Burpees',
+      measurement: MEASUREMENT_TYPES.DURATION,
+      sets: Array.from({ length: 8 }, (_, index) => ({ set: index + 1, duration: 20 })),
+    };
+
+    // 160 s a 8 MET con 70 kg
+    expect(estimateSessionCalories({ interval: { preset: 'tabata' }, exercises: [burpees] }).calories).toBe(25);
+  });
+
+  it('si la estimación supera la duración real la reparte en proporción', () => {
+    const result = estimateSessionCalories({ duration: 1, exercises: [squat] });
+
+    expect(result).toMatchObject({ calories: 7, activeMinutes: 1, restMinutes: 0 });
+  });
+
+  it('una sesión vacía no gasta nada', () => {
+    expect(estimateSessionCalories({ exercises: [] }).calories).toBe(0);
+  });
+});
+
+describe('getSessionCalories', () => {
+  it('prefiere las calorías guardadas', () => {
+    expect(getSessionCalories({ calories: 250, exercises: [squat] })).toBe(250);
+    expect(getSessionCalories({ calories: 0, exercises: [squat] })).toBe(0);
+  });
+
+  it('estima las de las sesiones antiguas', () => {
+    expect(getSessionCalories({ exercises: [squat] }, 70)).toBe(14);
+  });
+});
+
+describe('recalculateSessionCalories', () => {
+  const pullUps = {
+    name: 'Dominadas',
+    measurement: MEASUREMENT_TYPES.BODYWEIGHT_REPS,
+    sets: [{ set: 1, addedWeight: 0, bodyweight: 140, weight: 140, reps: 8 }],
+  };
+
+  it('usa el peso corporal registrado en los sets, no el actual', () => {
+    const session = { calories: 1, exercises: [pullUps] };
+
+    expect(recalculateSessionCalories(session, [pullUps, squat], 70)).toBe(37);
+  });
+
+  it('sin peso registrado escala las calorías guardadas con el trabajo nuevo', () => {
+    // 28 kcal con 3 sets equivalen a 140 kg; con 2 sets quedan ~2/3
+    const session = { calories: 28, exercises: [squat] };
+    const edited = { ...squat, sets: squat.sets.slice(0, 3) };
+
+    expect(recalculateSessionCalories(session, [edited], 70)).toBe(18);
+  });
+
+  it('estima con el peso actual las sesiones sin calorías guardadas', () => {
+    expect(recalculateSessionCalories({ exercises: [] }, [squat], 70)).toBe(14);
+  });
+});
@@ -0,0 +1,141 @@
+import { parseCsv, parseImportDate, detectImportSource, parseImportFile } from '../csvImport';
+import { SET_TYPES } from '../setTypes';
+import { WEIGHT_UNITS, fromDisplayWeight } from '../units';
+
+const csv = (lines) => lines.join('\n');
+
+describe('parseCsv', () => {
+  it('respeta comas, comillas escapadas y saltos de línea dentro de comillas', () => {
+    const text = 'a,b,c\n"1,5","dijo ""hola""","línea 1\nlínea 2"\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['a', 'b', 'c'],
+      ['1,5', 'dijo "hola"', 'línea 1\nlínea 2'],
+    ]);
+  });
+
+  it('acepta punto y coma, CRLF y BOM', () => {
+    const text = '\uFEFFa;b\r\n1;"x;y"\r\n';
+
+    expect(parseCsv(text)).toEqual([['a', 'b'], ['1', 'x;y']]);
+  });
+
+  it('ignora las filas vacías y conserva las celdas vacías', () => {
+    expect(parseCsv('a,b,c\n\n1,,3\n,,\n')).toEqual([['a', 'b', 'c'], ['1', '', '3']]);
+  });
+
+  it('lee la última fila sin salto de línea final', () => {
+    expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseImportDate', () => {
+  it('interpreta las fechas como hora local', () => {
+    expect(parseImportDate('2024-01-21 18:30:00')).toEqual(new Date(2024, 0, 21, 18, 30, 0));
+    expect(parseImportDate('21 Jan 2024, 18:30')).toEqual(new Date(2024, 0, 21, 18, 30));
+  });
+
+  it('sin hora usa el mediodía para no cambiar de día', () => {
+    expect(parseImportDate('2024-01-21')).toEqual(new Date(2024, 0, 21, 12, 0, 0));
+  });
+
+  it('devuelve null si no hay fecha válida', () => {
+    expect(parseImportDate('')).toBeNull();
+    expect(parseImportDate('ayer')).toBeNull();
+  });
+});
+
+describe('detectImportSource', () => {
+  it('reconoce cada app por sus cabeceras', () => {
+    expect(detectImportSource(['title', 'start_time', 'exercise_title'])).toBe('hevy');
+    expect(detectImportSource(['Date', 'Exercise Name', 'Set Order'])).toBe('strong');
+    expect(detectImportSource(['Date', 'Exercise', 'Category'])).toBe('fitnotes');
+    expect(detectImportSource(['fecha', 'ejercicio'])).toBeNull();
+  });
+});
+
+describe('parseImportFile', () => {
+  it('Strong: agrupa por entrenamiento y ejercicio y numera los sets', () => {
+    const text = csv([
+      'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+      '2024-01-21 18:30:00,Pierna,1h 5m,Squat (Barbell),W,60,5,0,0,,Buen día,',
+      '2024-01-21 18:30:00,Pierna,1h 5m,Squat (Barbell),1,100,5,0,0,"Rodillas, bien",Buen día,8',
+      '2024-01-21 18:30:00,Pierna,1h 5m,Squat (Barbell),D,80,8,0,0,,Buen día,',
+      '2024-01-21 18:30:00,Pierna,1h 5m,Plank,1,0,0,0,60,,Buen día,',
+    ]);
+
+    const result = parseImportFile(text, WEIGHT_UNITS.KG);
+
+    expect(result.source).toBe('strong');
+    expect(result.exerciseNames).toEqual(['Squat (Barbell)', 'Plank']);
+    expect(result.workouts).toHaveLength(1);
+
+    const [workout] = result.workouts;
+    expect(workout.name).toBe('Pierna');
+    expect(workout.notes).toBe('Buen día');
+    expect(new Date(workout.completedAt) - new Date(workout.startedAt)).toBe(65 * 60 * 1000);
+
+    const [squat, plank] = workout.exercises;
+    expect(squat.notes).toBe('Rodillas, bien');
+    expect(squat.sets).toEqual([
+      { type: SET_TYPES.WARMUP, set: null, rpe: null, rir: null, weight: 60, reps: 5 },
+      { type: SET_TYPES.WORKING, set: 1, rpe: 8, rir: null, weight: 100, reps: 5 },
+      { type: SET_TYPES.DROP, set: 1, parentSet: 1, rpe: null, rir: null, weight: 80, reps: 8 },
+    ]);
+    // Strong rellena con 0 el peso y las reps de los sets de tiempo
+    expect(plank.sets).toEqual([{ type: SET_TYPES.WORKING, set: 1, rpe: null, rir: null, duration: 60 }]);
+  });
+
+  it('Strong: usa la unidad elegida si la cabecera no la indica', () => {
+    const text = csv([
+      'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+      '2024-01-21 18:30:00,Pierna,45m,Squat (Barbell),1,225,5,,,,,',
+    ]);
+
+    const [set] = parseImportFile(text, WEIGHT_UNITS.LB).workouts[0].exercises[0].sets;
+
+    expect(set.weight).toBe(fromDisplayWeight(225, WEIGHT_UNITS.LB));
+  });
+
+  it('Hevy: lee la unidad de la cabecera, los tipos de set y la distancia', () => {
+    const text = csv([
+      'title,start_time,end_time,description,exercise_title,superset_id,exercise_notes,set_index,set_type,weight_lbs,reps,distance_miles,duration_seconds,rpe',
+      'Push,"21 Jan 2024, 18:30","21 Jan 2024, 19:30",,Bench Press (Barbell),,,0,warmup,95,10,,,',
+      'Push,"21 Jan 2024, 18:30","21 Jan 2024, 19:30",,Bench Press (Barbell),,,1,normal,185,5,,,9',
+      'Push,"21 Jan 2024, 18:30","21 Jan 2024, 19:30",,Running,,,0,normal,,,1,600,',
+    ]);
+
+    const result = parseImportFile(text);
+
+    expect(result.source).toBe('hevy');
+    const [workout] = result.workouts;
+    expect(workout.startedAt).toBe(new Date(2024, 0, 21, 18, 30).toISOString());
+    expect(workout.completedAt).toBe(new Date(2024, 0, 21, 19, 30).toISOString());
+
+    const [bench, running] = workout.exercises;
+    expect(bench.sets.map(set => set.type)).toEqual([SET_TYPES.WARMUP, SET_TYPES.WORKING]);
+    expect(bench.sets[1]).toMatchObject({ set: 1, weight: fromDisplayWeight(185, WEIGHT_UNITS.LB), reps: 5, rpe: 9 });
+    expect(running.sets[0]).toMatchObject({ distance: 1609, duration: 600 });
+  });
+
+  it('FitNotes: cada día es un entrenamiento', () => {
+    const text = csv([
+      'Date,Exercise,Category,Weight (kgs),Reps,Distance,Distance Unit,Time,Comment',
+      '2024-01-21,Deadlift,Back,140,3,,,,',
+      '2024-01-21,Rowing,Cardio,,,2,km,0:08:30,',
+      '2024-01-23,Deadlift,Back,145,3,,,,',
+    ]);
+
+    const result = parseImportFile(text);
+
+    expect(result.source).toBe('fitnotes');
+    expect(result.workouts).toHaveLength(2);
+    expect(result.workouts[0].exercises[1].sets[0]).toMatchObject({ distance: 2000, duration: 510 });
+    expect(result.workouts[1].exercises[0].sets[0]).toMatchObject({ weight: 145, reps: 3 });
+  });
+
+  it('rechaza archivos vacíos o de otro formato', () => {
+    expect(() => parseImportFile('Date,Exercise\n')).toThrow('El archivo está vacío');
+    expect(() => parseImportFile('fecha,ejercicio\n2024-01-21,Sentadilla')).toThrow('Formato no reconocido');
+  });
+});
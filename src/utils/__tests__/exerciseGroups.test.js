@@ -0,0 +1,54 @@
+import { applyGroupLinks, getGroupIndexes, getGroupLabels, getNextInGroup } from '../exerciseGroups';
+
+// Superserie A (press + remo), ejercicio suelto y circuito C de tres
+const exercises = applyGroupLinks([
+  { name: 'Press banca', linkedToNext: true },
+  { name: 'Remo', linkedToNext: false },
+  { name: 'Curl' },
+  { name: 'Zancadas', linkedToNext: true },
+  { name: 'Burpees', linkedToNext: true },
+  { name: 'Plancha' },
+]);
+
+const doneAt = (...indexes) => (exercise) => indexes.includes(exercises.indexOf(exercise));
+
+describe('getGroupIndexes', () => {
+  it('devuelve los ejercicios del grupo o solo el propio si no está agrupado', () => {
+    expect(getGroupIndexes(exercises, 1)).toEqual([0, 1]);
+    expect(getGroupIndexes(exercises, 2)).toEqual([2]);
+    expect(getGroupIndexes(exercises, 4)).toEqual([3, 4, 5]);
+  });
+});
+
+describe('getGroupLabels', () => {
+  it('etiqueta la posición dentro de cada grupo', () => {
+    expect(getGroupLabels(exercises)).toEqual({ 0: 'A1', 1: 'A2', 3: 'B1', 4: 'B2', 5: 'B3' });
+  });
+});
+
+describe('getNextInGroup', () => {
+  const none = () => false;
+
+  it('alterna set a set entre los ejercicios del grupo', () => {
+    expect(getNextInGroup(exercises, 0, none)).toBe(1);
+    expect(getNextInGroup(exercises, 3, none)).toBe(4);
+    expect(getNextInGroup(exercises, 4, none)).toBe(5);
+  });
+
+  it('al acabar la vuelta vuelve al primero pendiente', () => {
+    expect(getNextInGroup(exercises, 1, none)).toBe(0);
+    expect(getNextInGroup(exercises, 5, none)).toBe(3);
+  });
+
+  it('se salta los ejercicios ya terminados', () => {
+    expect(getNextInGroup(exercises, 3, doneAt(4))).toBe(5);
+    expect(getNextInGroup(exercises, 5, doneAt(3))).toBe(4);
+    // Si solo queda el actual se sigue con él
+    expect(getNextInGroup(exercises, 0, doneAt(1))).toBe(0);
+  });
+
+  it('devuelve null cuando no queda nada pendiente en el grupo', () => {
+    expect(getNextInGroup(exercises, 1, doneAt(0, 1))).toBeNull();
+    expect(getNextInGroup(exercises, 2, doneAt(2))).toBeNull();
+  });
+});
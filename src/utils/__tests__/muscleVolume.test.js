@@ -0,0 +1,129 @@
+import {
+  OTHER_GROUP,
+  WEEKLY_SET_TARGET,
+  FOCUS_WEEKLY_SET_TARGET,
+  getMuscleGroup,
+  getMuscleCredits,
+  aggregateMuscleVolume,
+  getWeeklyMuscleVolume,
+  compareWithTargets,
+} from '../muscleVolume';
+import { SET_TYPES } from '../setTypes';
+
+const workingSets = (count, weight = 50, reps = 10) =>
+  Array.from({ length: count }, (_, index) => ({ set: index + 1, type: SET_TYPES.WORKING, weight, reps }));
+
+describe('getMuscleGroup', () => {
+  it('agrupa los músculos sin tener en cuenta tildes ni mayúsculas', () => {
+    expect(getMuscleGroup('Pectoral mayor')).toBe('chest');
+    expect(getMuscleGroup('Bíceps')).toBe('arms');
+    expect(getMuscleGroup('TRÍCEPS')).toBe('arms');
+    expect(getMuscleGroup('Cuádriceps')).toBe('legs');
+    expect(getMuscleGroup('Oblicuos')).toBe('abs');
+  });
+
+  it('el bíceps femoral es pierna, no brazo', () => {
+    expect(getMuscleGroup('Bíceps femoral')).toBe('legs');
+    expect(getMuscleGroup('Isquiotibiales')).toBe('legs');
+  });
+
+  it('los músculos desconocidos van a otros', () => {
+    expect(getMuscleGroup('Cardio')).toBe(OTHER_GROUP);
+    expect(getMuscleGroup(null)).toBe(OTHER_GROUP);
+  });
+});
+
+describe('getMuscleCredits', () => {
+  it('los secundarios cuentan medio set salvo que ya sean primarios', () => {
+    const exercise = {
+      primaryMuscles: ['Pecho'],
+      secondaryMuscles: ['Tríceps', 'Deltoides anterior', 'Pectoral menor'],
+    };
+
+    expect(getMuscleCredits(exercise)).toEqual({ chest: 1, arms: 0.5, shoulders: 0.5 });
+  });
+
+  it('sin primarios usa el músculo del ejercicio', () => {
+    expect(getMuscleCredits({ muscle: 'Espalda' })).toEqual({ back: 1 });
+  });
+});
+
+describe('aggregateMuscleVolume', () => {
+  it('suma sets duros y tonelaje por grupo con el crédito de cada músculo', () => {
+    const bench = {
+      primaryMuscles: ['Pecho'],
+      secondaryMuscles: ['Tríceps'],
+      sets: [
+        { set: null, type: SET_TYPES.WARMUP, weight: 40, reps: 10 },
+        ...workingSets(3, 80, 8),
+        { set: 3, type: SET_TYPES.DROP, parentSet: 3, weight: 60, reps: 6 },
+      ],
+    };
+    const curl = { muscle: 'Bíceps femoral', sets: workingSets(2) };
+
+    expect(aggregateMuscleVolume([{ exercises: [bench] }, { exercises: [curl] }])).toEqual({
+      // Los drop sets suman tonelaje pero no sets duros; los calentamientos no cuentan
+      chest: { sets: 3, volume: 3 * 80 * 8 + 60 * 6 },
+      arms: { sets: 1.5, volume: (3 * 80 * 8 + 60 * 6) / 2 },
+      legs: { sets: 2, volume: 2 * 50 * 10 },
+    });
+  });
+
+  it('usa el peso corporal más el lastre en los ejercicios de peso corporal', () => {
+    const dips = {
+      muscle: 'Tríceps',
+      sets: [{ set: 1, type: SET_TYPES.WORKING, addedWeight: 10, bodyweight: 70, reps: 10 }],
+    };
+
+    expect(aggregateMuscleVolume([{ exercises: [dips] }])).toEqual({ arms: { sets: 1, volume: 800 } });
+  });
+
+  it('ignora los ejercicios sin sets de trabajo', () => {
+    const skipped = { muscle: 'Pecho', sets: [] };
+
+    expect(aggregateMuscleVolume([{ exercises: [skipped] }])).toEqual({});
+  });
+});
+
+describe('getWeeklyMuscleVolume', () => {
+  it('separa las sesiones por semana de lunes a domingo, la actual primero', () => {
+    const session = (date) => ({
+      completedAt: date.toISOString(),
+      exercises: [{ muscle: 'Pecho', sets: workingSets(2) }],
+    });
+    const sessions = [session(new Date(2026, 9, 12, 18)), session(new Date(2026, 9, 11, 18))];
+
+    const weeks = getWeeklyMuscleVolume(sessions, 2, new Date(2026, 9, 14));
+
+    expect(weeks.map(week => week.weekStart)).toEqual(['2026-10-12', '2026-10-05']);
+    expect(weeks[0].muscles.chest.sets).toBe(2);
+    expect(weeks[1].muscles.chest.sets).toBe(2);
+  });
+});
+
+describe('compareWithTargets', () => {
+  it('marca cada grupo por debajo, dentro o por encima del objetivo', () => {
+    const muscles = { chest: { sets: 9, volume: 100 }, back: { sets: 12, volume: 200 }, legs: { sets: 21, volume: 300 } };
+
+    const byGroup = Object.fromEntries(compareWithTargets(muscles).map(entry => [entry.group, entry]));
+
+    expect(byGroup.chest).toMatchObject({ status: 'below', target: WEEKLY_SET_TARGET });
+    expect(byGroup.back.status).toBe('within');
+    expect(byGroup.legs.status).toBe('above');
+    expect(byGroup.abs).toMatchObject({ sets: 0, volume: 0, status: 'below' });
+  });
+
+  it('los grupos de enfoque van primero y piden más sets', () => {
+    const result = compareWithTargets({ legs: { sets: 12, volume: 0 } }, ['legs']);
+
+    expect(result[0]).toMatchObject({ group: 'legs', focus: true, target: FOCUS_WEEKLY_SET_TARGET, status: 'below' });
+  });
+
+  it('incluye otros solo si hay volumen y sin objetivo', () => {
+    expect(compareWithTargets({}).some(entry => entry.group === OTHER_GROUP)).toBe(false);
+
+    const other = compareWithTargets({ [OTHER_GROUP]: { sets: 3, volume: 0 } })
+      .find(entry => entry.group === OTHER_GROUP);
+    expect(other).toMatchObject({ label: 'Otros', sets: 3, status: null });
+  });
+});
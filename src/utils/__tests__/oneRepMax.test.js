@@ -0,0 +1,54 @@
+import { estimateOneRepMax, getBestOneRepMax } from '../oneRepMax';
+import { SET_TYPES } from '../setTypes';
+
+describe('estimateOneRepMax', () => {
+  it.each([
+    ['epley', 100, 10, 133.3],
+    ['epley', 100, 5, 116.7],
+    ['brzycki', 100, 10, 133.3],
+    ['brzycki', 100, 5, 112.5],
+    ['lombardi', 100, 10, 125.9],
+    ['lombardi', 100, 5, 117.5],
+  ])('%s: %d kg × %d reps = %d kg', (formula, weight, reps, expected) => {
+    expect(estimateOneRepMax(weight, reps, formula)).toBe(expected);
+  });
+
+  it('con una rep el 1RM es el propio peso en todas las fórmulas', () => {
+    ['epley', 'brzycki', 'lombardi'].forEach(formula => {
+      expect(estimateOneRepMax(102.5, 1, formula)).toBe(102.5);
+    });
+  });
+
+  it('sin reps o sin peso no hay estimación', () => {
+    expect(estimateOneRepMax(100, 0)).toBe(0);
+    expect(estimateOneRepMax(0, 5)).toBe(0);
+    expect(estimateOneRepMax(-10, 5)).toBe(0);
+    expect(estimateOneRepMax(null, 5)).toBe(0);
+  });
+
+  it('Brzycki no divide por cero con muchas reps', () => {
+    expect(estimateOneRepMax(20, 40, 'brzycki')).toBe(720);
+  });
+
+  it('una fórmula desconocida usa Epley', () => {
+    expect(estimateOneRepMax(100, 10, 'otra')).toBe(133.3);
+  });
+});
+
+describe('getBestOneRepMax', () => {
+  it('ignora los calentamientos y devuelve el set que da el mejor 1RM', () => {
+    const best = getBestOneRepMax([
+      { set: null, type: SET_TYPES.WARMUP, weight: 140, reps: 3 },
+      { set: 1, weight: 100, reps: 10 },
+      { set: 2, weight: 110, reps: 5 },
+    ]);
+
+    expect(best).toEqual({ e1rm: 133.3, weight: 100, reps: 10 });
+  });
+
+  it('en peso corporal usa el peso corporal más el lastre', () => {
+    expect(getBestOneRepMax([{ set: 1, addedWeight: 20, bodyweight: 80, reps: 1 }]))
+      .toEqual({ e1rm: 100, weight: 100, reps: 1 });
+    expect(getBestOneRepMax([{ set: 1, addedWeight: 20, reps: 5 }])).toBeNull();
+  });
+});
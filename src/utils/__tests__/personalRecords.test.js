@@ -0,0 +1,96 @@
+import {
+  RECORD_TYPES,
+  detectPersonalRecords,
+  getExerciseBests,
+  recalculatePersonalRecords,
+} from '../personalRecords';
+import { SET_TYPES } from '../setTypes';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const squat = (sets) => ({ exerciseId: 'squat', name: 'Sentadilla', sets });
+const session = (id, day, exercises) => ({ id, completedAt: new Date(2026, 9, day).toISOString(), exercises });
+const types = (records) => records.map(record => record.type);
+
+const history = [session('s1', 1, [squat([{ set: 1, weight: 100, reps: 5 }])])];
+
+describe('getExerciseBests', () => {
+  it('ignora los calentamientos', () => {
+    const bests = getExerciseBests([
+      { set: null, type: SET_TYPES.WARMUP, weight: 120, reps: 3 },
+      { set: 1, weight: 100, reps: 5 },
+    ]);
+
+    expect(bests).toMatchObject({ heaviestWeight: 100, bestSetVolume: 500, sessionVolume: 500 });
+    expect(bests.repsByWeight).toEqual({ 100: 5 });
+  });
+});
+
+describe('detectPersonalRecords', () => {
+  it('la primera sesión de un ejercicio no es récord', () => {
+    expect(detectPersonalRecords([squat([{ set: 1, weight: 100, reps: 5 }])], [])).toEqual([]);
+  });
+
+  it('igualar la mejor marca no es récord', () => {
+    expect(detectPersonalRecords([squat([{ set: 1, weight: 100, reps: 5 }])], history)).toEqual([]);
+  });
+
+  it('un calentamiento más pesado no cuenta', () => {
+    const sets = [
+      { set: null, type: SET_TYPES.WARMUP, weight: 120, reps: 3 },
+      { set: 1, weight: 100, reps: 5 },
+    ];
+
+    expect(detectPersonalRecords([squat(sets)], history)).toEqual([]);
+  });
+
+  it('un peso nuevo es récord de peso, 1RM y volumen', () => {
+    const records = detectPersonalRecords([squat([{ set: 1, weight: 105, reps: 5 }])], history);
+
+    expect(types(records)).toEqual([
+      RECORD_TYPES.HEAVIEST_WEIGHT,
+      RECORD_TYPES.BEST_E1RM,
+      RECORD_TYPES.BEST_SET_VOLUME,
+      RECORD_TYPES.BEST_SESSION_VOLUME,
+    ]);
+    expect(records[0]).toMatchObject({ exerciseId: 'squat', value: 105, previousValue: 100 });
+  });
+
+  it('más reps con un peso ya levantado', () => {
+    const records = detectPersonalRecords([squat([{ set: 1, weight: 100, reps: 6 }])], history);
+
+    expect(records.find(record => record.type === RECORD_TYPES.MOST_REPS_AT_WEIGHT))
+      .toMatchObject({ value: 6, previousValue: 5, weight: 100 });
+    expect(types(records)).not.toContain(RECORD_TYPES.HEAVIEST_WEIGHT);
+  });
+
+  it('en peso corporal compara la carga total (peso corporal + lastre)', () => {
+    const dips = (sets) => ({ exerciseId: 'dips', name: 'Fondos', sets });
+    const previous = [session('d1', 1, [dips([{ set: 1, addedWeight: 0, bodyweight: 80, reps: 10 }])])];
+
+    const records = detectPersonalRecords([dips([{ set: 1, addedWeight: 10, bodyweight: 80, reps: 8 }])], previous);
+    expect(records[0]).toMatchObject({ type: RECORD_TYPES.HEAVIEST_WEIGHT, value: 90, previousValue: 80 });
+
+    // Sin peso corporal registrado no hay carga que comparar
+    expect(detectPersonalRecords([dips([{ set: 1, addedWeight: 10, reps: 8 }])], previous)).toEqual([]);
+  });
+});
+
+describe('recalculatePersonalRecords', () => {
+  const sessions = [
+    session('s1', 1, [squat([{ set: 1, weight: 110, reps: 5 }])]),
+    session('s2', 3, [squat([{ set: 1, weight: 105, reps: 5 }])]),
+    session('s3', 5, [squat([{ set: 1, weight: 112, reps: 5 }])]),
+  ];
+
+  it('recalcula desde la fecha indicada contra todas las sesiones anteriores', () => {
+    const records = recalculatePersonalRecords(sessions, sessions[1].completedAt);
+
+    expect(Object.keys(records)).toEqual(['s2', 's3']);
+    // Tras editar s1 a 110 kg, los 105 kg de s2 ya no son récord
+    expect(records.s2).toEqual([]);
+    expect(records.s3[0]).toMatchObject({ type: RECORD_TYPES.HEAVIEST_WEIGHT, value: 112, previousValue: 110 });
+  });
+});
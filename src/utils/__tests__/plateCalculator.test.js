@@ -0,0 +1,101 @@
+import {
+  DEFAULT_GYM,
+  getDefaultEquipment,
+  calculatePlates,
+  getNearestDumbbell,
+  roundToAvailableWeight,
+} from '../plateCalculator';
+import { WEIGHT_UNITS, toDisplayWeight } from '../units';
+
+const plateTotal = (perSide) => perSide.reduce((sum, plate) => sum + plate.weight * plate.count, 0);
+const plateCount = (perSide) => perSide.reduce((sum, plate) => sum + plate.count, 0);
+
+describe('calculatePlates', () => {
+  it('carga un peso exacto con el mínimo de discos', () => {
+    const result = calculatePlates(100);
+
+    expect(result.exact).toBe(true);
+    expect(result.weight).toBe(100);
+    expect(plateTotal(result.perSide)).toBe(40);
+    expect(plateCount(result.perSide)).toBe(2);
+    expect(result.lower).toBeNull();
+    expect(result.upper).toBeNull();
+  });
+
+  it('usa discos fraccionarios sin errores de coma flotante', () => {
+    const result = calculatePlates(27.5);
+
+    expect(result.exact).toBe(true);
+    expect(result.perSide).toEqual([{ weight: 2.5, count: 1 }, { weight: 1.25, count: 1 }]);
+  });
+
+  it('propone el peso alcanzable más cercano y las opciones a cada lado', () => {
+    const result = calculatePlates(101);
+
+    expect(result.exact).toBe(false);
+    expect(result.weight).toBe(100);
+    expect(result.lower.weight).toBe(100);
+    expect(result.upper.weight).toBe(102.5);
+  });
+
+  it('en caso de empate elige el más ligero', () => {
+    expect(calculatePlates(101.25).weight).toBe(100);
+  });
+
+  it('por debajo de la barra se queda en la barra vacía', () => {
+    const result = calculatePlates(15);
+
+    expect(result.exact).toBe(false);
+    expect(result.weight).toBe(20);
+    expect(result.perSide).toEqual([]);
+  });
+
+  it('no usa más discos de los que hay', () => {
+    const result = calculatePlates(100, 20, [{ weight: 20, count: 2 }, { weight: 5, count: 1 }]);
+
+    expect(result.weight).toBe(60);
+    expect(result.upper).toBeNull();
+    expect(result.perSide).toEqual([{ weight: 20, count: 1 }]);
+  });
+});
+
+describe('getNearestDumbbell', () => {
+  it('elige la más cercana y, en empate, la más ligera', () => {
+    expect(getNearestDumbbell(21.5)).toBe(22);
+    expect(getNearestDumbbell(23)).toBe(22);
+  });
+
+  it('con roundUp no baja del peso pedido', () => {
+    expect(getNearestDumbbell(23, DEFAULT_GYM.dumbbells, true)).toBe(24);
+    expect(getNearestDumbbell(80, DEFAULT_GYM.dumbbells, true)).toBe(50);
+  });
+
+  it('sin mancuernas devuelve el peso tal cual', () => {
+    expect(getNearestDumbbell(23, [])).toBe(23);
+  });
+});
+
+describe('roundToAvailableWeight', () => {
+  const barbell = { equipment: 'Barra' };
+  const dumbbell = { equipment: 'Mancuernas' };
+
+  it('redondea en la unidad del gimnasio y devuelve kg', () => {
+    const lbGym = { ...DEFAULT_GYM, ...getDefaultEquipment(WEIGHT_UNITS.LB) };
+    const result = roundToAvailableWeight(100, barbell, lbGym);
+
+    expect(toDisplayWeight(result, WEIGHT_UNITS.LB)).toBe(220);
+  });
+
+  it('redondea a la mancuerna disponible', () => {
+    expect(roundToAvailableWeight(23, dumbbell)).toBe(22);
+    expect(roundToAvailableWeight(23, dumbbell, DEFAULT_GYM, true)).toBe(24);
+  });
+
+  it('con roundUp sube al siguiente peso cargable de la barra', () => {
+    expect(roundToAvailableWeight(101, barbell, DEFAULT_GYM, true)).toBe(102.5);
+  });
+
+  it('deja igual los ejercicios que no usan barra ni mancuernas', () => {
+    expect(roundToAvailableWeight(37.3, { equipment: 'Máquina' })).toBe(37.3);
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  DEFAULT_PROGRESSION_RULES,
+  getProgressionRules,
+  parseRepRange,
+  roundWeight,
+  suggestNextTarget,
+  describeSuggestion,
+} from '../progressionEngine';
+import { SET_TYPES } from '../setTypes';
+import { WEIGHT_UNITS, fromDisplayWeight, toDisplayWeight } from '../units';
+
+const exercise = { totalSets: 3, targetReps: '8-12' };
+
+// Entrada de WorkoutSessionService.getExerciseHistory con sets de trabajo iguales
+const session = (weight, reps, extraSets = []) => ({
+  exercise: {
+    sets: [
+      ...extraSets,
+      ...reps.map((setReps, index) => ({ set: index + 1, weight, reps: setReps })),
+    ],
+  },
+});
+
+describe('parseRepRange', () => {
+  it('interpreta rangos, números y valores vacíos', () => {
+    expect(parseRepRange('8-12')).toEqual({ min: 8, max: 12 });
+    expect(parseRepRange('12-8')).toEqual({ min: 8, max: 12 });
+    expect(parseRepRange('10')).toEqual({ min: 10, max: 10 });
+    expect(parseRepRange(5)).toEqual({ min: 5, max: 5 });
+    expect(parseRepRange('')).toEqual({ min: 8, max: 12 });
+  });
+});
+
+describe('getProgressionRules', () => {
+  it('las reglas de la rutina mandan sobre las del plan y las por defecto', () => {
+    const routine = {
+      workoutPlan: { progression: { scheme: 'linear', increment: 5 } },
+      progression: { increment: 1 },
+    };
+
+    expect(getProgressionRules(routine)).toEqual({ ...DEFAULT_PROGRESSION_RULES, scheme: 'linear', increment: 1 });
+  });
+});
+
+describe('roundWeight', () => {
+  it('redondea a 0.5 kg', () => {
+    expect(roundWeight(61.2)).toBe(61);
+    expect(roundWeight(61.3)).toBe(61.5);
+  });
+
+  it('en lb redondea a múltiplos de 2.5 lb y devuelve kg', () => {
+    const kg = roundWeight(fromDisplayWeight(138, WEIGHT_UNITS.LB), WEIGHT_UNITS.LB);
+
+    expect(toDisplayWeight(kg, WEIGHT_UNITS.LB)).toBe(137.5);
+  });
+});
+
+describe('suggestNextTarget', () => {
+  it('sin historial no sugiere nada', () => {
+    expect(suggestNextTarget(exercise, [])).toBeNull();
+  });
+
+  it('doble progresión: suma una rep hasta llegar al tope', () => {
+    const suggestion = suggestNextTarget(exercise, [session(60, [10, 9, 9])]);
+
+    expect(suggestion).toMatchObject({ action: 'increase_reps', weight: 60, reps: 10 });
+    expect(suggestion.sets).toHaveLength(3);
+  });
+
+  it('doble progresión: sube peso con todos los sets en el tope', () => {
+    const suggestion = suggestNextTarget(exercise, [session(60, [12, 12, 12])]);
+
+    expect(suggestion).toMatchObject({ action: 'increase_weight', weight: 62.5, reps: 8, previousWeight: 60 });
+  });
+
+  it('ignora calentamientos y drop sets', () => {
+    const extra = [
+      { set: null, type: SET_TYPES.WARMUP, weight: 100, reps: 3 },
+      { set: 4, type: SET_TYPES.DROP, weight: 40, reps: 5 },
+    ];
+    const suggestion = suggestNextTarget(exercise, [session(60, [12, 12, 12], extra)]);
+
+    expect(suggestion).toMatchObject({ action: 'increase_weight', previousWeight: 60 });
+  });
+
+  it('mantiene el peso si no se llegó al mínimo del rango', () => {
+    const suggestion = suggestNextTarget(exercise, [session(60, [8, 7, 6]), session(57.5, [10, 10, 10])]);
+
+    expect(suggestion).toMatchObject({ action: 'hold', weight: 60 });
+  });
+
+  it('descarga tras varias sesiones seguidas fallidas', () => {
+    const suggestion = suggestNextTarget(exercise, [session(60, [6, 6, 6]), session(60, [7, 6, 6])]);
+
+    expect(suggestion).toMatchObject({ action: 'deload', weight: 54 });
+  });
+
+  it('lineal: sube el incremento al completar las reps mínimas', () => {
+    const rules = { ...DEFAULT_PROGRESSION_RULES, scheme: 'linear' };
+    const suggestion = suggestNextTarget(exercise, [session(100, [8, 8, 8])], rules);
+
+    expect(suggestion).toMatchObject({ action: 'increase_weight', weight: 102.5, reps: 8 });
+  });
+
+  it('porcentaje: si el redondeo se come la subida, sube el salto mínimo', () => {
+    const rules = { ...DEFAULT_PROGRESSION_RULES, scheme: 'percentage', percentage: 0.5 };
+    const suggestion = suggestNextTarget(exercise, [session(20, [12, 12, 12])], rules);
+
+    expect(suggestion).toMatchObject({ action: 'increase_weight', weight: 20.5 });
+  });
+
+  it('en lb las subidas caen en pesos cargables', () => {
+    const topWeight = fromDisplayWeight(135, WEIGHT_UNITS.LB);
+    const suggestion = suggestNextTarget(exercise, [session(topWeight, [12, 12, 12])], undefined, WEIGHT_UNITS.LB);
+
+    expect(toDisplayWeight(suggestion.weight, WEIGHT_UNITS.LB)).toBe(140);
+  });
+});
+
+describe('describeSuggestion', () => {
+  it('explica la sugerencia en la unidad elegida', () => {
+    const suggestion = { action: 'increase_weight', weight: fromDisplayWeight(140, WEIGHT_UNITS.LB) };
+
+    expect(describeSuggestion(suggestion, WEIGHT_UNITS.LB)).toBe('Sube a 140lb');
+    expect(describeSuggestion(null)).toBe('');
+  });
+});
@@ -0,0 +1,82 @@
+import { SET_TYPES, getCountedSets, getTargetSets, groupSets, renumberSets } from '../setTypes';
+
+const sets = [
+  { set: null, type: SET_TYPES.WARMUP, weight: 40, reps: 10 },
+  { set: 1, weight: 100, reps: 5 },
+  { set: 1, type: SET_TYPES.DROP, parentSet: 1, weight: 80, reps: 6 },
+  { set: 2, type: SET_TYPES.AMRAP, weight: 100, reps: 8 },
+  { set: 3, type: SET_TYPES.FAILURE, weight: 100, reps: 4 },
+];
+
+describe('getCountedSets', () => {
+  it('excluye los calentamientos pero cuenta los drop sets', () => {
+    const counted = getCountedSets(sets);
+
+    expect(counted).toHaveLength(4);
+    expect(counted.some(set => set.type === SET_TYPES.WARMUP)).toBe(false);
+    expect(counted.some(set => set.type === SET_TYPES.DROP)).toBe(true);
+  });
+
+  it('los sets sin tipo (guardados antes de existir los tipos) cuentan como normales', () => {
+    expect(getCountedSets([{ set: 1, weight: 100, reps: 5 }])).toHaveLength(1);
+  });
+
+  it('acepta una lista vacía o sin definir', () => {
+    expect(getCountedSets(undefined)).toEqual([]);
+  });
+});
+
+describe('getTargetSets', () => {
+  it('excluye calentamientos y drop sets del objetivo de sets', () => {
+    expect(getTargetSets(sets).map(set => set.set)).toEqual([1, 2, 3]);
+  });
+
+  it('acepta una lista vacía o sin definir', () => {
+    expect(getTargetSets(null)).toEqual([]);
+  });
+});
+
+describe('renumberSets', () => {
+  it('al borrar un set los siguientes bajan un número y sus drop sets los siguen', () => {
+    const logged = [
+      { set: null, type: SET_TYPES.WARMUP, reps: 10 },
+      { set: 1, reps: 5 },
+      { set: 2, reps: 5 },
+      { set: 3, reps: 5 },
+      { set: 3, type: SET_TYPES.DROP, parentSet: 3, reps: 6 },
+    ];
+    const withoutSecond = logged.filter((_, index) => index !== 2);
+
+    expect(renumberSets(withoutSecond).map(({ set, parentSet }) => ({ set, parentSet }))).toEqual([
+      { set: null, parentSet: undefined },
+      { set: 1, parentSet: undefined },
+      { set: 2, parentSet: undefined },
+      { set: 2, parentSet: 2 },
+    ]);
+  });
+
+  it('descarta los drop sets cuyo set padre se ha borrado', () => {
+    const logged = [
+      { set: 1, reps: 5 },
+      { set: 1, type: SET_TYPES.DROP, parentSet: 1, reps: 6 },
+      { set: 2, reps: 5 },
+    ];
+
+    expect(renumberSets(logged.slice(1))).toEqual([{ set: 1, reps: 5 }]);
+  });
+});
+
+describe('groupSets', () => {
+  it('muestra los calentamientos primero y cada drop set bajo su set padre', () => {
+    const groups = groupSets([
+      { set: 1, reps: 5 },
+      { set: 1, type: SET_TYPES.DROP, parentSet: 1, reps: 6 },
+      { set: null, type: SET_TYPES.WARMUP, reps: 10 },
+      { set: 2, reps: 5 },
+    ]);
+
+    expect(groups.map(group => group.set)).toEqual([null, 1, 2]);
+    expect(groups[1].drops).toHaveLength(1);
+    expect(groups[2].drops).toEqual([]);
+  });
+});
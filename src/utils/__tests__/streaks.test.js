@@ -0,0 +1,121 @@
+import {
+  toLocalDateKey,
+  getWeekStart,
+  getWeeklyTarget,
+  getRestDayTolerance,
+  mergeWorkoutDates,
+  calculateStreakStats,
+} from '../streaks';
+
+// Miércoles 14 de octubre de 2026 (la semana empieza el lunes 12)
+const TODAY = new Date(2026, 9, 14, 18, 0);
+
+describe('fechas locales', () => {
+  it('usa el día local y no el de UTC', () => {
+    expect(toLocalDateKey(new Date(2026, 0, 5, 23, 30))).toBe('2026-01-05');
+    expect(toLocalDateKey(new Date(2026, 0, 5, 0, 15))).toBe('2026-01-05');
+  });
+
+  it('la semana empieza en lunes', () => {
+    expect(getWeekStart(new Date(2026, 9, 12))).toBe('2026-10-12');
+    expect(getWeekStart(new Date(2026, 9, 18, 23, 59))).toBe('2026-10-12');
+    expect(getWeekStart(new Date(2026, 9, 19))).toBe('2026-10-19');
+  });
+
+  it('cruza meses y años', () => {
+    expect(getWeekStart(new Date(2026, 0, 1))).toBe('2025-12-29');
+  });
+});
+
+describe('objetivo semanal y descanso tolerado', () => {
+  it('interpreta la frecuencia del cuestionario', () => {
+    expect(getWeeklyTarget('3')).toBe(3);
+    expect(getWeeklyTarget('5+')).toBe(5);
+    expect(getWeeklyTarget(undefined)).toBe(3);
+  });
+
+  it('tolera más descanso cuanto menos se entrena', () => {
+    expect(getRestDayTolerance(2)).toBe(3);
+    expect(getRestDayTolerance(3)).toBe(2);
+    expect(getRestDayTolerance(5)).toBe(1);
+    expect(getRestDayTolerance(7)).toBe(1);
+  });
+});
+
+describe('mergeWorkoutDates', () => {
+  it('añade solo el historial anterior a la primera sesión', () => {
+    const sessions = ['2026-10-07', '2026-10-09'];
+    const history = ['2026-10-01', '2026-10-03', '2026-10-08'];
+
+    expect(mergeWorkoutDates(sessions, history)).toEqual([
+      '2026-10-01', '2026-10-03', '2026-10-07', '2026-10-09',
+    ]);
+  });
+
+  it('cuenta una vez cada día', () => {
+    const sessions = ['2026-10-07', new Date(2026, 9, 7, 20, 0).toISOString()];
+    const history = [new Date(2026, 9, 5, 9, 0).toISOString(), new Date(2026, 9, 5, 19, 0).toISOString()];
+
+    expect(mergeWorkoutDates(sessions, history)).toEqual(['2026-10-05', '2026-10-07']);
+  });
+
+  it('sin sesiones usa todo el historial', () => {
+    expect(mergeWorkoutDates([], ['2026-10-03', '2026-10-01'])).toEqual(['2026-10-01', '2026-10-03']);
+  });
+});
+
+describe('calculateStreakStats', () => {
+  it('sin entrenamientos devuelve todo a cero', () => {
+    expect(calculateStreakStats([], '3', TODAY)).toMatchObject({
+      weeklyTarget: 3,
+      restDays: 2,
+      thisWeek: 0,
+      currentStreak: 0,
+      longestStreak: 0,
+      adherence: null,
+      lastWorkout: null,
+    });
+  });
+
+  it('encadena días con el descanso tolerado y semanas que cumplen el objetivo', () => {
+    const dates = [
+      '2026-09-28', '2026-09-30', '2026-10-02',
+      '2026-10-05', '2026-10-07', '2026-10-09',
+      '2026-10-12', new Date(2026, 9, 14, 8, 0).toISOString(),
+    ];
+
+    expect(calculateStreakStats(dates, '3', TODAY)).toEqual({
+      weeklyTarget: 3,
+      restDays: 2,
+      thisWeek: 2,
+      currentStreak: 8,
+      longestStreak: 8,
+      // La semana en curso aún no cumple el objetivo pero no rompe la racha
+      currentWeekStreak: 2,
+      longestWeekStreak: 2,
+      adherence: 100,
+      lastWorkout: '2026-10-14',
+    });
+  });
+
+  it('rompe la racha al superar el descanso tolerado', () => {
+    const stats = calculateStreakStats(['2026-09-28', '2026-09-29', '2026-10-03'], '3', TODAY);
+
+    expect(stats.longestStreak).toBe(2);
+    expect(stats.currentStreak).toBe(0);
+    expect(stats.currentWeekStreak).toBe(0);
+  });
+
+  it('calcula la adherencia sobre las semanas completas desde el primer entrenamiento', () => {
+    const stats = calculateStreakStats(['2026-10-05'], '3', TODAY);
+
+    expect(stats.adherence).toBe(33);
+  });
+
+  it('ignora las fechas futuras', () => {
+    const stats = calculateStreakStats(['2026-10-13', '2026-10-20'], '3', TODAY);
+
+    expect(stats.thisWeek).toBe(1);
+    expect(stats.lastWorkout).toBe('2026-10-13');
+  });
+});
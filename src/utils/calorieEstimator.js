@@ -0,0 +1,120 @@
+// Estimación del gasto calórico de una sesión con valores MET
+// kcal = MET × peso corporal (kg) × horas, separando el tiempo activo del descanso
+import { getCountedSets } from './setTypes';
+import { getMeasurementType, MEASUREMENT_TYPES } from './exerciseMeasurement';
+
+/**
+ * Tipos de actividad según el ejercicio
+ */
+export const ACTIVITY_TYPES = {
+  STRENGTH: 'strength',
+  HIIT: 'hiit',
+  CARDIO: 'cardio',
+};
+
+/**
+ * Valores MET (Compendium of Physical Activities)
+ */
+export const MET_VALUES = {
+  [ACTIVITY_TYPES.STRENGTH]: 6.0, // pesas, esfuerzo vigoroso
+  [ACTIVITY_TYPES.HIIT]: 8.0, // circuito / intervalos
+  [ACTIVITY_TYPES.CARDIO]: 7.0, // correr o bicicleta a ritmo moderado
+  rest: 1.5, // de pie entre sets
+};
+
+// Duración media de un set de fuerza (no se registra cuánto dura)
+export const STRENGTH_SET_SECONDS = 40;
+
+// Ritmo supuesto para los sets de distancia sin tiempo: 6 min/km
+const SECONDS_PER_METER = 0.36;
+
+// Peso de referencia si el usuario no ha registrado el suyo
+export const DEFAULT_BODYWEIGHT_KG = 70;
+
+const toKcal = (met, kg, seconds) => met * kg * (seconds / 3600);
+
+/**
+ * Tipo de actividad de un ejercicio: los intervalos son HIIT y los de distancia, cardio
+ */
+export const getExerciseActivity = (exercise, isInterval = false) => {
+  if (isInterval) return ACTIVITY_TYPES.HIIT;
+  const type = getMeasurementType(exercise);
+  if (type === MEASUREMENT_TYPES.DISTANCE || type === MEASUREMENT_TYPES.DISTANCE_DURATION) {
+    return ACTIVITY_TYPES.CARDIO;
+  }
+  return ACTIVITY_TYPES.STRENGTH;
+};
+
+// Segundos de trabajo de un set: su tiempo registrado o una estimación
+const getSetSeconds = (set) => {
+  if (set.duration) return set.duration;
+  if (set.distance) return set.distance * SECONDS_PER_METER;
+  return STRENGTH_SET_SECONDS;
+};
+
+/**
+ * Estimar las calorías de una sesión guardada (o construida con buildSession)
+ * El descanso es el tiempo total de la sesión que no se pasó trabajando
+ * Devuelve { calories, activeMinutes, restMinutes, bodyweight, defaultBodyweight }
+ */
+export const estimateSessionCalories = (session, bodyweightKg = null) => {
+  const kg = bodyweightKg || DEFAULT_BODYWEIGHT_KG;
+  const isInterval = !!session.interval;
+
+  const activity = (session.exercises || []).map(exercise => ({
+    met: MET_VALUES[getExerciseActivity(exercise, isInterval)],
+    seconds: getCountedSets(exercise.sets).reduce((sum, set) => sum + getSetSeconds(set), 0),
+  }));
+
+  const estimatedActive = activity.reduce((sum, entry) => sum + entry.seconds, 0);
+  // Sin duración (p. ej. sesiones importadas) solo se cuenta el tiempo activo
+  const totalSeconds = (session.duration || 0) * 60 || estimatedActive;
+  // Si la estimación supera la duración real se reparte en proporción
+  const scale = estimatedActive > totalSeconds ? totalSeconds / estimatedActive : 1;
+  const activeSeconds = estimatedActive * scale;
+  const restSeconds = Math.max(0, totalSeconds - activeSeconds);
+
+  const calories = activity.reduce((sum, entry) => sum + toKcal(entry.met, kg, entry.seconds * scale), 0) +
+    toKcal(MET_VALUES.rest, kg, restSeconds);
+
+  return {
+    calories: Math.round(calories),
+    activeMinutes: Math.round(activeSeconds / 60),
+    restMinutes: Math.round(restSeconds / 60),
+    bodyweight: kg,
+    defaultBodyweight: !bodyweightKg,
+  };
+};
+
+/**
+ * Calorías de una sesión: las guardadas o, en sesiones antiguas, la estimación
+ */
+export const getSessionCalories = (session, bodyweightKg = null) =>
+  session.calories ?? estimateSessionCalories(session, bodyweightKg).calories;
+
+/**
+ * Peso corporal con el que se registró una sesión (el guardado en sus sets de peso corporal)
+ */
+export const getRecordedBodyweight = (session) => {
+  for (const exercise of session.exercises || []) {
+    const set = (exercise.sets || []).find(s => s.bodyweight > 0);
+    if (set) return set.bodyweight;
+  }
+  return null;
+};
+
+/**
+ * Recalcular las calorías de una sesión editada sin cambiar el peso corporal con que se calcularon:
+ * el registrado en sus sets o, si no hay, se escalan las calorías guardadas según el trabajo nuevo
+ */
+export const recalculateSessionCalories = (session, exercises, bodyweightKg = null) => {
+  const updated = { ...session, exercises };
+  const recorded = getRecordedBodyweight(session);
+  if (recorded) return estimateSessionCalories(updated, recorded).calories;
+
+  const before = estimateSessionCalories(session).calories;
+  if (session.calories == null || before === 0) {
+    return estimateSessionCalories(updated, bodyweightKg).calories;
+  }
+  return Math.round(session.calories * estimateSessionCalories(updated).calories / before);
+};
@@ -0,0 +1,337 @@
+// Lectura de los CSV exportados por otras apps de entrenamiento (Strong, Hevy, FitNotes)
+// Devuelve entrenamientos con los pesos en kg, la distancia en metros y el tiempo en segundos
+import { SET_TYPES } from './setTypes';
+import { WEIGHT_UNITS, DEFAULT_WEIGHT_UNIT, fromDisplayWeight } from './units';
+
+/**
+ * Apps soportadas
+ */
+export const IMPORT_SOURCES = {
+  strong: { label: 'Strong' },
+  hevy: { label: 'Hevy' },
+  fitnotes: { label: 'FitNotes' },
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeader = (header) => header.trim().toLowerCase();
+
+/**
+ * Parsear un CSV (separado por comas o punto y coma, con comillas dobles) en filas de celdas
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split('\n', 1)[0];
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Filas como objetos { cabecera en minúsculas: valor }
+const toRecords = (rows) => {
+  const headers = rows[0].map(normalizeHeader);
+  return rows.slice(1).map(cells =>
+    headers.reduce((record, header, index) => {
+      record[header] = (cells[index] || '').trim();
+      return record;
+    }, {})
+  );
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Fecha local a partir de los formatos de las apps:
+ * '2024-01-21 18:30:00', '2024-01-21', '21 Jan 2024, 18:30'
+ */
+export const parseImportDate = (value) => {
+  if (!value) return null;
+
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (iso) {
+    const [, year, month, day, hours = 12, minutes = 0, seconds = 0] = iso;
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+
+  const written = value.match(/^(\d{1,2}) (\w{3})\w* (\d{4}),? (\d{1,2}):(\d{2})/);
+  if (written) {
+    const [, day, monthName, year, hours, minutes] = written;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month !== -1) return new Date(year, month, day, hours, minutes);
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// '1h 5m', '45m', '30s' -> segundos
+const parseDurationText = (value) => {
+  if (!value) return 0;
+  const hours = toNumber((value.match(/(\d+)\s*h/) || [])[1]) || 0;
+  const minutes = toNumber((value.match(/(\d+)\s*m(?!s)/) || [])[1]) || 0;
+  const seconds = toNumber((value.match(/(\d+)\s*s/) || [])[1]) || 0;
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+// '0:30:00' o '1:30' -> segundos
+const parseClock = (value) => {
+  if (!value) return null;
+  const parts = value.split(':').map(Number);
+  if (parts.some(isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+const DISTANCE_TO_METERS = { m: 1, km: 1000, mi: 1609.34, mile: 1609.34, miles: 1609.34, ft: 0.3048, yd: 0.9144 };
+
+const toMeters = (value, unit) => {
+  const distance = toNumber(value);
+  if (!distance) return null;
+  return Math.round(distance * (DISTANCE_TO_METERS[(unit || 'km').toLowerCase()] || 1));
+};
+
+const toKg = (value, unit) => {
+  const weight = toNumber(value);
+  return weight === null ? null : fromDisplayWeight(weight, unit);
+};
+
+// Unidad de peso indicada en la cabecera ('weight_lbs', 'Weight (kgs)'...); null si no la indica
+const getHeaderWeightUnit = (headers) => {
+  const weightHeader = headers.find(header => header.startsWith('weight'));
+  if (!weightHeader) return null;
+  if (/lb/.test(weightHeader)) return WEIGHT_UNITS.LB;
+  if (/kg/.test(weightHeader)) return WEIGHT_UNITS.KG;
+  return null;
+};
+
+const getField = (record, names) => {
+  const key = names.find(name => record[name] !== undefined);
+  return key ? record[key] : '';
+};
+
+/**
+ * Detectar la app de origen por las cabeceras del CSV
+ */
+export const detectImportSource = (headerRow) => {
+  const headers = headerRow.map(normalizeHeader);
+  if (headers.includes('exercise_title') && headers.includes('start_time')) return 'hevy';
+  if (headers.includes('exercise name') && headers.includes('set order')) return 'strong';
+  if (headers.includes('exercise') && headers.includes('category')) return 'fitnotes';
+  return null;
+};
+
+// ===== ADAPTADORES POR APP =====
+// Cada uno devuelve filas { workoutKey, workoutName, startedAt, durationSeconds, workoutNotes,
+// exercise, exerciseNotes, type, weight, reps, rpe, duration, distance }
+
+const STRONG_SET_TYPES = { w: SET_TYPES.WARMUP, d: SET_TYPES.DROP, f: SET_TYPES.FAILURE };
+
+// Strong no indica la unidad en las exportaciones antiguas: se usa la que elige el usuario
+const readStrongRows = (records, headers, fileUnit) => {
+  const weightUnit = getHeaderWeightUnit(headers) || fileUnit;
+  const distanceUnit = weightUnit === WEIGHT_UNITS.LB ? 'mi' : 'km';
+
+  return records.map(record => ({
+    workoutKey: `${record.date}|${record['workout name']}`,
+    workoutName: record['workout name'],
+    startedAt: parseImportDate(record.date),
+    durationSeconds: parseDurationText(record.duration),
+    workoutNotes: record['workout notes'] || '',
+    exercise: record['exercise name'],
+    exerciseNotes: record.notes || '',
+    type: STRONG_SET_TYPES[(record['set order'] || '').toLowerCase()] || SET_TYPES.WORKING,
+    weight: toKg(getField(record, headers.filter(header => header.startsWith('weight'))), weightUnit),
+    reps: toNumber(record.reps),
+    rpe: toNumber(record.rpe),
+    duration: toNumber(record.seconds) || null,
+    distance: toMeters(record.distance, distanceUnit),
+  }));
+};
+
+const HEVY_SET_TYPES = { warmup: SET_TYPES.WARMUP, dropset: SET_TYPES.DROP, failure: SET_TYPES.FAILURE };
+
+const readHevyRows = (records, headers) => {
+  const weightUnit = getHeaderWeightUnit(headers) || WEIGHT_UNITS.KG;
+
+  return records.map(record => {
+    const startedAt = parseImportDate(record.start_time);
+    const endedAt = parseImportDate(record.end_time);
+    return {
+      workoutKey: `${record.start_time}|${record.title}`,
+      workoutName: record.title,
+      startedAt,
+      durationSeconds: startedAt && endedAt ? Math.max(0, (endedAt - startedAt) / 1000) : 0,
+      workoutNotes: record.description || '',
+      exercise: record.exercise_title,
+      exerciseNotes: record.exercise_notes || '',
+      type: HEVY_SET_TYPES[record.set_type] || SET_TYPES.WORKING,
+      weight: toKg(getField(record, ['weight_kg', 'weight_lbs']), weightUnit),
+      reps: toNumber(record.reps),
+      rpe: toNumber(record.rpe),
+      duration: toNumber(record.duration_seconds) || null,
+      distance: record.distance_miles !== undefined
+        ? toMeters(record.distance_miles, 'mi')
+        : toMeters(record.distance_km, 'km'),
+    };
+  });
+};
+
+// FitNotes no agrupa por entrenamiento: cada día es un entrenamiento
+const readFitNotesRows = (records, headers) => {
+  const weightUnit = getHeaderWeightUnit(headers) || WEIGHT_UNITS.KG;
+
+  return records.map(record => ({
+    workoutKey: record.date,
+    workoutName: 'Entrenamiento FitNotes',
+    startedAt: parseImportDate(record.date),
+    durationSeconds: 0,
+    workoutNotes: '',
+    exercise: record.exercise,
+    exerciseNotes: record.comment || '',
+    type: SET_TYPES.WORKING,
+    weight: toKg(getField(record, headers.filter(header => header.startsWith('weight'))), weightUnit),
+    reps: toNumber(record.reps),
+    rpe: null,
+    duration: parseClock(record.time),
+    distance: toMeters(record.distance, record['distance unit']),
+  }));
+};
+
+const ROW_READERS = {
+  strong: readStrongRows,
+  hevy: readHevyRows,
+  fitnotes: readFitNotesRows,
+};
+
+// Sets de un ejercicio numerados como en el tracker (los drop sets cuelgan del set anterior)
+const buildSets = (rows) => {
+  let count = 0;
+
+  return rows.map(row => {
+    const set = { type: row.type, rpe: row.rpe, rir: null };
+    if (row.type === SET_TYPES.WARMUP) {
+      set.set = null;
+    } else if (row.type === SET_TYPES.DROP && count > 0) {
+      set.set = count;
+      set.parentSet = count;
+    } else {
+      count++;
+      set.set = count;
+      if (set.type === SET_TYPES.DROP) set.type = SET_TYPES.WORKING;
+    }
+
+    // Strong rellena con 0 el peso y las reps de los sets de tiempo o distancia
+    const timed = !!(row.duration || row.distance);
+    if (row.weight !== null && !(timed && row.weight === 0)) set.weight = row.weight;
+    if (row.reps !== null && !(timed && row.reps === 0)) set.reps = row.reps;
+    if (row.duration !== null) set.duration = row.duration;
+    if (row.distance !== null) set.distance = row.distance;
+    return set;
+  });
+};
+
+/**
+ * Leer el CSV de una app y agruparlo en entrenamientos
+ * `fileUnit`: unidad de los pesos cuando el archivo no la indica (exportaciones de Strong)
+ * Devuelve { source, workouts: [{ importKey, name, startedAt, completedAt, notes, exercises }], exerciseNames }
+ */
+export const parseImportFile = (text, fileUnit = DEFAULT_WEIGHT_UNIT) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    throw new Error('El archivo está vacío');
+  }
+
+  const source = detectImportSource(rows[0]);
+  if (!source) {
+    throw new Error('Formato no reconocido. Usa una exportación CSV de Strong, Hevy o FitNotes');
+  }
+
+  const headers = rows[0].map(normalizeHeader);
+  const setRows = ROW_READERS[source](toRecords(rows), headers, fileUnit)
+    .filter(row => row.startedAt && row.exercise);
+
+  // Agrupar filas por entrenamiento y, dentro de cada uno, por ejercicio (manteniendo el orden)
+  const workouts = [];
+  const byKey = {};
+  setRows.forEach(row => {
+    let workout = byKey[row.workoutKey];
+    if (!workout) {
+      workout = byKey[row.workoutKey] = { rows: [], first: row };
+      workouts.push(workout);
+    }
+    workout.rows.push(row);
+  });
+
+  const parsedWorkouts = workouts.map(({ rows: workoutRows, first }) => {
+    const exercises = [];
+    workoutRows.forEach(row => {
+      let exercise = exercises.find(entry => entry.name === row.exercise);
+      if (!exercise) {
+        exercise = { name: row.exercise, notes: '', rows: [] };
+        exercises.push(exercise);
+      }
+      if (row.exerciseNotes && !exercise.notes) exercise.notes = row.exerciseNotes;
+      exercise.rows.push(row);
+    });
+
+    return {
+      importKey: `${source}:${first.workoutKey}`,
+      name: first.workoutName || IMPORT_SOURCES[source].label,
+      startedAt: first.startedAt.toISOString(),
+      completedAt: new Date(first.startedAt.getTime() + first.durationSeconds * 1000).toISOString(),
+      notes: first.workoutNotes,
+      exercises: exercises.map(exercise => ({
+        name: exercise.name,
+        notes: exercise.notes,
+        sets: buildSets(exercise.rows),
+      })),
+    };
+  });
+
+  return {
+    source,
+    workouts: parsedWorkouts,
+    exerciseNames: [...new Set(setRows.map(row => row.exercise))],
+  };
+};
@@ -0,0 +1,100 @@
+// Agrupación de ejercicios consecutivos en superseries, series gigantes y circuitos
+
+/**
+ * Tipos de grupo (se asignan según el número de ejercicios del grupo)
+ */
+export const GROUP_TYPES = {
+  SUPERSET: 'superset',
+  GIANT_SET: 'giant_set',
+  CIRCUIT: 'circuit',
+};
+
+const GROUP_TYPE_LABELS = {
+  [GROUP_TYPES.SUPERSET]: 'Superserie',
+  [GROUP_TYPES.GIANT_SET]: 'Serie gigante',
+  [GROUP_TYPES.CIRCUIT]: 'Circuito',
+};
+
+export const getGroupTypeLabel = (groupType) => GROUP_TYPE_LABELS[groupType] || '';
+
+/**
+ * Tipo de grupo por defecto según su tamaño
+ */
+export const getDefaultGroupType = (size) => {
+  if (size <= 2) return GROUP_TYPES.SUPERSET;
+  if (size === 3) return GROUP_TYPES.GIANT_SET;
+  return GROUP_TYPES.CIRCUIT;
+};
+
+/**
+ * Asignar groupId y groupType a partir de los enlaces "linkedToNext" entre ejercicios consecutivos
+ */
+export const applyGroupLinks = (exercises) => {
+  const result = [];
+  let block = [];
+  let groupCount = 0;
+
+  const flush = () => {
+    const grouped = block.length > 1;
+    const groupId = grouped ? `group_${++groupCount}` : null;
+    const groupType = grouped ? getDefaultGroupType(block.length) : null;
+    block.forEach(exercise => result.push({ ...exercise, groupId, groupType }));
+    block = [];
+  };
+
+  exercises.forEach((exercise, index) => {
+    block.push(exercise);
+    if (!exercise.linkedToNext || index === exercises.length - 1) flush();
+  });
+
+  return result;
+};
+
+/**
+ * Emparejar ejercicios consecutivos en superseries (para rutinas generadas con poco tiempo)
+ */
+export const pairIntoSupersets = (exercises) =>
+  applyGroupLinks(exercises.map((exercise, index) => ({ ...exercise, linkedToNext: index % 2 === 0 })));
+
+/**
+ * Índices de los ejercicios del mismo grupo que el ejercicio indicado (él solo si no está agrupado)
+ */
+export const getGroupIndexes = (exercises, index) => {
+  const groupId = exercises[index]?.groupId;
+  if (!groupId) return [index];
+
+  return exercises.reduce((indexes, exercise, i) => {
+    if (exercise.groupId === groupId) indexes.push(i);
+    return indexes;
+  }, []);
+};
+
+/**
+ * Siguiente ejercicio pendiente del grupo en orden alterno (A1 → A2 → A1...)
+ * Devuelve el siguiente de la vuelta o, al acabarla, el primero pendiente; null si no queda ninguno
+ */
+export const getNextInGroup = (exercises, index, isDone) => {
+  const pending = getGroupIndexes(exercises, index).filter(i => !isDone(exercises[i]));
+  if (pending.length === 0) return null;
+  return pending.find(i => i > index) ?? pending[0];
+};
+
+/**
+ * Etiquetas de posición dentro de cada grupo ("A1", "A2", "B1"...) indexadas por ejercicio
+ */
+export const getGroupLabels = (exercises) => {
+  const labels = {};
+  const letters = {};
+
+  exercises.forEach((exercise, index) => {
+    if (!exercise.groupId) return;
+    if (!letters[exercise.groupId]) {
+      letters[exercise.groupId] = { letter: String.fromCharCode(65 + Object.keys(letters).length), count: 0 };
+    }
+    const group = letters[exercise.groupId];
+    group.count++;
+    labels[index] = `${group.letter}${group.count}`;
+  });
+
+  return labels;
+};
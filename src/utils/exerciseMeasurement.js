@@ -0,0 +1,92 @@
+// Tipos de medición de un ejercicio: qué datos se registran en cada set
+
+/**
+ * Tipos de medición disponibles
+ */
+export const MEASUREMENT_TYPES = {
+  WEIGHT_REPS: 'weight_reps',
+  // Peso corporal con lastre opcional (positivo) o asistencia (negativo)
+  BODYWEIGHT_REPS: 'bodyweight_reps',
+  REPS: 'reps',
+  DURATION: 'duration',
+  DISTANCE: 'distance',
+  DISTANCE_DURATION: 'distance_duration',
+  WEIGHT_DISTANCE: 'weight_distance',
+};
+
+/**
+ * Campos que se registran en cada set según el tipo de medición
+ */
+export const MEASUREMENT_FIELDS = {
+  [MEASUREMENT_TYPES.WEIGHT_REPS]: ['weight', 'reps'],
+  [MEASUREMENT_TYPES.BODYWEIGHT_REPS]: ['addedWeight', 'reps'],
+  [MEASUREMENT_TYPES.REPS]: ['reps'],
+  [MEASUREMENT_TYPES.DURATION]: ['duration'],
+  [MEASUREMENT_TYPES.DISTANCE]: ['distance'],
+  [MEASUREMENT_TYPES.DISTANCE_DURATION]: ['distance', 'duration'],
+  [MEASUREMENT_TYPES.WEIGHT_DISTANCE]: ['weight', 'distance'],
+};
+
+/**
+ * Etiqueta y placeholder de cada campo en el modal de sets
+ */
+export const FIELD_INPUTS = {
+  weight: { label: 'Peso', placeholder: '0' },
+  addedWeight: { label: 'Lastre / asistencia', placeholder: '0' },
+  reps: { label: 'Repeticiones', placeholder: '0' },
+  duration: { label: 'Tiempo (m:ss)', placeholder: '0:30' },
+  distance: { label: 'Distancia (m)', placeholder: '0' },
+};
+
+// Palabras clave para deducir la medición de ejercicios que no la indican
+const DURATION_KEYWORDS = ['plancha', 'plank', 'isométric', 'dead hang', 'wall sit'];
+const DISTANCE_DURATION_KEYWORDS = ['correr', 'carrera', 'running', 'bicicleta', 'cycling', 'remo ergómetro', 'treadmill'];
+const WEIGHT_DISTANCE_KEYWORDS = ['carry', 'farmer', 'paseo del granjero', 'trineo', 'sled'];
+
+const matchesKeyword = (name, keywords) => keywords.some(keyword => name.includes(keyword));
+
+/**
+ * Tipo de medición de un ejercicio: el indicado en el plan o el deducido por nombre y equipamiento
+ */
+export const getMeasurementType = (exercise) => {
+  if (exercise?.measurement && MEASUREMENT_FIELDS[exercise.measurement]) return exercise.measurement;
+
+  const name = (exercise?.name || '').toLowerCase();
+  if (matchesKeyword(name, WEIGHT_DISTANCE_KEYWORDS)) return MEASUREMENT_TYPES.WEIGHT_DISTANCE;
+  if (matchesKeyword(name, DURATION_KEYWORDS)) return MEASUREMENT_TYPES.DURATION;
+  if (matchesKeyword(name, DISTANCE_DURATION_KEYWORDS)) return MEASUREMENT_TYPES.DISTANCE_DURATION;
+  if (exercise?.equipment === 'Peso corporal') return MEASUREMENT_TYPES.BODYWEIGHT_REPS;
+
+  return MEASUREMENT_TYPES.WEIGHT_REPS;
+};
+
+export const getMeasurementFields = (type) =>
+  MEASUREMENT_FIELDS[type] || MEASUREMENT_FIELDS[MEASUREMENT_TYPES.WEIGHT_REPS];
+
+/**
+ * Indica si el tipo de medición usa peso × repeticiones (volumen, 1RM y récords)
+ */
+export const isWeightRepsMeasurement = (type) => type === MEASUREMENT_TYPES.WEIGHT_REPS;
+
+/**
+ * Carga real de un set en kg: su peso o, en ejercicios de peso corporal,
+ * el peso corporal registrado más el lastre (menos la asistencia)
+ * null si no se conoce (set de peso corporal sin peso corporal registrado)
+ */
+export const getSetLoad = (set) => {
+  if (set.addedWeight !== undefined) {
+    if (!set.bodyweight) return null;
+    return Math.max(0, set.bodyweight + (set.addedWeight || 0));
+  }
+  return set.weight ?? null;
+};
+
+/**
+ * Etiqueta del objetivo del plan ("Reps", "Tiempo", "Distancia")
+ */
+export const getTargetLabel = (type) => {
+  const fields = getMeasurementFields(type);
+  if (fields.includes('reps')) return 'Reps';
+  if (fields.includes('duration')) return 'Tiempo';
+  return 'Distancia';
+};
@@ -0,0 +1,76 @@
+// Series temporales de progreso de un ejercicio (peso máximo, e1RM, volumen y reps por sesión)
+import { getCountedSets } from './setTypes';
+import { getSetLoad } from './exerciseMeasurement';
+import { getBestOneRepMax, DEFAULT_ONE_REP_MAX_FORMULA } from './oneRepMax';
+import { formatWeight, formatVolume } from './units';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Métricas disponibles en la gráfica
+ * `weight`: el valor está en kg y se muestra en la unidad del ejercicio
+ */
+export const PROGRESS_METRICS = {
+  topSet: { label: 'Peso máx.', weight: true },
+  e1rm: { label: '1RM est.', weight: true },
+  volume: { label: 'Volumen', weight: true },
+  reps: { label: 'Reps', weight: false },
+};
+
+/**
+ * Rangos de tiempo (días hacia atrás; null = todo el historial)
+ */
+export const PROGRESS_RANGES = {
+  '1M': { label: '1M', days: 30 },
+  '3M': { label: '3M', days: 90 },
+  '1Y': { label: '1A', days: 365 },
+  all: { label: 'Todo', days: null },
+};
+
+export const DEFAULT_PROGRESS_RANGE = '3M';
+
+/**
+ * Un punto por sesión, de más antigua a más reciente
+ * Recibe el resultado de WorkoutSessionService.getExerciseHistory; los calentamientos no cuentan
+ */
+export const buildExerciseProgress = (exerciseHistory, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  return exerciseHistory
+    .map(entry => {
+      const sets = getCountedSets(entry.exercise.sets);
+      const loads = sets.map(getSetLoad).filter(load => load !== null);
+      const best = getBestOneRepMax(sets, formula);
+
+      return {
+        sessionId: entry.sessionId,
+        completedAt: entry.completedAt,
+        topSet: loads.length > 0 ? Math.max(...loads) : null,
+        e1rm: best ? best.e1rm : null,
+        volume: sets.reduce((sum, set) => sum + (getSetLoad(set) || 0) * (set.reps || 0), 0),
+        reps: sets.reduce((sum, set) => sum + (set.reps || 0), 0),
+      };
+    })
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+};
+
+/**
+ * Serie { completedAt, value } de una métrica dentro de un rango
+ * Se descartan las sesiones sin valor (p. ej. e1RM en ejercicios sin peso)
+ */
+export const getProgressSeries = (progress, metric, range = DEFAULT_PROGRESS_RANGE, today = new Date()) => {
+  const days = PROGRESS_RANGES[range]?.days;
+  const since = days ? new Date(today).getTime() - days * DAY_MS : null;
+
+  return progress
+    .filter(point => since === null || new Date(point.completedAt).getTime() >= since)
+    .filter(point => point[metric] !== null && point[metric] > 0)
+    .map(point => ({ completedAt: point.completedAt, value: point[metric] }));
+};
+
+/**
+ * Formatear un valor de la métrica en la unidad del ejercicio
+ */
+export const formatProgressValue = (metric, value, unit) => {
+  if (metric === 'volume') return formatVolume(value, unit);
+  if (PROGRESS_METRICS[metric]?.weight) return formatWeight(value, unit);
+  return String(value);
+};
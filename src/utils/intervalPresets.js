@@ -0,0 +1,150 @@
+// Presets de entrenamiento por intervalos (HIIT, EMOM, AMRAP y Tabata)
+// y construcción de la secuencia de fases trabajo / descanso
+
+/**
+ * Presets disponibles en el modo de intervalos
+ */
+export const INTERVAL_PRESETS = {
+  hiit: {
+    label: 'HIIT',
+    description: 'Trabajo y descanso por ejercicio, varias rondas',
+  },
+  emom: {
+    label: 'EMOM',
+    description: 'Un ejercicio al inicio de cada minuto',
+  },
+  amrap: {
+    label: 'AMRAP',
+    description: 'Tantas rondas como puedas en el tiempo total',
+  },
+  tabata: {
+    label: 'Tabata',
+    description: '8 rondas de 20s de trabajo y 10s de descanso por ejercicio',
+  },
+};
+
+export const PHASE_TYPES = {
+  WORK: 'work',
+  REST: 'rest',
+};
+
+/**
+ * Convertir '30s', '1min' o 30 a segundos
+ */
+export const parseSeconds = (value, fallback = 30) => {
+  if (typeof value === 'number') return value;
+  const numbers = String(value || '').match(/\d+/);
+  if (!numbers) return fallback;
+  return String(value).includes('min') ? parseInt(numbers[0]) * 60 : parseInt(numbers[0]);
+};
+
+/**
+ * Configuración inicial de cada preset a partir del plan de la rutina
+ */
+export const getPresetConfig = (preset, workoutPlan = {}) => {
+  const rounds = parseInt(workoutPlan.rounds) || 3;
+
+  switch (preset) {
+    case 'emom':
+      return { workTime: 60, restTime: 0, rounds: Math.max(rounds * 4, 10) };
+    case 'amrap':
+      return { workTime: Math.max(rounds * 5, 10) * 60, restTime: 0, rounds: 1 };
+    case 'tabata':
+      return { workTime: 20, restTime: 10, rounds: 8 };
+    default:
+      return {
+        workTime: parseSeconds(workoutPlan.workTime, 30),
+        restTime: parseSeconds(workoutPlan.restTime, 30),
+        rounds,
+      };
+  }
+};
+
+/**
+ * Secuencia de fases del entrenamiento: [{ type, duration, exerciseIndex, round, totalRounds }]
+ */
+export const buildIntervalSchedule = (preset, exercises, config) => {
+  const { workTime, restTime, rounds } = config;
+  const phases = [];
+  const work = (exerciseIndex, round, totalRounds) =>
+    phases.push({ type: PHASE_TYPES.WORK, duration: workTime, exerciseIndex, round, totalRounds });
+  const rest = (exerciseIndex, round, totalRounds) =>
+    phases.push({ type: PHASE_TYPES.REST, duration: restTime, exerciseIndex, round, totalRounds });
+
+  if (preset === 'amrap') {
+    // Un único bloque: las rondas las cuenta el usuario
+    work(null, 1, 1);
+    return phases;
+  }
+
+  if (preset === 'emom') {
+    // Cada minuto le toca al siguiente ejercicio
+    for (let minute = 1; minute <= rounds; minute++) {
+      work((minute - 1) % exercises.length, minute, rounds);
+    }
+    return phases;
+  }
+
+  if (preset === 'tabata') {
+    // Un bloque Tabata completo por ejercicio
+    exercises.forEach((_, exerciseIndex) => {
+      for (let round = 1; round <= rounds; round++) {
+        work(exerciseIndex, round, rounds);
+        if (restTime > 0) rest(exerciseIndex, round, rounds);
+      }
+    });
+  } else {
+    for (let round = 1; round <= rounds; round++) {
+      exercises.forEach((_, exerciseIndex) => {
+        work(exerciseIndex, round, rounds);
+        if (restTime > 0) rest(exerciseIndex, round, rounds);
+      });
+    }
+  }
+
+  // No hace falta descansar después del último intervalo
+  if (phases.length > 0 && phases[phases.length - 1].type === PHASE_TYPES.REST) phases.pop();
+  return phases;
+};
+
+/**
+ * Duración total de una secuencia en segundos
+ */
+export const getScheduleDuration = (phases) => phases.reduce((sum, phase) => sum + phase.duration, 0);
+
+/**
+ * Resumen de lo completado: intervalos, rondas completas y segundos de trabajo
+ * `completedIndexes` son los índices de las fases de trabajo terminadas
+ */
+export const summarizeIntervals = (preset, phases, completedIndexes, amrapRounds = 0) => {
+  const workPhases = phases
+    .map((phase, index) => ({ ...phase, index }))
+    .filter(phase => phase.type === PHASE_TYPES.WORK);
+  const done = workPhases.filter(phase => completedIndexes.includes(phase.index));
+
+  let completedRounds = amrapRounds;
+  let totalRounds = null;
+
+  if (preset !== 'amrap') {
+    // En Tabata una "ronda" es el bloque completo de un ejercicio
+    const blockKey = (phase) => (preset === 'tabata' ? phase.exerciseIndex : phase.round);
+    const blocks = {};
+    workPhases.forEach(phase => {
+      const key = blockKey(phase);
+      blocks[key] = blocks[key] || { total: 0, done: 0 };
+      blocks[key].total++;
+      if (completedIndexes.includes(phase.index)) blocks[key].done++;
+    });
+    totalRounds = Object.keys(blocks).length;
+    completedRounds = Object.values(blocks).filter(block => block.done === block.total).length;
+  }
+
+  return {
+    preset,
+    completedIntervals: done.length,
+    totalIntervals: workPhases.length,
+    completedRounds,
+    totalRounds,
+    workSeconds: done.reduce((sum, phase) => sum + phase.duration, 0),
+  };
+};
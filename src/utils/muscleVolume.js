@@ -0,0 +1,144 @@
+// Volumen semanal por grupo muscular: sets efectivos y tonelaje a partir de las sesiones guardadas
+import { getCountedSets, getTargetSets } from './setTypes';
+import { getSetLoad } from './exerciseMeasurement';
+import { getWeekStart } from './streaks';
+
+/**
+ * Grupos musculares (mismas claves que `bodyFocus` del cuestionario)
+ * `keywords` se comparan sin tildes con el `muscle` de cada ejercicio
+ */
+export const MUSCLE_GROUPS = {
+  chest: { label: 'Pecho', keywords: ['pecho', 'pectoral', 'chest'] },
+  back: { label: 'Espalda', keywords: ['espalda', 'dorsal', 'lumbar', 'trapecio', 'back', 'lats'] },
+  shoulders: { label: 'Hombros', keywords: ['hombro', 'deltoide', 'shoulder'] },
+  arms: { label: 'Brazos', keywords: ['brazo', 'biceps', 'triceps', 'antebrazo', 'arm'] },
+  legs: {
+    label: 'Piernas',
+    keywords: ['pierna', 'cuadriceps', 'isquio', 'femoral', 'gluteo', 'gemelo', 'pantorrilla', 'aductor', 'leg', 'quad', 'hamstring', 'glute', 'calf'],
+  },
+  abs: { label: 'Abdominales', keywords: ['abdominal', 'core', 'oblicuo', 'abs'] },
+};
+
+export const OTHER_GROUP = 'other';
+
+// Orden en que se buscan las palabras clave: piernas antes que brazos para que
+// 'Bíceps femoral' (isquiotibial) no cuente como bíceps
+const MATCH_ORDER = ['legs', 'chest', 'back', 'shoulders', 'abs', 'arms'];
+
+// Crédito de un set para los músculos secundarios del ejercicio
+export const SECONDARY_MUSCLE_CREDIT = 0.5;
+
+// Sets duros por semana recomendados (más exigente en los grupos de enfoque)
+export const WEEKLY_SET_TARGET = { min: 10, max: 20 };
+export const FOCUS_WEEKLY_SET_TARGET = { min: 15, max: 20 };
+
+const normalize = (text) => (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Grupo muscular de un músculo ('Bíceps' -> 'arms'); OTHER_GROUP si no encaja en ninguno
+ */
+export const getMuscleGroup = (muscle) => {
+  const name = normalize(muscle);
+  const group = MATCH_ORDER.find(key =>
+    MUSCLE_GROUPS[key].keywords.some(keyword => name.includes(keyword))
+  );
+  return group || OTHER_GROUP;
+};
+
+export const getMuscleGroupLabel = (group) => MUSCLE_GROUPS[group]?.label || 'Otros';
+
+/**
+ * Crédito de cada grupo muscular por set de un ejercicio
+ * Los primarios cuentan 1 y los secundarios SECONDARY_MUSCLE_CREDIT (si no son ya primarios)
+ */
+export const getMuscleCredits = (exercise) => {
+  const primary = exercise.primaryMuscles?.length ? exercise.primaryMuscles : [exercise.muscle];
+  const credits = {};
+
+  (exercise.secondaryMuscles || []).forEach(muscle => {
+    credits[getMuscleGroup(muscle)] = SECONDARY_MUSCLE_CREDIT;
+  });
+  primary.filter(Boolean).forEach(muscle => {
+    credits[getMuscleGroup(muscle)] = 1;
+  });
+
+  return credits;
+};
+
+/**
+ * Sets duros y tonelaje (kg) por grupo muscular de una lista de sesiones
+ * Sets duros: de trabajo (sin calentamientos ni drop sets); el tonelaje sí incluye los drop sets
+ */
+export const aggregateMuscleVolume = (sessions) => {
+  const totals = {};
+
+  sessions.forEach(session => {
+    (session.exercises || []).forEach(exercise => {
+      const hardSets = getTargetSets(exercise.sets).length;
+      const tonnage = getCountedSets(exercise.sets)
+        .reduce((sum, set) => sum + (getSetLoad(set) || 0) * (set.reps || 0), 0);
+      if (hardSets === 0) return;
+
+      Object.entries(getMuscleCredits(exercise)).forEach(([group, credit]) => {
+        const total = totals[group] || (totals[group] = { sets: 0, volume: 0 });
+        total.sets += hardSets * credit;
+        total.volume += tonnage * credit;
+      });
+    });
+  });
+
+  return totals;
+};
+
+/**
+ * Volumen por grupo muscular de las últimas `weeks` semanas (lunes a domingo, la actual primero)
+ */
+export const getWeeklyMuscleVolume = (sessions, weeks = 4, today = new Date()) => {
+  const byWeek = sessions.reduce((grouped, session) => {
+    const week = getWeekStart(session.completedAt);
+    (grouped[week] = grouped[week] || []).push(session);
+    return grouped;
+  }, {});
+
+  return Array.from({ length: weeks }, (_, index) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() - index * 7);
+    const weekStart = getWeekStart(date);
+    return { weekStart, muscles: aggregateMuscleVolume(byWeek[weekStart] || []) };
+  });
+};
+
+/**
+ * Sets semanales objetivo de un grupo según el enfoque elegido en el cuestionario
+ */
+export const getWeeklySetTarget = (group, bodyFocus = []) =>
+  bodyFocus.includes(group) ? FOCUS_WEEKLY_SET_TARGET : WEEKLY_SET_TARGET;
+
+/**
+ * Comparar los sets de una semana con el objetivo de cada grupo
+ * Devuelve los grupos de enfoque primero: { group, label, sets, volume, target, focus, status }
+ */
+export const compareWithTargets = (muscles, bodyFocus = []) => {
+  const groups = [...Object.keys(MUSCLE_GROUPS), ...(muscles[OTHER_GROUP] ? [OTHER_GROUP] : [])];
+
+  return groups
+    .map(group => {
+      const { sets = 0, volume = 0 } = muscles[group] || {};
+      const target = getWeeklySetTarget(group, bodyFocus);
+      let status = 'within';
+      if (sets < target.min) status = 'below';
+      if (sets > target.max) status = 'above';
+
+      return {
+        group,
+        label: getMuscleGroupLabel(group),
+        sets: Math.round(sets * 10) / 10,
+        volume,
+        target,
+        focus: bodyFocus.includes(group),
+        // Los ejercicios sin grupo (cardio, cuerpo completo) no tienen objetivo
+        status: group === OTHER_GROUP ? null : status,
+      };
+    })
+    .sort((a, b) => Number(b.focus) - Number(a.focus));
+};
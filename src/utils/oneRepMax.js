@@ -0,0 +1,93 @@
+// Cálculo del 1RM estimado (e1RM) a partir de sets de peso × repeticiones
+import { getCountedSets } from './setTypes';
+import { getSetLoad } from './exerciseMeasurement';
+
+/**
+ * Fórmulas disponibles (seleccionables en preferencias)
+ */
+export const ONE_REP_MAX_FORMULAS = {
+  epley: {
+    label: 'Epley',
+    calculate: (weight, reps) => weight * (1 + reps / 30),
+  },
+  brzycki: {
+    label: 'Brzycki',
+    // La fórmula no es válida a partir de 37 reps; se limita para no dividir por cero
+    calculate: (weight, reps) => weight * 36 / (37 - Math.min(reps, 36)),
+  },
+  lombardi: {
+    label: 'Lombardi',
+    calculate: (weight, reps) => weight * Math.pow(reps, 0.1),
+  },
+};
+
+export const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Estimar el 1RM de un set
+ */
+export const estimateOneRepMax = (weight, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!weight || !reps || weight <= 0 || reps <= 0) return 0;
+  if (reps === 1) return weight;
+
+  const { calculate } = ONE_REP_MAX_FORMULAS[formula] || ONE_REP_MAX_FORMULAS[DEFAULT_ONE_REP_MAX_FORMULA];
+  return round(calculate(weight, reps));
+};
+
+/**
+ * Mejor 1RM estimado de una lista de sets (con el set que lo produjo)
+ * Los calentamientos se ignoran; en los ejercicios de peso corporal la carga es
+ * el peso corporal más el lastre (ver getSetLoad)
+ */
+export const getBestOneRepMax = (sets, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  let best = null;
+
+  for (const set of getCountedSets(sets)) {
+    const load = getSetLoad(set);
+    const e1rm = estimateOneRepMax(load, set.reps, formula);
+    if (e1rm > 0 && (!best || e1rm > best.e1rm)) {
+      best = { e1rm, weight: load, reps: set.reps };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Línea de tiempo del e1RM de un ejercicio (una entrada por sesión, de más antigua a más reciente)
+ * Recibe el resultado de WorkoutSessionService.getExerciseHistory
+ */
+export const buildOneRepMaxTimeline = (exerciseHistory, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  return exerciseHistory
+    .map(entry => {
+      const best = getBestOneRepMax(entry.exercise.sets, formula);
+      if (!best) return null;
+      return {
+        sessionId: entry.sessionId,
+        date: entry.date,
+        completedAt: entry.completedAt,
+        ...best,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+};
+
+/**
+ * Resumen del timeline: valor actual (última sesión), mejor histórico y cambio respecto a la anterior
+ */
+export const summarizeOneRepMaxTimeline = (timeline) => {
+  if (!timeline || timeline.length === 0) return null;
+
+  const current = timeline[timeline.length - 1];
+  const previous = timeline.length > 1 ? timeline[timeline.length - 2] : null;
+  const best = timeline.reduce((max, point) => (point.e1rm > max.e1rm ? point : max), timeline[0]);
+
+  return {
+    current,
+    best,
+    change: previous ? round(current.e1rm - previous.e1rm) : null,
+  };
+};
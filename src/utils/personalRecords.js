@@ -0,0 +1,184 @@
+// Detección de récords personales comparando una sesión con el historial guardado
+import { WorkoutSessionService } from '../services/workoutSessionService';
+import { estimateOneRepMax, DEFAULT_ONE_REP_MAX_FORMULA } from './oneRepMax';
+import { getCountedSets } from './setTypes';
+import { getSetLoad } from './exerciseMeasurement';
+import { DEFAULT_WEIGHT_UNIT, formatWeight } from './units';
+
+/**
+ * Tipos de récord que se detectan por ejercicio
+ */
+export const RECORD_TYPES = {
+  HEAVIEST_WEIGHT: 'heaviest_weight',
+  MOST_REPS_AT_WEIGHT: 'most_reps_at_weight',
+  BEST_E1RM: 'best_e1rm',
+  BEST_SET_VOLUME: 'best_set_volume',
+  BEST_SESSION_VOLUME: 'best_session_volume',
+};
+
+const RECORD_LABELS = {
+  [RECORD_TYPES.HEAVIEST_WEIGHT]: 'Mayor peso',
+  [RECORD_TYPES.MOST_REPS_AT_WEIGHT]: 'Más repeticiones',
+  [RECORD_TYPES.BEST_E1RM]: 'Mejor 1RM estimado',
+  [RECORD_TYPES.BEST_SET_VOLUME]: 'Mayor volumen en un set',
+  [RECORD_TYPES.BEST_SESSION_VOLUME]: 'Mayor volumen en una sesión',
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Solo los sets de carga × repeticiones generan récords (no los de tiempo o distancia)
+// La carga incluye el peso corporal en los ejercicios de peso corporal (ver getSetLoad)
+const getRecordSets = (sets) => getCountedSets(sets)
+  .map(set => ({ weight: getSetLoad(set), reps: set.reps }))
+  .filter(set => set.weight > 0 && set.reps > 0);
+
+/**
+ * Calcular las mejores marcas de una lista de sets (los calentamientos no cuentan)
+ */
+export const getExerciseBests = (sets, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  const bests = {
+    heaviestWeight: 0,
+    repsByWeight: {},
+    bestE1RM: 0,
+    bestSetVolume: 0,
+    sessionVolume: 0,
+  };
+
+  for (const set of getRecordSets(sets)) {
+    const volume = set.weight * set.reps;
+
+    bests.heaviestWeight = Math.max(bests.heaviestWeight, set.weight);
+    bests.repsByWeight[set.weight] = Math.max(bests.repsByWeight[set.weight] || 0, set.reps);
+    bests.bestE1RM = Math.max(bests.bestE1RM, estimateOneRepMax(set.weight, set.reps, formula));
+    bests.bestSetVolume = Math.max(bests.bestSetVolume, volume);
+    bests.sessionVolume += volume;
+  }
+
+  return bests;
+};
+
+/**
+ * Combinar las mejores marcas de varias sesiones anteriores
+ */
+const getHistoricalBests = (exercise, previousSessions, formula) => {
+  let historical = null;
+
+  for (const session of previousSessions) {
+    const entry = session.exercises?.find(ex => WorkoutSessionService.isSameExercise(ex, exercise));
+    if (!entry || getRecordSets(entry.sets).length === 0) continue;
+
+    const bests = getExerciseBests(entry.sets, formula);
+    if (!historical) {
+      historical = bests;
+      continue;
+    }
+
+    historical.heaviestWeight = Math.max(historical.heaviestWeight, bests.heaviestWeight);
+    historical.bestE1RM = Math.max(historical.bestE1RM, bests.bestE1RM);
+    historical.bestSetVolume = Math.max(historical.bestSetVolume, bests.bestSetVolume);
+    historical.sessionVolume = Math.max(historical.sessionVolume, bests.sessionVolume);
+    Object.entries(bests.repsByWeight).forEach(([weight, reps]) => {
+      historical.repsByWeight[weight] = Math.max(historical.repsByWeight[weight] || 0, reps);
+    });
+  }
+
+  return historical;
+};
+
+const createRecord = (type, exercise, value, previousValue, extra = {}) => ({
+  type,
+  label: RECORD_LABELS[type],
+  exerciseId: exercise.exerciseId ?? exercise.id ?? null,
+  exerciseName: exercise.name,
+  value: round(value),
+  previousValue: round(previousValue),
+  ...extra,
+});
+
+/**
+ * Detectar los récords batidos en una sesión
+ * Solo se comparan ejercicios con historial previo: la primera vez no cuenta como récord
+ */
+export const detectPersonalRecords = (sessionExercises, previousSessions, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  const records = [];
+
+  for (const exercise of sessionExercises) {
+    if (getRecordSets(exercise.sets).length === 0) continue;
+
+    const historical = getHistoricalBests(exercise, previousSessions, formula);
+    if (!historical) continue;
+
+    const current = getExerciseBests(exercise.sets, formula);
+
+    if (current.heaviestWeight > historical.heaviestWeight) {
+      records.push(createRecord(
+        RECORD_TYPES.HEAVIEST_WEIGHT, exercise, current.heaviestWeight, historical.heaviestWeight
+      ));
+    }
+
+    // Más reps con un peso ya levantado antes (un peso nuevo ya es récord de peso)
+    Object.entries(current.repsByWeight).forEach(([weight, reps]) => {
+      const previousReps = historical.repsByWeight[weight];
+      if (previousReps && reps > previousReps) {
+        records.push(createRecord(
+          RECORD_TYPES.MOST_REPS_AT_WEIGHT, exercise, reps, previousReps, { weight: parseFloat(weight) }
+        ));
+      }
+    });
+
+    if (current.bestE1RM > historical.bestE1RM) {
+      records.push(createRecord(
+        RECORD_TYPES.BEST_E1RM, exercise, current.bestE1RM, historical.bestE1RM
+      ));
+    }
+
+    if (current.bestSetVolume > historical.bestSetVolume) {
+      records.push(createRecord(
+        RECORD_TYPES.BEST_SET_VOLUME, exercise, current.bestSetVolume, historical.bestSetVolume
+      ));
+    }
+
+    if (current.sessionVolume > historical.sessionVolume) {
+      records.push(createRecord(
+        RECORD_TYPES.BEST_SESSION_VOLUME, exercise, current.sessionVolume, historical.sessionVolume
+      ));
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Recalcular los récords de las sesiones completadas desde `fromDate` (inclusive)
+ * Cada una se compara con todas las anteriores, ya con los datos actualizados
+ * Devuelve { [sessionId]: personalRecords }
+ */
+export const recalculatePersonalRecords = (sessions, fromDate, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  const from = new Date(fromDate);
+  const timeline = [...sessions].sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+  const records = {};
+
+  timeline.forEach((session, index) => {
+    if (new Date(session.completedAt) < from) return;
+    records[session.id] = detectPersonalRecords(session.exercises || [], timeline.slice(0, index), formula);
+  });
+
+  return records;
+};
+
+/**
+ * Texto legible del valor de un récord (nuevo y anterior) en la unidad elegida
+ */
+export const formatRecordValue = (record, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (record.type === RECORD_TYPES.MOST_REPS_AT_WEIGHT) {
+    return {
+      value: `${record.value} reps con ${formatWeight(record.weight, unit)}`,
+      previous: `${record.previousValue} reps`,
+    };
+  }
+
+  return {
+    value: formatWeight(record.value, unit),
+    previous: formatWeight(record.previousValue, unit),
+  };
+};
@@ -0,0 +1,184 @@
+// Calculadora de discos y mancuernas a partir del material de cada gimnasio
+// El material de cada gimnasio está en su propia unidad (la que llevan marcada los discos)
+import { WEIGHT_UNITS, fromDisplayWeight, toDisplayWeight } from './units';
+
+/**
+ * Material por defecto: barra olímpica, discos estándar y mancuernas de 2 en 2
+ * `plates` son los discos totales del gimnasio (por cada lado se usa la mitad)
+ */
+export const DEFAULT_GYM = {
+  id: 'default',
+  name: 'Mi gimnasio',
+  unit: WEIGHT_UNITS.KG,
+  barWeight: 20,
+  plates: [
+    { weight: 25, count: 4 },
+    { weight: 20, count: 4 },
+    { weight: 15, count: 4 },
+    { weight: 10, count: 4 },
+    { weight: 5, count: 4 },
+    { weight: 2.5, count: 4 },
+    { weight: 1.25, count: 4 },
+  ],
+  dumbbells: Array.from({ length: 25 }, (_, index) => (index + 1) * 2),
+};
+
+// Material estándar en libras
+const DEFAULT_LB_EQUIPMENT = {
+  barWeight: 45,
+  plates: [45, 35, 25, 10, 5, 2.5].map(weight => ({ weight, count: 4 })),
+  dumbbells: Array.from({ length: 20 }, (_, index) => (index + 1) * 5),
+};
+
+/**
+ * Barra, discos y mancuernas estándar para una unidad
+ */
+export const getDefaultEquipment = (unit) => {
+  if (unit === WEIGHT_UNITS.LB) return { unit, ...DEFAULT_LB_EQUIPMENT };
+  const { barWeight, plates, dumbbells } = DEFAULT_GYM;
+  return { unit: WEIGHT_UNITS.KG, barWeight, plates, dumbbells };
+};
+
+/**
+ * Pasar un peso entre kg (como se guarda) y la unidad del gimnasio
+ */
+export const toGymUnit = (kg, gym) => toDisplayWeight(kg, gym.unit || WEIGHT_UNITS.KG);
+export const fromGymUnit = (value, gym) => fromDisplayWeight(value, gym.unit || WEIGHT_UNITS.KG);
+
+export const LOADING_TYPES = {
+  BARBELL: 'barbell',
+  DUMBBELL: 'dumbbell',
+};
+
+/**
+ * Cómo se carga un ejercicio según su equipamiento (null si no aplica)
+ */
+export const getLoadingType = (exercise) => {
+  const equipment = (exercise?.equipment || '').toLowerCase();
+  if (equipment.includes('barra')) return LOADING_TYPES.BARBELL;
+  if (equipment.includes('mancuerna')) return LOADING_TYPES.DUMBBELL;
+  return null;
+};
+
+/**
+ * Gimnasio activo de las preferencias (o el material por defecto)
+ */
+export const getActiveGym = (preferences) => {
+  const gyms = preferences?.gyms?.length ? preferences.gyms : [DEFAULT_GYM];
+  return gyms.find(gym => gym.id === preferences?.activeGymId) || gyms[0];
+};
+
+// Trabajar en centésimas para no arrastrar errores de coma flotante
+const toHundredths = (weight) => Math.round(weight * 100);
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Combinaciones de discos por lado alcanzables con el inventario
+ * Devuelve un mapa suma (en unidades) -> discos usados, con el mínimo de discos posible
+ */
+const getReachableLoads = (plates) => {
+  const perSide = plates
+    .filter(plate => plate.weight > 0 && plate.count >= 2)
+    .map(plate => ({ weight: plate.weight, count: Math.floor(plate.count / 2) }));
+  if (perSide.length === 0) return { unit: 1, loads: { 0: [] } };
+
+  const unit = perSide.map(plate => toHundredths(plate.weight)).reduce(gcd);
+  let loads = { 0: [] };
+
+  // Mochila acotada: cada disco disponible se añade una vez
+  perSide
+    .sort((a, b) => b.weight - a.weight)
+    .forEach(plate => {
+      const size = toHundredths(plate.weight) / unit;
+      for (let copy = 0; copy < plate.count; copy++) {
+        const next = { ...loads };
+        Object.entries(loads).forEach(([sum, used]) => {
+          const total = Number(sum) + size;
+          if (!next[total] || next[total].length > used.length + 1) {
+            next[total] = [...used, plate.weight];
+          }
+        });
+        loads = next;
+      }
+    });
+
+  return { unit, loads };
+};
+
+// Agrupar discos iguales: [20, 20, 5] -> [{ weight: 20, count: 2 }, { weight: 5, count: 1 }]
+const groupPlates = (plates) => plates.reduce((groups, weight) => {
+  const last = groups[groups.length - 1];
+  if (last && last.weight === weight) {
+    last.count++;
+  } else {
+    groups.push({ weight, count: 1 });
+  }
+  return groups;
+}, []);
+
+/**
+ * Discos por lado para cargar un peso total en la barra
+ * Si no es exacto, `weight` es el peso alcanzable más cercano y `lower` / `upper` las opciones a cada lado
+ */
+export const calculatePlates = (targetWeight, barWeight = DEFAULT_GYM.barWeight, plates = DEFAULT_GYM.plates) => {
+  const { unit, loads } = getReachableLoads(plates);
+  const target = Math.max(0, (toHundredths(targetWeight) - toHundredths(barWeight)) / 2 / unit);
+
+  const toLoad = (sum) => ({
+    weight: (toHundredths(barWeight) + sum * unit * 2) / 100,
+    perSide: groupPlates(loads[sum]),
+  });
+
+  const sums = Object.keys(loads).map(Number).sort((a, b) => a - b);
+  const lowerSum = sums.filter(sum => sum <= target + 1e-9).pop();
+  const upperSum = sums.find(sum => sum >= target - 1e-9);
+  const lower = toLoad(lowerSum);
+  const upper = upperSum !== undefined ? toLoad(upperSum) : null;
+  const exact = upper !== null && Math.abs(upper.weight - targetWeight) < 0.001 && targetWeight >= barWeight;
+
+  // Más cercano; en caso de empate, el más ligero
+  const nearest = !upper || Math.abs(targetWeight - lower.weight) <= Math.abs(upper.weight - targetWeight)
+    ? lower
+    : upper;
+
+  return {
+    exact,
+    weight: exact ? upper.weight : nearest.weight,
+    perSide: exact ? upper.perSide : nearest.perSide,
+    lower: exact ? null : lower,
+    upper: exact ? null : upper,
+  };
+};
+
+/**
+ * Mancuerna disponible más cercana al peso (por mano)
+ * Con `roundUp` se elige la más ligera que no baje del peso
+ */
+export const getNearestDumbbell = (weight, dumbbells = DEFAULT_GYM.dumbbells, roundUp = false) => {
+  if (!dumbbells || dumbbells.length === 0) return weight;
+  const sorted = [...dumbbells].sort((a, b) => a - b);
+  if (roundUp) return sorted.find(dumbbell => dumbbell >= weight) ?? sorted[sorted.length - 1];
+  return sorted.reduce((nearest, dumbbell) =>
+    Math.abs(dumbbell - weight) < Math.abs(nearest - weight) ? dumbbell : nearest
+  );
+};
+
+/**
+ * Redondear un peso (kg) a lo que se puede cargar en el gimnasio para ese ejercicio
+ * Si el ejercicio no usa barra ni mancuernas se devuelve tal cual
+ */
+export const roundToAvailableWeight = (weight, exercise, gym = DEFAULT_GYM, roundUp = false) => {
+  if (!weight) return weight;
+  const gymWeight = toGymUnit(weight, gym);
+
+  switch (getLoadingType(exercise)) {
+    case LOADING_TYPES.BARBELL: {
+      const result = calculatePlates(gymWeight, gym.barWeight, gym.plates);
+      return fromGymUnit(roundUp && result.upper ? result.upper.weight : result.weight, gym);
+    }
+    case LOADING_TYPES.DUMBBELL:
+      return fromGymUnit(getNearestDumbbell(gymWeight, gym.dumbbells, roundUp), gym);
+    default:
+      return weight;
+  }
+};
@@ -0,0 +1,179 @@
+// Motor de sobrecarga progresiva: prescribe el objetivo de la siguiente sesión
+// a partir de las últimas sesiones registradas de cada ejercicio
+import { getTargetSets } from './setTypes';
+import { DEFAULT_WEIGHT_UNIT, WEIGHT_UNITS, formatWeight, toDisplayWeight, fromDisplayWeight } from './units';
+
+/**
+ * Esquemas de progresión configurables por rutina
+ */
+export const PROGRESSION_SCHEMES = {
+  double: {
+    label: 'Doble progresión',
+    description: 'Suma repeticiones dentro del rango y sube peso al llegar al tope en todos los sets',
+  },
+  linear: {
+    label: 'Lineal',
+    description: 'Sube un peso fijo cada vez que completas todas las repeticiones',
+  },
+  percentage: {
+    label: 'Porcentaje',
+    description: 'Sube un porcentaje del peso cada vez que completas el rango',
+  },
+};
+
+/**
+ * Reglas por defecto (se guardan en routine.progression)
+ */
+export const DEFAULT_PROGRESSION_RULES = {
+  scheme: 'double',
+  increment: 2.5, // kg por salto en doble progresión y lineal
+  percentage: 2.5, // % por salto en el esquema de porcentaje
+  missesBeforeDeload: 2, // sesiones seguidas fallidas antes de bajar peso
+  deloadPercentage: 10, // % de descarga tras fallos repetidos
+};
+
+/**
+ * Reglas efectivas de una rutina
+ */
+export const getProgressionRules = (routine) => ({
+  ...DEFAULT_PROGRESSION_RULES,
+  ...(routine?.workoutPlan?.progression || {}),
+  ...(routine?.progression || {}),
+});
+
+/**
+ * Interpretar un rango de repeticiones ('8-12', '10', 10)
+ */
+export const parseRepRange = (reps) => {
+  if (typeof reps === 'number') return { min: reps, max: reps };
+
+  const numbers = String(reps || '').match(/\d+/g);
+  if (!numbers) return { min: 8, max: 12 };
+
+  const min = parseInt(numbers[0]);
+  const max = numbers.length > 1 ? parseInt(numbers[1]) : min;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+};
+
+/**
+ * Salto mínimo de peso en cada unidad (discos de 0.25 kg o de 1.25 lb por lado)
+ */
+export const ROUNDING_STEPS = {
+  [WEIGHT_UNITS.KG]: 0.5,
+  [WEIGHT_UNITS.LB]: 2.5,
+};
+
+/**
+ * Redondear un peso guardado en kg al salto más cercano de la unidad del usuario
+ * Devuelve kg (p. ej. en lb se redondea a múltiplos de 2.5 lb)
+ */
+export const roundWeight = (kg, unit = DEFAULT_WEIGHT_UNIT) => {
+  const step = ROUNDING_STEPS[unit] || ROUNDING_STEPS[DEFAULT_WEIGHT_UNIT];
+  return fromDisplayWeight(Math.round(toDisplayWeight(kg, unit) / step) * step, unit);
+};
+
+// Peso en kg un salto mínimo por encima, en la unidad del usuario
+const nextWeightStep = (kg, unit) =>
+  roundWeight(kg, unit) + fromDisplayWeight(ROUNDING_STEPS[unit] || ROUNDING_STEPS[DEFAULT_WEIGHT_UNIT], unit);
+
+/**
+ * Evaluar cómo fue una sesión de un ejercicio respecto al rango objetivo
+ * Solo cuentan los sets de trabajo: calentamientos y drop sets se ignoran
+ */
+const evaluateSession = (loggedSets, targetSets, range, repsTarget) => {
+  const sets = getTargetSets(loggedSets);
+  if (sets.length === 0) return { topWeight: 0, minReps: 0, completed: false, hitTop: false, missed: true };
+
+  const topWeight = Math.max(...sets.map(set => set.weight));
+  const topSets = sets.filter(set => set.weight === topWeight);
+  const minReps = Math.min(...topSets.map(set => set.reps));
+
+  return {
+    topWeight,
+    minReps,
+    // Se hicieron todos los sets al peso de trabajo y con al menos las reps objetivo
+    completed: topSets.length >= targetSets && minReps >= repsTarget,
+    // Todos los sets llegaron al tope del rango
+    hitTop: topSets.length >= targetSets && minReps >= range.max,
+    missed: topSets.length < targetSets || minReps < range.min,
+  };
+};
+
+/**
+ * Calcular el objetivo de la siguiente sesión para un ejercicio
+ * `history` viene de WorkoutSessionService.getExerciseHistory (más reciente primero)
+ * Las subidas y descargas se redondean a saltos cargables en `unit` (el peso sigue en kg)
+ */
+export const suggestNextTarget = (exercise, history, rules = DEFAULT_PROGRESSION_RULES, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (!history || history.length === 0) return null;
+
+  const targetSets = parseInt(exercise.totalSets || exercise.sets) || 3;
+  const range = parseRepRange(exercise.targetReps || exercise.reps);
+  // En lineal las reps son fijas (el mínimo del rango)
+  const repsTarget = rules.scheme === 'linear' ? range.min : range.max;
+
+  const evaluations = history.map(entry => evaluateSession(entry.exercise.sets, targetSets, range, repsTarget));
+  const last = evaluations[0];
+
+  if (!last.topWeight) return null;
+
+  let consecutiveMisses = 0;
+  for (const evaluation of evaluations) {
+    if (!evaluation.missed) break;
+    consecutiveMisses++;
+  }
+
+  let weight = last.topWeight;
+  let reps = range.min;
+  let action;
+
+  if (consecutiveMisses >= rules.missesBeforeDeload) {
+    weight = roundWeight(last.topWeight * (1 - rules.deloadPercentage / 100), unit);
+    action = 'deload';
+  } else if (last.missed) {
+    action = 'hold';
+  } else if (rules.scheme === 'double') {
+    if (last.hitTop) {
+      weight = roundWeight(last.topWeight + rules.increment, unit);
+      if (weight <= last.topWeight) weight = nextWeightStep(last.topWeight, unit);
+      action = 'increase_weight';
+    } else {
+      reps = Math.min(range.max, last.minReps + 1);
+      action = 'increase_reps';
+    }
+  } else if (last.completed) {
+    weight = roundWeight(rules.scheme === 'percentage'
+      ? last.topWeight * (1 + rules.percentage / 100)
+      : last.topWeight + rules.increment, unit);
+    // Si el redondeo se come el salto, subir al menos el incremento mínimo
+    if (weight <= last.topWeight) weight = nextWeightStep(last.topWeight, unit);
+    action = 'increase_weight';
+  } else {
+    reps = Math.min(repsTarget, last.minReps + 1);
+    action = 'increase_reps';
+  }
+
+  return {
+    action,
+    weight,
+    reps,
+    previousWeight: last.topWeight,
+    sets: Array.from({ length: targetSets }, (_, index) => ({ set: index + 1, weight, reps })),
+  };
+};
+
+/**
+ * Texto explicativo de la sugerencia (pesos en la unidad elegida)
+ */
+export const describeSuggestion = (suggestion, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (!suggestion) return '';
+
+  const weight = formatWeight(suggestion.weight, unit);
+  const messages = {
+    increase_weight: `Sube a ${weight}`,
+    increase_reps: `Mantén ${weight} y busca una rep más`,
+    hold: `Repite ${weight} hasta completar el rango`,
+    deload: `Descarga a ${weight} tras varias sesiones fallidas`,
+  };
+  return messages[suggestion.action] || '';
+};
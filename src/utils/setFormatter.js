@@ -0,0 +1,66 @@
+// Formato de sets registrados para mostrarlos en pantalla
+import { MEASUREMENT_TYPES } from './exerciseMeasurement';
+import { DEFAULT_WEIGHT_UNIT, formatWeight } from './units';
+
+/**
+ * Valores de RPE seleccionables (6 a 10 en pasos de 0.5)
+ */
+export const RPE_OPTIONS = [6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+
+/**
+ * Valores de repeticiones en reserva seleccionables
+ */
+export const RIR_OPTIONS = [0, 1, 2, 3, 4, 5];
+
+/**
+ * Intensidad de un set ("RPE 8.5", "RIR 2") o cadena vacía si no se registró
+ */
+export const formatSetIntensity = (set) => {
+  if (set.rpe !== null && set.rpe !== undefined) return `RPE ${set.rpe}`;
+  if (set.rir !== null && set.rir !== undefined) return `RIR ${set.rir}`;
+  return '';
+};
+
+/**
+ * Duración en segundos como m:ss (o h:mm:ss)
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+};
+
+/**
+ * Distancia en metros ("400 m", "5.2 km")
+ */
+export const formatDistance = (meters) => {
+  if (meters >= 1000) return `${Math.round(meters / 100) / 10} km`;
+  return `${meters} m`;
+};
+
+/**
+ * Valor principal de un set según el tipo de medición del ejercicio
+ * El peso se guarda en kg y se muestra en `unit`
+ */
+export const formatSetValue = (set, measurement = MEASUREMENT_TYPES.WEIGHT_REPS, unit = DEFAULT_WEIGHT_UNIT) => {
+  switch (measurement) {
+    case MEASUREMENT_TYPES.REPS:
+      return `${set.reps} reps`;
+    case MEASUREMENT_TYPES.BODYWEIGHT_REPS:
+      // "+10kg × 8" con lastre, "-20kg × 8" asistido
+      if (!set.addedWeight) return `${set.reps} reps`;
+      return `${set.addedWeight > 0 ? '+' : ''}${formatWeight(set.addedWeight, unit)} × ${set.reps}`;
+    case MEASUREMENT_TYPES.DURATION:
+      return formatDuration(set.duration);
+    case MEASUREMENT_TYPES.DISTANCE:
+      return formatDistance(set.distance);
+    case MEASUREMENT_TYPES.DISTANCE_DURATION:
+      return `${formatDistance(set.distance)} en ${formatDuration(set.duration)}`;
+    case MEASUREMENT_TYPES.WEIGHT_DISTANCE:
+      return `${formatWeight(set.weight, unit)} · ${formatDistance(set.distance)}`;
+    default:
+      return `${formatWeight(set.weight, unit)} × ${set.reps}`;
+  }
+};
@@ -0,0 +1,113 @@
+// Tipos de set y reglas sobre qué cuenta para volumen, récords y progreso
+
+/**
+ * Tipos de set disponibles
+ */
+export const SET_TYPES = {
+  WARMUP: 'warmup',
+  WORKING: 'working',
+  DROP: 'drop',
+  FAILURE: 'failure',
+  AMRAP: 'amrap',
+  REST_PAUSE: 'rest_pause',
+};
+
+export const SET_TYPE_OPTIONS = [
+  { value: SET_TYPES.WORKING, label: 'Normal' },
+  { value: SET_TYPES.WARMUP, label: 'Calentamiento' },
+  { value: SET_TYPES.DROP, label: 'Drop set' },
+  { value: SET_TYPES.FAILURE, label: 'Al fallo' },
+  { value: SET_TYPES.AMRAP, label: 'AMRAP' },
+  { value: SET_TYPES.REST_PAUSE, label: 'Rest-pause' },
+];
+
+/**
+ * Tipo de un set (los sets guardados antes de existir los tipos son normales)
+ */
+export const getSetType = (set) => set?.type || SET_TYPES.WORKING;
+
+export const getSetTypeLabel = (type) =>
+  SET_TYPE_OPTIONS.find(option => option.value === type)?.label || 'Normal';
+
+export const isWarmupSet = (set) => getSetType(set) === SET_TYPES.WARMUP;
+
+export const isDropSet = (set) => getSetType(set) === SET_TYPES.DROP;
+
+/**
+ * Sets que cuentan para volumen, repeticiones y récords (todo menos calentamiento)
+ */
+export const getCountedSets = (sets) => (sets || []).filter(set => !isWarmupSet(set));
+
+/**
+ * Sets que cuentan para el objetivo de sets del ejercicio
+ * (los drop sets van encadenados a su set padre y no suman uno nuevo)
+ */
+export const getTargetSets = (sets) => (sets || []).filter(set => !isWarmupSet(set) && !isDropSet(set));
+
+/**
+ * Indica si el plan marca ese número de set como AMRAP
+ */
+export const isAmrapSet = (exercise, setNumber) => (exercise?.amrapSets || []).includes(setNumber);
+
+/**
+ * Agrupar los sets para mostrarlos: calentamientos primero y cada drop set bajo su set padre
+ */
+export const groupSets = (sets) => {
+  const groups = [];
+
+  for (const set of sets || []) {
+    if (isDropSet(set)) {
+      const parent = groups.find(group => !isWarmupSet(group) && group.set === set.parentSet);
+      if (parent) {
+        parent.drops.push(set);
+        continue;
+      }
+    }
+    groups.push({ ...set, drops: [] });
+  }
+
+  return [
+    ...groups.filter(isWarmupSet),
+    ...groups.filter(group => !isWarmupSet(group)),
+  ];
+};
+
+/**
+ * Etiqueta de un set en listas ("Set 2", "Set 3 · AMRAP", "Calentamiento", "Drop")
+ */
+export const formatSetLabel = (set) => {
+  const type = getSetType(set);
+  if (type === SET_TYPES.WARMUP) return 'Calentamiento';
+  if (type === SET_TYPES.DROP) return 'Drop';
+  if (type === SET_TYPES.WORKING) return `Set ${set.set}`;
+  return `Set ${set.set} · ${getSetTypeLabel(type)}`;
+};
+
+/**
+ * Renumerar los sets tras editar o borrar uno: los sets de trabajo quedan 1..n en orden
+ * y cada drop set sigue a su set padre (si el padre ya no existe, el drop set se descarta)
+ */
+export const renumberSets = (sets) => {
+  const numbers = {};
+  let count = 0;
+
+  (sets || []).forEach(set => {
+    if (isWarmupSet(set) || isDropSet(set)) return;
+    count++;
+    if (set.set !== null && set.set !== undefined) numbers[set.set] = count;
+  });
+
+  count = 0;
+  return (sets || []).reduce((result, set) => {
+    if (isWarmupSet(set)) {
+      result.push({ ...set, set: null });
+    } else if (isDropSet(set)) {
+      const parent = numbers[set.parentSet];
+      if (parent) result.push({ ...set, set: parent, parentSet: parent });
+    } else {
+      count++;
+      result.push({ ...set, set: count });
+    }
+    return result;
+  }, []);
+};
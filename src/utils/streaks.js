@@ -0,0 +1,175 @@
+// Rachas y constancia a partir de los días de entrenamiento
+// Todo se calcula con el calendario local del usuario (no en UTC) y la semana empieza en lunes
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Semanas completas que se usan para la adherencia
+export const ADHERENCE_WEEKS = 4;
+
+/**
+ * Fecha local en formato YYYY-MM-DD
+ */
+export const toLocalDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// 'YYYY-MM-DD' -> Date local a medianoche
+const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Días naturales entre dos fechas YYYY-MM-DD (redondeado por los cambios de horario)
+const daysBetween = (fromKey, toKey) => Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / DAY_MS);
+
+/**
+ * Lunes (YYYY-MM-DD) de la semana de una fecha
+ */
+export const getWeekStart = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toLocalDateKey(d);
+};
+
+/**
+ * Entrenamientos por semana planificados en el cuestionario ('2', '3', '4', '5+')
+ */
+export const getWeeklyTarget = (workoutFrequency) => Math.max(1, parseInt(workoutFrequency) || 3);
+
+/**
+ * Días de descanso seguidos que no rompen la racha según la frecuencia planificada
+ * 3 por semana -> hasta 2 días de descanso entre entrenamientos
+ */
+export const getRestDayTolerance = (weeklyTarget) => Math.max(1, Math.ceil(7 / weeklyTarget) - 1);
+
+/**
+ * Racha de días: entrenamientos encadenados sin más descanso del tolerado entre uno y otro
+ * Varios entrenamientos el mismo día cuentan una vez
+ */
+const getDayStreaks = (days, restDays, todayKey) => {
+  let longest = 0;
+  let run = 0;
+
+  days.forEach((day, index) => {
+    run = index > 0 && daysBetween(days[index - 1], day) - 1 <= restDays ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  // La racha actual sigue viva mientras no se haya superado el descanso tolerado
+  const lastDay = days[days.length - 1];
+  const current = lastDay && daysBetween(lastDay, todayKey) - 1 <= restDays ? run : 0;
+
+  return { current, longest };
+};
+
+/**
+ * Racha de semanas: semanas seguidas cumpliendo el objetivo
+ * La semana en curso solo suma si ya se cumplió; si no, todavía no rompe la racha
+ */
+const getWeekStreaks = (countsByWeek, weeklyTarget, firstWeek, currentWeek) => {
+  let longest = 0;
+  let run = 0;
+  const week = fromDateKey(firstWeek);
+
+  while (toLocalDateKey(week) < currentWeek) {
+    run = (countsByWeek[toLocalDateKey(week)] || 0) >= weeklyTarget ? run + 1 : 0;
+    longest = Math.max(longest, run);
+    week.setDate(week.getDate() + 7);
+  }
+
+  const current = run + ((countsByWeek[currentWeek] || 0) >= weeklyTarget ? 1 : 0);
+  return { current, longest: Math.max(longest, current) };
+};
+
+/**
+ * Adherencia (%) al plan en las últimas semanas completas desde que se empezó a entrenar
+ * Sin semanas completas se usa la semana en curso
+ */
+const getAdherence = (countsByWeek, weeklyTarget, firstWeek, currentWeek) => {
+  const weeks = [];
+  const week = fromDateKey(currentWeek);
+
+  for (let i = 0; i < ADHERENCE_WEEKS; i++) {
+    week.setDate(week.getDate() - 7);
+    const key = toLocalDateKey(week);
+    if (key < firstWeek) break;
+    weeks.push(key);
+  }
+  if (weeks.length === 0) weeks.push(currentWeek);
+
+  const done = weeks.reduce((sum, key) => sum + Math.min(countsByWeek[key] || 0, weeklyTarget), 0);
+  return Math.round((done / (weeks.length * weeklyTarget)) * 100);
+};
+
+// Fecha (Date, ISO o YYYY-MM-DD local) -> YYYY-MM-DD local
+const toDayKey = (date) =>
+  typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : toLocalDateKey(date);
+
+/**
+ * Días de entrenamiento combinando las sesiones guardadas con el historial de rutinas
+ * Las sesiones mandan (se pueden borrar desde el historial); del historial solo se usan
+ * los días anteriores a la primera sesión, que no tienen sesión guardada
+ */
+export const mergeWorkoutDates = (sessionDates, historyDates) => {
+  const sessionDays = sessionDates.map(toDayKey);
+  const firstSessionDay = sessionDays.reduce((first, day) => (!first || day < first ? day : first), null);
+  const olderDays = historyDates
+    .map(toDayKey)
+    .filter(day => !firstSessionDay || day < firstSessionDay);
+
+  return [...new Set([...olderDays, ...sessionDays])].sort();
+};
+
+/**
+ * Estadísticas de constancia a partir de las fechas de entrenamiento (Date, ISO o YYYY-MM-DD locales)
+ */
+export const calculateStreakStats = (dates, workoutFrequency, today = new Date()) => {
+  const weeklyTarget = getWeeklyTarget(workoutFrequency);
+  const restDays = getRestDayTolerance(weeklyTarget);
+  const todayKey = toLocalDateKey(today);
+  const currentWeek = getWeekStart(today);
+
+  const days = [...new Set(dates.map(toDayKey))]
+    .filter(day => day <= todayKey)
+    .sort();
+
+  if (days.length === 0) {
+    return {
+      weeklyTarget,
+      restDays,
+      thisWeek: 0,
+      currentStreak: 0,
+      longestStreak: 0,
+      currentWeekStreak: 0,
+      longestWeekStreak: 0,
+      adherence: null,
+      lastWorkout: null,
+    };
+  }
+
+  const countsByWeek = days.reduce((counts, day) => {
+    const week = getWeekStart(fromDateKey(day));
+    counts[week] = (counts[week] || 0) + 1;
+    return counts;
+  }, {});
+  const firstWeek = getWeekStart(fromDateKey(days[0]));
+
+  const dayStreaks = getDayStreaks(days, restDays, todayKey);
+  const weekStreaks = getWeekStreaks(countsByWeek, weeklyTarget, firstWeek, currentWeek);
+
+  return {
+    weeklyTarget,
+    restDays,
+    thisWeek: countsByWeek[currentWeek] || 0,
+    currentStreak: dayStreaks.current,
+    longestStreak: dayStreaks.longest,
+    currentWeekStreak: weekStreaks.current,
+    longestWeekStreak: weekStreaks.longest,
+    adherence: getAdherence(countsByWeek, weeklyTarget, firstWeek, currentWeek),
+    lastWorkout: days[days.length - 1],
+  };
+};
@@ -0,0 +1,53 @@
+// Sistema de unidades de peso (kg / lb)
+// Los pesos de sets y sesiones se guardan siempre en kg y solo se convierten
+// al mostrarlos o al leerlos de un campo de texto
+
+export const WEIGHT_UNITS = {
+  KG: 'kg',
+  LB: 'lb',
+};
+
+export const WEIGHT_UNIT_OPTIONS = [
+  { value: WEIGHT_UNITS.KG, label: 'Kilogramos (kg)' },
+  { value: WEIGHT_UNITS.LB, label: 'Libras (lb)' },
+];
+
+export const DEFAULT_WEIGHT_UNIT = WEIGHT_UNITS.KG;
+
+const KG_PER_LB = 0.45359237;
+
+/**
+ * Convertir un peso entre unidades
+ */
+export const convertWeight = (weight, from, to) => {
+  if (weight === null || weight === undefined || from === to) return weight;
+  return from === WEIGHT_UNITS.LB ? weight * KG_PER_LB : weight / KG_PER_LB;
+};
+
+/**
+ * Peso guardado (kg) -> valor en la unidad elegida, con dos decimales como máximo
+ */
+export const toDisplayWeight = (kg, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (kg === null || kg === undefined) return kg;
+  return Math.round(convertWeight(kg, WEIGHT_UNITS.KG, unit) * 100) / 100;
+};
+
+/**
+ * Valor introducido en la unidad elegida -> kg para guardar
+ * Se guardan tres decimales para que 135 lb vuelva a mostrarse como 135 lb
+ */
+export const fromDisplayWeight = (value, unit = DEFAULT_WEIGHT_UNIT) => {
+  if (value === null || value === undefined) return value;
+  return Math.round(convertWeight(value, unit, WEIGHT_UNITS.KG) * 1000) / 1000;
+};
+
+/**
+ * Texto de un peso guardado en kg: '60kg', '135lb'
+ */
+export const formatWeight = (kg, unit = DEFAULT_WEIGHT_UNIT) => `${toDisplayWeight(kg, unit)}${unit}`;
+
+/**
+ * Volumen total (kg) en la unidad elegida con un decimal: '1250.5kg'
+ */
+export const formatVolume = (kg, unit = DEFAULT_WEIGHT_UNIT) =>
+  `${convertWeight(kg || 0, WEIGHT_UNITS.KG, unit).toFixed(1)}${unit}`;
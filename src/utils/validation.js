@@ -21,9 +21,16 @@ const VALIDATION_RULES = {
     pattern: /^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/
   },
   weight: {
-    min: 0.5,
-    max: 1000,
-    pattern: /^\d+(\.\d{1,2})?$/
+    pattern: /^\d+(\.\d{1,2})?$/,
+    // Límites según la unidad en la que se introduce el peso
+    kg: { min: 0.5, max: 1000 },
+    lb: { min: 1, max: 2200 }
+  },
+  // Lastre (positivo) o asistencia (negativo) en ejercicios de peso corporal
+  addedWeight: {
+    pattern: /^-?\d+(\.\d{1,2})?$/,
+    kg: { min: -300, max: 500 },
+    lb: { min: -660, max: 1100 }
   },
   reps: {
     min: 1,
@@ -34,6 +41,27 @@ const VALIDATION_RULES = {
     min: 1,
     max: 50,
     pattern: /^\d+$/
+  },
+  rpe: {
+    min: 6,
+    max: 10,
+    step: 0.5,
+    pattern: /^\d+(\.\d)?$/
+  },
+  rir: {
+    min: 0,
+    max: 5,
+    pattern: /^\d+$/
+  },
+  duration: {
+    min: 1,
+    max: 86400, // 24 horas, en segundos
+    pattern: /^(\d+:)?\d{1,2}:\d{2}$|^\d+$/
+  },
+  distance: {
+    min: 1,
+    max: 1000000, // metros
+    pattern: /^\d+(\.\d{1,2})?$/
   }
 };
 
@@ -60,8 +88,25 @@ const ERROR_MESSAGES = {
   },
   weight: {
     invalid: 'Ingresa un peso válido (ej: 10, 15.5)',
-    min: 'El peso debe ser mayor a 0.5 kg',
-    max: 'El peso no puede ser mayor a 1000 kg'
+    min: {
+      kg: 'El peso debe ser mayor a 0.5 kg',
+      lb: 'El peso debe ser mayor a 1 lb'
+    },
+    max: {
+      kg: 'El peso no puede ser mayor a 1000 kg',
+      lb: 'El peso no puede ser mayor a 2200 lb'
+    }
+  },
+  addedWeight: {
+    invalid: 'Ingresa el lastre en positivo o la asistencia en negativo (ej: 10, -20)',
+    min: {
+      kg: 'La asistencia no puede superar los 300 kg',
+      lb: 'La asistencia no puede superar las 660 lb'
+    },
+    max: {
+      kg: 'El lastre no puede ser mayor a 500 kg',
+      lb: 'El lastre no puede ser mayor a 1100 lb'
+    }
   },
   reps: {
     invalid: 'Las repeticiones deben ser un número entero',
@@ -72,6 +117,26 @@ const ERROR_MESSAGES = {
     invalid: 'Los sets deben ser un número entero',
     min: 'Debe ser al menos 1 set',
     max: 'No puede ser más de 50 sets'
+  },
+  rpe: {
+    invalid: 'El RPE debe ir de 6 a 10 en pasos de 0.5',
+    min: 'El RPE mínimo es 6',
+    max: 'El RPE máximo es 10'
+  },
+  rir: {
+    invalid: 'Las repeticiones en reserva deben ser un número entero',
+    min: 'Las repeticiones en reserva no pueden ser negativas',
+    max: 'Registra como máximo 5 repeticiones en reserva'
+  },
+  duration: {
+    invalid: 'Ingresa un tiempo válido (ej: 45, 1:30)',
+    min: 'El tiempo debe ser de al menos 1 segundo',
+    max: 'El tiempo no puede superar las 24 horas'
+  },
+  distance: {
+    invalid: 'Ingresa una distancia válida en metros (ej: 400, 1500)',
+    min: 'La distancia debe ser de al menos 1 metro',
+    max: 'La distancia no puede superar los 1000 km'
   }
 };
 
@@ -152,19 +217,41 @@ export const validateName = (name) => {
 };
 
 /**
- * Validar peso de ejercicio
+ * Validar peso de ejercicio en la unidad en que se introduce ('kg' o 'lb')
  */
-export const validateWeight = (weight) => {
+export const validateWeight = (weight, unit = 'kg') => {
   if (!weight) return { isValid: false, error: ERROR_MESSAGES.required };
   
   const sanitized = sanitizeString(weight.toString());
   const rules = VALIDATION_RULES.weight;
+  const limits = rules[unit] || rules.kg;
+  const messages = ERROR_MESSAGES.weight;
   
-  if (!rules.pattern.test(sanitized)) return { isValid: false, error: ERROR_MESSAGES.weight.invalid };
+  if (!rules.pattern.test(sanitized)) return { isValid: false, error: messages.invalid };
   
   const numericValue = parseFloat(sanitized);
-  if (numericValue < rules.min) return { isValid: false, error: ERROR_MESSAGES.weight.min };
-  if (numericValue > rules.max) return { isValid: false, error: ERROR_MESSAGES.weight.max };
+  if (numericValue < limits.min) return { isValid: false, error: messages.min[unit] || messages.min.kg };
+  if (numericValue > limits.max) return { isValid: false, error: messages.max[unit] || messages.max.kg };
+  
+  return { isValid: true, value: numericValue };
+};
+
+/**
+ * Validar lastre o asistencia de un ejercicio de peso corporal (opcional, 0 si se deja vacío)
+ */
+export const validateAddedWeight = (weight, unit = 'kg') => {
+  if (!weight) return { isValid: true, value: 0 };
+  
+  const sanitized = sanitizeString(weight.toString());
+  const rules = VALIDATION_RULES.addedWeight;
+  const limits = rules[unit] || rules.kg;
+  const messages = ERROR_MESSAGES.addedWeight;
+  
+  if (!rules.pattern.test(sanitized)) return { isValid: false, error: messages.invalid };
+  
+  const numericValue = parseFloat(sanitized);
+  if (numericValue < limits.min) return { isValid: false, error: messages.min[unit] || messages.min.kg };
+  if (numericValue > limits.max) return { isValid: false, error: messages.max[unit] || messages.max.kg };
   
   return { isValid: true, value: numericValue };
 };
@@ -205,6 +292,80 @@ export const validateSets = (sets) => {
   return { isValid: true, value: numericValue };
 };
 
+/**
+ * Validar RPE (opcional): de 6 a 10 en pasos de 0.5
+ */
+export const validateRpe = (rpe) => {
+  if (rpe === null || rpe === undefined || rpe === '') return { isValid: true, value: null };
+  
+  const sanitized = sanitizeString(rpe.toString());
+  const rules = VALIDATION_RULES.rpe;
+  
+  if (!rules.pattern.test(sanitized)) return { isValid: false, error: ERROR_MESSAGES.rpe.invalid };
+  
+  const numericValue = parseFloat(sanitized);
+  if (numericValue < rules.min) return { isValid: false, error: ERROR_MESSAGES.rpe.min };
+  if (numericValue > rules.max) return { isValid: false, error: ERROR_MESSAGES.rpe.max };
+  if ((numericValue / rules.step) % 1 !== 0) return { isValid: false, error: ERROR_MESSAGES.rpe.invalid };
+  
+  return { isValid: true, value: numericValue };
+};
+
+/**
+ * Validar repeticiones en reserva (opcional)
+ */
+export const validateRir = (rir) => {
+  if (rir === null || rir === undefined || rir === '') return { isValid: true, value: null };
+  
+  const sanitized = sanitizeString(rir.toString());
+  const rules = VALIDATION_RULES.rir;
+  
+  if (!rules.pattern.test(sanitized)) return { isValid: false, error: ERROR_MESSAGES.rir.invalid };
+  
+  const numericValue = parseInt(sanitized);
+  if (numericValue < rules.min) return { isValid: false, error: ERROR_MESSAGES.rir.min };
+  if (numericValue > rules.max) return { isValid: false, error: ERROR_MESSAGES.rir.max };
+  
+  return { isValid: true, value: numericValue };
+};
+
+/**
+ * Validar duración: segundos ("90") o minutos y segundos ("1:30", "1:05:00")
+ * Devuelve el valor en segundos
+ */
+export const validateDuration = (duration) => {
+  if (!duration) return { isValid: false, error: ERROR_MESSAGES.required };
+  
+  const sanitized = sanitizeString(duration.toString());
+  const rules = VALIDATION_RULES.duration;
+  
+  if (!rules.pattern.test(sanitized)) return { isValid: false, error: ERROR_MESSAGES.duration.invalid };
+  
+  const numericValue = sanitized.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+  if (numericValue < rules.min) return { isValid: false, error: ERROR_MESSAGES.duration.min };
+  if (numericValue > rules.max) return { isValid: false, error: ERROR_MESSAGES.duration.max };
+  
+  return { isValid: true, value: numericValue };
+};
+
+/**
+ * Validar distancia en metros
+ */
+export const validateDistance = (distance) => {
+  if (!distance) return { isValid: false, error: ERROR_MESSAGES.required };
+  
+  const sanitized = sanitizeString(distance.toString());
+  const rules = VALIDATION_RULES.distance;
+  
+  if (!rules.pattern.test(sanitized)) return { isValid: false, error: ERROR_MESSAGES.distance.invalid };
+  
+  const numericValue = parseFloat(sanitized);
+  if (numericValue < rules.min) return { isValid: false, error: ERROR_MESSAGES.distance.min };
+  if (numericValue > rules.max) return { isValid: false, error: ERROR_MESSAGES.distance.max };
+  
+  return { isValid: true, value: numericValue };
+};
+
 /**
  * Validador de formulario completo
  */
@@ -231,7 +392,10 @@ export const validateForm = (fields, rules) => {
           result = validateName(value);
           break;
         case 'weight':
-          result = validateWeight(value);
+          result = validateWeight(value, fields.weightUnit);
+          break;
+        case 'addedWeight':
+          result = validateAddedWeight(value, fields.weightUnit);
           break;
         case 'reps':
           result = validateReps(value);
@@ -239,6 +403,18 @@ export const validateForm = (fields, rules) => {
         case 'sets':
           result = validateSets(value);
           break;
+        case 'rpe':
+          result = validateRpe(value);
+          break;
+        case 'rir':
+          result = validateRir(value);
+          break;
+        case 'duration':
+          result = validateDuration(value);
+          break;
+        case 'distance':
+          result = validateDistance(value);
+          break;
         default:
           result = { isValid: true, value };
       }
@@ -402,10 +578,18 @@ export const FormValidationExample = {
     );
   },
   
-  workoutSet: (weight, reps) => {
+  workoutSet: (weight, reps, rpe = null, rir = null) => {
     return validateForm(
-      { weight, reps },
-      { weight: 'weight', reps: 'reps' }
+      { weight, reps, rpe, rir },
+      { weight: 'weight', reps: 'reps', rpe: 'rpe', rir: 'rir' }
     );
+  },
+
+  // Set con solo los campos de su tipo de medición (ej: ['distance', 'duration'])
+  // El peso se valida en la unidad en que se introduce
+  measuredSet: (fields, values, rpe = null, rir = null, weightUnit = 'kg') => {
+    const rules = { rpe: 'rpe', rir: 'rir' };
+    fields.forEach(field => { rules[field] = field; });
+    return validateForm({ ...values, rpe, rir, weightUnit }, rules);
   }
 };